@@ -4,6 +4,12 @@ const fs = require('fs');
 const multer = require('multer');
 const session = require('express-session');
 const { Web3 } = require('web3');
+const { createStorage } = require('./storage');
+const { createChainIndexer } = require('./indexer');
+const { createRateService, rateSourceFromEnv, weiPerSgd } = require('./rates');
+const { createImageStore, MAX_IMAGE_BYTES } = require('./images');
+const { createMerkleTree } = require('./merkle');
+const { SHIPPING_SERVICES, findPostalCode, quoteShipping } = require('./shipping');
 
 // Express app setup
 const app = express();
@@ -11,9 +17,20 @@ const PORT = process.env.PORT || 3001;
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 app.use(express.static(path.join(__dirname, 'public')));
+// Uploaded images are named after their SHA-256, so a URL never changes content and can be cached for good
+const IMAGE_DIR = process.env.IMAGE_DIR || path.join(__dirname, 'data', 'images');
+const imageStore = createImageStore({ dir: IMAGE_DIR, urlPrefix: '/images/products' });
+app.use('/images/products', express.static(IMAGE_DIR, {
+  immutable: true,
+  maxAge: '365d'
+}));
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
-const sessionStore = new session.MemoryStore();
+// Users, carts, orders, deliveries, tickets and sessions are kept in SQLite across restarts
+const store = createStorage(
+  process.env.DATABASE_FILE || path.join(__dirname, 'data', 'republic-surprise.sqlite')
+);
+const sessionStore = store.sessions;
 app.use(
   session({
     secret: process.env.SESSION_SECRET || 'republic-surprise-secret',
@@ -36,30 +53,104 @@ app.use((req, res, next) => {
 // Web3 + contract wiring
 const providerUrl = process.env.WEB3_PROVIDER_URL || 'http://127.0.0.1:7545';
 const web3 = new Web3(providerUrl);
-const contractMetaPaths = [
-  path.join(__dirname, '..', 'build', 'contracts', 'RepublicSurpriseContract.json'),
-  path.join(__dirname, 'build', 'contracts', 'RepublicSurpriseContract.json'),
-  path.join(__dirname, 'public', 'build', 'contracts', 'RepublicSurpriseContract.json'),
-  path.join(__dirname, 'public', 'build', 'RepublicSurpriseContract.json')
-];
-const contractMeta = contractMetaPaths.reduce((acc, candidate) => {
-  if (acc || !fs.existsSync(candidate)) return acc;
-  try {
-    return JSON.parse(fs.readFileSync(candidate, 'utf8'));
-  } catch (_err) {
-    return acc;
-  }
-}, null);
+// Truffle artifacts may live next to the repo root or inside the app, depending on how it was built
+function loadContractMeta(name) {
+  const candidates = [
+    path.join(__dirname, '..', 'build', 'contracts', `${name}.json`),
+    path.join(__dirname, 'build', 'contracts', `${name}.json`),
+    path.join(__dirname, 'public', 'build', 'contracts', `${name}.json`),
+    path.join(__dirname, 'public', 'build', `${name}.json`)
+  ];
+  return candidates.reduce((acc, candidate) => {
+    if (acc || !fs.existsSync(candidate)) return acc;
+    try {
+      return JSON.parse(fs.readFileSync(candidate, 'utf8'));
+    } catch (_err) {
+      return acc;
+    }
+  }, null);
+}
+const contractMeta = loadContractMeta('RepublicSurpriseContract');
 const contractAbi = contractMeta?.abi || [];
 let contractAddress = process.env.CONTRACT_ADDRESS || '';
 let contractNetworkId = null;
+// Satellite contracts, each found through its Truffle artifact or an address in the environment
+// (see getSatelliteInstanceAsync). Blind boxes, drops and certificates are order hooks of the shop.
+const blindBoxMeta = loadContractMeta('RepublicSurpriseBlindBox');
+const dropsMeta = loadContractMeta('RepublicSurpriseDrops');
+const certificatesMeta = loadContractMeta('RepublicSurpriseCertificates');
+// Seller products and payouts; an order hook too, and an admin of the shop so it can act for sellers
+const marketplaceMeta = loadContractMeta('RepublicSurpriseMarketplace');
+// Loyalty points; an order hook that also takes part in checkout, where points are redeemed
+const loyaltyMeta = loadContractMeta('RepublicSurpriseLoyalty');
+// Promo codes; a checkout hook that checks the vouchers this server signs and counts their uses
+const promotionsMeta = loadContractMeta('RepublicSurprisePromotions');
+// Image hashes are published on a separate contract
+const mediaMeta = loadContractMeta('RepublicSurpriseProductMedia');
+// Seeds of the blind-box hash chains are derived from this secret. Without BLIND_BOX_SECRET one is generated
+// on first start and kept in the database: a new secret would leave every committed chain unrevealable.
+const blindBoxSecret = process.env.BLIND_BOX_SECRET || store.settings.ensure('blindBoxSecret', () => web3.utils.randomHex(32));
+// Payment currencies: ETH, plus the ERC-20 tokens admins accept on the contract.
+// Orders paid in ETH are stored with the zero address as their currency.
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ETH_CURRENCY = { address: ZERO_ADDRESS, symbol: 'ETH', name: 'Ether', decimals: 18 };
+// The part of ERC-20 the shop reads, or prepares calls for
+const erc20Abi = [
+  { type: 'function', name: 'name', stateMutability: 'view', inputs: [], outputs: [{ name: '', type: 'string' }] },
+  { type: 'function', name: 'symbol', stateMutability: 'view', inputs: [], outputs: [{ name: '', type: 'string' }] },
+  { type: 'function', name: 'decimals', stateMutability: 'view', inputs: [], outputs: [{ name: '', type: 'uint8' }] },
+  {
+    type: 'function',
+    name: 'balanceOf',
+    stateMutability: 'view',
+    inputs: [{ name: 'account', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  },
+  {
+    type: 'function',
+    name: 'allowance',
+    stateMutability: 'view',
+    inputs: [{ name: 'owner', type: 'address' }, { name: 'spender', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  },
+  {
+    type: 'function',
+    name: 'approve',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: 'spender', type: 'address' }, { name: 'amount', type: 'uint256' }],
+    outputs: [{ name: '', type: 'bool' }]
+  }
+];
 
-// Multer storage for uploaded product images
-const storage = multer.diskStorage({
-  destination: (_req, _file, cb) => cb(null, path.join(__dirname, 'public', 'images')),
-  filename: (_req, file, cb) => cb(null, file.originalname)
+// Prices are kept in SGD; checkout locks an ETH/SGD rate into a quote signed by an admin key.
+// QUOTE_SIGNER_KEY is that admin's private key; without it an unlocked admin account on the node signs.
+const rateService = createRateService({ source: rateSourceFromEnv() });
+const PRICE_QUOTE_TTL_MS = Number(process.env.PRICE_QUOTE_TTL_MS) || 5 * 60 * 1000;
+const quoteSignerKey = process.env.QUOTE_SIGNER_KEY || '';
+
+// Uploaded images are kept in memory until imageStore has checked and stored them
+const MAX_GALLERY_IMAGES = 12;
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_GALLERY_IMAGES }
 });
-const upload = multer({ storage });
+
+// Runs a multer middleware but lets the route report upload limits like any other form error
+function acceptUploads(middleware) {
+  return (req, res, next) => middleware(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      req.uploadError = `Images must be ${MAX_IMAGE_BYTES / (1024 * 1024)} MB or smaller.`;
+    } else if (error.code === 'LIMIT_FILE_COUNT') {
+      req.uploadError = `Upload at most ${MAX_GALLERY_IMAGES} images at a time.`;
+    } else {
+      req.uploadError = error.message || 'Unable to upload the images.';
+    }
+    req.files = [];
+    req.file = undefined;
+    next();
+  });
+}
 const supportUpload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 4 * 1024 * 1024, files: 1 }
@@ -69,47 +160,101 @@ const supportUpload = multer({
 let catalogSyncedAt = null;
 let loading = false;
 let listOfProducts = [];
-let currentUser = null;
+// Tokens the contract has ever accepted (with an accepted flag), refreshed with the catalog
+let paymentTokens = [];
 
-// Hydrate per-request user state from the session so API calls (e.g., /api/cart) stay authenticated after redirects
-app.use((req, _res, next) => {
-  currentUser = req.session?.user || null;
+// The signed-in user belongs to the request: handlers read req.user, helpers that only get res read res.locals.user
+app.use((req, res, next) => {
+  req.user = req.session?.user || null;
+  res.locals.user = req.user;
   next();
 });
-const users = {};
-const carts = {};
+
+// Browsers ask for text/html on page loads and form posts; fetch() calls get JSON
+function acceptsHtml(req) {
+  return (req.headers.accept || '').includes('text/html');
+}
+
+function wantsJson(req) {
+  return req.path.startsWith('/api/') || !acceptsHtml(req);
+}
+
+// Route guard for signed-in users, optionally limited to some roles.
+// Pages redirect to the login page; JSON callers get 401/403 with a message.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      if (wantsJson(req)) {
+        return res.status(401).json({ success: false, message: 'Login required', redirect: '/login' });
+      }
+      return res.redirect('/login');
+    }
+    if (roles.length && !roles.includes(req.user.role)) {
+      if (wantsJson(req)) {
+        return res.status(403).json({ success: false, message: 'Your account cannot do that.' });
+      }
+      return res.redirect('/login');
+    }
+    next();
+  };
+}
+
+const requireLogin = requireRole();
+// In-memory views of the stored records; every change is written back through store.*.save()
+const users = Object.fromEntries(
+  store.users.all().map((user) => [String(user.walletAddress || '').toLowerCase(), user])
+);
+const carts = store.carts.all();
 const products = [];
 const productImageMap = {};
 const productGalleryMap = {};
-const deliveries = [];
-const orders = [];
-const tickets = [];
-// Treat Ganache availability as the "session" lifecycle for demo data.
+// Drop schedules read from the drops contract on every catalog sync
+const dropSchedules = {};
+// Seller wallet (lowercase) of each seller-owned product, read from the marketplace on every catalog sync
+const productSellers = {};
+store.productImages.all().forEach(({ productId, image, gallery }) => {
+  if (image) productImageMap[productId] = image;
+  if (gallery.length) productGalleryMap[productId] = gallery;
+});
+const deliveries = store.deliveries.all();
+const orders = store.orders.all();
+const tickets = store.tickets.all();
+// Off-chain records are persisted, so losing Ganache only drops the cached catalog;
+// it is read from the contract again once the node is back.
 let ganacheWasUp = true;
-function clearDemoState(reason = 'ganache down') {
-  console.warn(`Clearing demo state: ${reason}`);
-  listOfProducts = [];
-  products.length = 0;
-  deliveries.length = 0;
-  orders.length = 0;
-  tickets.length = 0;
-  Object.keys(users).forEach((key) => delete users[key]);
-  Object.keys(carts).forEach((key) => delete carts[key]);
-  currentUser = null;
-  sessionStore.clear(() => {});
-}
-
 setInterval(async () => {
   try {
     await web3.eth.net.isListening();
+    if (!ganacheWasUp) console.info('Ganache connection restored.');
     ganacheWasUp = true;
   } catch (_err) {
     if (ganacheWasUp) {
       ganacheWasUp = false;
-      clearDemoState('ganache connection lost');
+      console.warn('Ganache connection lost; the product catalog will be reloaded when it is back.');
+      listOfProducts = [];
+      products.length = 0;
     }
   }
 }, 5000);
+
+// Orders, delivery assignments and roles are read from the contract's events (store.chainIndex)
+const chainIndexer = createChainIndexer({
+  web3,
+  getContract: () => getContractInstanceAsync(),
+  index: store.chainIndex,
+  pollMs: Number(process.env.INDEXER_POLL_MS) || 3000
+});
+chainIndexer.start();
+
+// Pages catch the index up before reading it, so they include the app's own transactions
+async function refreshChainIndex() {
+  try {
+    await chainIndexer.sync();
+  } catch (error) {
+    console.warn('Chain index is behind the node:', error?.message || error);
+  }
+}
+
 const supportReasons = [
   'Damaged Item',
   'Cancelled Order',
@@ -121,7 +266,81 @@ const DELIVERY_STATUS = {
   PENDING: 'pending',
   OUT_FOR_DELIVERY: 'out_for_delivery',
   DELIVERED_PENDING: 'delivered_pending',
-  COMPLETED: 'completed'
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+// Mirrors RepublicSurpriseContract.OrderStatus
+const CHAIN_ORDER_STATUS = {
+  PENDING: 0,
+  PAID: 1,
+  OUT_FOR_DELIVERY: 2,
+  PENDING_CONFIRMATION: 3,
+  COMPLETED: 4,
+  CANCELLED: 5
+};
+const CHAIN_STATUS_LABELS = {
+  [CHAIN_ORDER_STATUS.PENDING]: 'Pending',
+  [CHAIN_ORDER_STATUS.PAID]: 'Paid',
+  [CHAIN_ORDER_STATUS.OUT_FOR_DELIVERY]: 'Out for delivery',
+  [CHAIN_ORDER_STATUS.PENDING_CONFIRMATION]: 'Pending confirmation',
+  [CHAIN_ORDER_STATUS.COMPLETED]: 'Completed',
+  [CHAIN_ORDER_STATUS.CANCELLED]: 'Cancelled'
+};
+// Allowed order status transitions and who may make each one; mirrors _moveTo() in the contract.
+// 'delivery' is the delivery man assigned to the order (claiming a paid order assigns it).
+// Pending -> Paid only happens through checkout, and a completed order can only be cancelled by a full refund.
+const ORDER_TRANSITIONS = {
+  [CHAIN_ORDER_STATUS.PENDING]: {
+    [CHAIN_ORDER_STATUS.CANCELLED]: ['buyer', 'admin']
+  },
+  [CHAIN_ORDER_STATUS.PAID]: {
+    [CHAIN_ORDER_STATUS.OUT_FOR_DELIVERY]: ['delivery', 'admin'],
+    [CHAIN_ORDER_STATUS.CANCELLED]: ['buyer', 'admin']
+  },
+  [CHAIN_ORDER_STATUS.OUT_FOR_DELIVERY]: {
+    [CHAIN_ORDER_STATUS.PENDING_CONFIRMATION]: ['delivery', 'admin'],
+    [CHAIN_ORDER_STATUS.CANCELLED]: ['admin']
+  },
+  [CHAIN_ORDER_STATUS.PENDING_CONFIRMATION]: {
+    [CHAIN_ORDER_STATUS.OUT_FOR_DELIVERY]: ['admin'],
+    [CHAIN_ORDER_STATUS.COMPLETED]: ['admin'],
+    [CHAIN_ORDER_STATUS.CANCELLED]: ['admin']
+  },
+  [CHAIN_ORDER_STATUS.COMPLETED]: {},
+  [CHAIN_ORDER_STATUS.CANCELLED]: {}
+};
+const TRANSITION_ACTOR_LABELS = {
+  buyer: 'the buyer',
+  admin: 'an admin',
+  delivery: 'the assigned delivery man'
+};
+const CHAIN_TO_DELIVERY_STATUS = {
+  [CHAIN_ORDER_STATUS.PAID]: DELIVERY_STATUS.PENDING,
+  [CHAIN_ORDER_STATUS.OUT_FOR_DELIVERY]: DELIVERY_STATUS.OUT_FOR_DELIVERY,
+  [CHAIN_ORDER_STATUS.PENDING_CONFIRMATION]: DELIVERY_STATUS.DELIVERED_PENDING,
+  [CHAIN_ORDER_STATUS.COMPLETED]: DELIVERY_STATUS.COMPLETED,
+  [CHAIN_ORDER_STATUS.CANCELLED]: DELIVERY_STATUS.CANCELLED
+};
+const DELIVERY_TO_CHAIN_STATUS = Object.fromEntries(
+  Object.entries(CHAIN_TO_DELIVERY_STATUS).map(([chain, local]) => [local, Number(chain)])
+);
+// Order status wording used by the admin pages for each on-chain status
+const CHAIN_TO_ORDER_STATUS = {
+  [CHAIN_ORDER_STATUS.PAID]: 'Pending Delivery Confirmation',
+  [CHAIN_ORDER_STATUS.OUT_FOR_DELIVERY]: 'Pending Delivery Confirmation',
+  [CHAIN_ORDER_STATUS.PENDING_CONFIRMATION]: 'Pending Delivery Confirmation',
+  [CHAIN_ORDER_STATUS.COMPLETED]: 'Completed',
+  [CHAIN_ORDER_STATUS.CANCELLED]: 'Cancelled'
+};
+// Labels for the notes the contract writes through _logDelivery
+const DELIVERY_LOG_LABELS = {
+  ORDER_PAID: 'Payment confirmed',
+  OUT_FOR_DELIVERY: 'Out for delivery',
+  PROOF_SUBMITTED: 'Delivery proof submitted',
+  DELIVERY_CONFIRMED: 'Delivery confirmed',
+  PARTIALLY_REFUNDED: 'Partially refunded',
+  REFUNDED: 'Refunded',
+  ORDER_CANCELLED: 'Order cancelled'
 };
 const deliveryProofUpload = multer({ storage: multer.memoryStorage() });
 
@@ -155,48 +374,183 @@ app.get('/register', (_req, res) => {
   });
 });
 
+// Sign-in nonces for wallet proofs (login and registration), keyed by nonce.
+// Each nonce is bound to one wallet and purpose, expires after SIGN_IN_NONCE_TTL_MS and is deleted on first use.
+const SIGN_IN_NONCE_TTL_MS = 5 * 60 * 1000;
+const signInNonces = new Map();
+
+function pruneSignInNonces() {
+  const now = Date.now();
+  signInNonces.forEach((entry, nonce) => {
+    if (entry.expiresAt <= now) signInNonces.delete(nonce);
+  });
+}
+
+// Sign-In with Ethereum style message; the exact text is kept with the nonce and checked on submit
+function buildSignInMessage({ domain, uri, wallet, purpose, nonce, issuedAt, expiresAt }) {
+  const statement = purpose === 'register'
+    ? 'Register this wallet with Republic Surprise.'
+    : 'Sign in to Republic Surprise.';
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    web3.utils.toChecksumAddress(wallet),
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${process.env.CHAIN_ID || 1337}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`,
+    `Expiration Time: ${new Date(expiresAt).toISOString()}`
+  ].join('\n');
+}
+
+function issueSignInNonce(req, wallet, purpose) {
+  pruneSignInNonces();
+  const nonce = web3.utils.randomHex(16).slice(2);
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + SIGN_IN_NONCE_TTL_MS;
+  const domain = req.get('host') || 'localhost';
+  const message = buildSignInMessage({
+    domain,
+    uri: `${req.protocol}://${domain}`,
+    wallet,
+    purpose,
+    nonce,
+    issuedAt,
+    expiresAt
+  });
+  signInNonces.set(nonce, { wallet, purpose, message, expiresAt });
+  return { nonce, message, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+// Recover the signer of a submitted sign-in message. Returns the lower-cased wallet or throws
+// with a message for the page. The nonce is consumed even when the proof fails.
+function verifySignInProof(body, purpose) {
+  const wallet = String(body?.walletAddress || '').trim().toLowerCase();
+  const nonce = String(body?.nonce || '').trim();
+  const signature = String(body?.signature || '').trim();
+  if (!wallet) throw new Error('Wallet address is required.');
+  if (!nonce || !signature) throw new Error('Please sign the sign-in message with MetaMask.');
+
+  const entry = signInNonces.get(nonce);
+  signInNonces.delete(nonce);
+  if (!entry || entry.purpose !== purpose || entry.wallet !== wallet) {
+    throw new Error('This sign-in request is invalid or was already used. Please try again.');
+  }
+  if (entry.expiresAt <= Date.now()) {
+    throw new Error('This sign-in request has expired. Please sign again.');
+  }
+
+  let signer = '';
+  try {
+    signer = web3.eth.accounts.recover(entry.message, signature).toLowerCase();
+  } catch (_err) {
+    throw new Error('The signature could not be read. Please sign again.');
+  }
+  if (signer !== wallet) {
+    throw new Error('The signature does not match this wallet.');
+  }
+  return wallet;
+}
+
 // Wallet availability check used by registration/login pages
 app.get('/register/check-wallet', (req, res) => {
   const wallet = (req.query.walletAddress || '').trim().toLowerCase();
   res.json({ inUse: !!users[wallet] });
 });
 
-function getInitialRoleForRegistration() {
-  const count = Object.keys(users).length;
-  if (count === 0) return 'admin';
-  if (count === 1) return 'delivery man';
-  return 'user';
+// Issue a single-use nonce and the message the wallet has to sign
+app.get('/auth/nonce', (req, res) => {
+  const wallet = String(req.query.walletAddress || '').trim().toLowerCase();
+  const purpose = req.query.purpose === 'register' ? 'register' : 'login';
+  if (!web3.utils.isAddress(wallet)) {
+    return res.status(400).json({ error: 'A valid wallet address is required.' });
+  }
+  if (purpose === 'login' && !users[wallet]) {
+    return res.status(404).json({ error: 'Wallet not registered. Please register first.' });
+  }
+  if (purpose === 'register' && users[wallet]) {
+    return res.status(409).json({ error: 'This wallet is already registered.' });
+  }
+  res.json(issueSignInNonce(req, wallet, purpose));
+});
+
+// Role enum of the contract, indexed by its numeric value
+const CHAIN_ROLE_LABELS = ['', 'user', 'delivery man', 'admin', 'seller'];
+
+async function readChainRole(contract, wallet) {
+  const value = Number(await contract.methods.roles(wallet).call());
+  return CHAIN_ROLE_LABELS[value] || '';
 }
 
-// Handle registration
-app.post('/register', (req, res) => {
-  const { walletAddress, name, address, contact } = req.body;
-  const wallet = (walletAddress || '').trim().toLowerCase();
-  if (!wallet) {
-    return res.status(400).render('registration', {
-      user: null,
-      errorMessages: ['Wallet address is required'],
-      successMessages: []
-    });
+function readProfileInput(body) {
+  return {
+    name: String(body?.name || '').trim(),
+    address: String(body?.address || '').trim(),
+    contact: String(body?.contact || '').trim()
+  };
+}
+
+// keccak256(abi.encode(name, address, contact)); only this hash is stored on-chain
+function hashUserProfile({ name, address, contact }) {
+  return web3.utils.keccak256(
+    web3.eth.abi.encodeParameters(['string', 'string', 'string'], [name, address, contact])
+  );
+}
+
+// Handle registration: registerUser() assigns the role on-chain, the local record keeps the details
+app.post('/register', async (req, res) => {
+  const wallet = String(req.body.walletAddress || '').trim().toLowerCase();
+  const profile = readProfileInput(req.body);
+  const renderError = (message, status = 400) => res.status(status).render('registration', {
+    user: null,
+    errorMessages: [message],
+    successMessages: []
+  });
+  if (!wallet) return renderError('Wallet address is required');
+  if (!profile.name || !profile.address || !profile.contact) {
+    return renderError('Name, address and contact number are required.');
   }
-  if (users[wallet]) {
-    return res.status(400).render('registration', {
-      user: null,
-      errorMessages: ['This wallet is already registered.'],
-      successMessages: []
-    });
+  try {
+    verifySignInProof(req.body, 'register');
+  } catch (error) {
+    return renderError(error.message, 401);
+  }
+  if (users[wallet]) return renderError('This wallet is already registered.');
+
+  const contract = await getContractInstanceAsync();
+  if (!contract) return renderError('Smart contract is not configured.', 500);
+
+  const profileHash = hashUserProfile(profile);
+  let role = '';
+  try {
+    const onChain = await contract.methods.users(wallet).call();
+    if (!onChain.exists) {
+      const [from] = await web3.eth.getAccounts();
+      if (!from) throw new Error('No unlocked blockchain account is available.');
+      await sendContractMethod(contract.methods.registerUser(wallet, profileHash), { from });
+    } else if (onChain.profileHash !== profileHash) {
+      // Registered on-chain before (e.g. the app restarted): the details must match what was hashed then
+      return renderError('This wallet is already registered on-chain with different details.');
+    }
+    role = await readChainRole(contract, wallet);
+  } catch (error) {
+    console.error('Error registering user on-chain:', error);
+    return renderError(describeContractError(error, 'Unable to register on-chain.'), 500);
   }
-  const assignedRole = normalizeRoleInput(getInitialRoleForRegistration());
+
   // Persist full profile details so admin dashboard and profile pages can display them
   users[wallet] = {
-    walletAddress,
-    name: name || 'User',
-    role: assignedRole,
-    address: (address || '').trim(),
-    contact: (contact || '').trim()
+    walletAddress: req.body.walletAddress.trim(),
+    ...profile,
+    role: role || 'user',
+    profileHash
   };
-  currentUser = users[wallet];
-  req.session.user = currentUser;
+  store.users.save(users[wallet]);
+  req.user = users[wallet];
+  req.session.user = req.user;
   res.render('login', {
     user: null,
     errorMessages: [],
@@ -213,8 +567,8 @@ app.get('/login', (_req, res) => {
   });
 });
 
-// Handle login by wallet
-app.post('/login', (req, res) => {
+// Handle login by signed wallet message
+app.post('/login', async (req, res) => {
   const wallet = (req.body.walletAddress || '').trim().toLowerCase();
   const found = users[wallet];
   if (!found) {
@@ -224,104 +578,203 @@ app.post('/login', (req, res) => {
       successMessages: []
     });
   }
+  try {
+    verifySignInProof(req.body, 'login');
+  } catch (error) {
+    return res.status(401).render('login', {
+      user: null,
+      errorMessages: [error.message],
+      successMessages: []
+    });
+  }
+  const contract = await getContractInstanceAsync();
+  if (contract) {
+    const chainRole = await readChainRole(contract, wallet).catch(() => '');
+    if (chainRole) found.role = chainRole;
+  }
   found.role = normalizeRoleInput(found.role);
-  currentUser = found;
-  req.session.user = currentUser;
-  if (currentUser.role === 'admin') {
+  store.users.save(found);
+  req.user = found;
+  req.session.user = req.user;
+  if (req.user.role === 'admin') {
     return res.redirect('/admin/dashboard');
   }
+  if (req.user.role === 'seller') return res.redirect('/seller/dashboard');
   res.redirect('/user/home');
 });
 
-app.post('/logout', (_req, res) => {
-  currentUser = null;
-  if (_req.session) {
-    _req.session.destroy(() => res.redirect('/'));
+app.post('/logout', (req, res) => {
+  if (req.session) {
+    req.session.destroy(() => res.redirect('/'));
   } else {
     res.redirect('/');
   }
 });
 
 // Minimal user home route
-app.get('/user/home', (_req, res) => {
-  if (!currentUser) return res.redirect('/login');
-  if (isDeliveryUser(currentUser)) return res.redirect('/delivery/dashboard');
+app.get('/user/home', requireLogin, (req, res) => {
+  if (isDeliveryUser(req.user)) return res.redirect('/delivery/dashboard');
+  if (req.user.role === 'seller') return res.redirect('/seller/dashboard');
   res.render('user-home', {
-    user: currentUser,
+    user: req.user,
+    errorMessages: [],
+    successMessages: []
+  });
+});
+
+// Profile page: details live off-chain, their hash is checked against users() on the contract
+app.get('/profile', requireLogin, async (req, res) => {
+  const wallet = (req.user.walletAddress || '').toLowerCase();
+  const profile = users[wallet] || req.user;
+  let chainProfileHash = '';
+  const contract = await getContractInstanceAsync();
+  if (contract) {
+    const onChain = await contract.methods.users(wallet).call().catch(() => null);
+    if (onChain?.exists) chainProfileHash = onChain.profileHash;
+  }
+  res.render('user-profile', {
+    user: req.user,
+    profile,
+    chainProfileHash,
+    profileVerified: !!chainProfileHash && chainProfileHash === hashUserProfile(readProfileInput(profile)),
     errorMessages: [],
     successMessages: []
   });
 });
 
-app.get('/shopping', async (_req, res) => {
-  if (!currentUser) return res.redirect('/login');
-  if (isDeliveryUser(currentUser)) return res.redirect('/delivery/dashboard');
+// updateProfile() must come from the user's own wallet, so hand back the call data for MetaMask
+app.post('/profile/prepare', requireLogin, async (req, res) => {
+  const profile = readProfileInput(req.body);
+  if (!profile.name || !profile.address || !profile.contact) {
+    return res.status(400).json({ success: false, message: 'Name, address and contact number are required.' });
+  }
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    return res.status(500).json({ success: false, message: 'Smart contract is not configured.' });
+  }
+  const profileHash = hashUserProfile(profile);
+  const method = contract.methods.updateProfile(profileHash);
+  try {
+    await method.call({ from: req.user.walletAddress });
+  } catch (error) {
+    return res.status(400).json({ success: false, message: describeContractError(error, 'Profile cannot be updated.') });
+  }
+  return res.json({
+    success: true,
+    profileHash,
+    transaction: { to: contractAddress, data: method.encodeABI() }
+  });
+});
+
+app.post('/profile', requireLogin, async (req, res) => {
+  const wallet = (req.user.walletAddress || '').toLowerCase();
+  const profile = readProfileInput(req.body);
+  const txHash = String(req.body?.txHash || '').trim();
+  if (!/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+    return res.status(400).json({ success: false, message: 'Invalid transaction hash.' });
+  }
+  if (!users[wallet]) return res.status(404).json({ success: false, message: 'User not found' });
+  const receipt = await waitForReceipt(txHash);
+  const updates = receipt && Number(receipt.status) === 1
+    ? decodeContractEvents(receipt, 'UserProfileUpdated')
+    : [];
+  const profileHash = hashUserProfile(profile);
+  const matches = updates.some((event) => String(event.user).toLowerCase() === wallet
+    && event.profileHash === profileHash);
+  if (!matches) {
+    return res.status(400).json({ success: false, message: 'Transaction did not update this profile.' });
+  }
+  store.users.save(Object.assign(users[wallet], profile, { profileHash }));
+  req.user = users[wallet];
+  req.session.user = req.user;
+  return res.json({ success: true, profileHash });
+});
+
+app.get('/shopping', requireLogin, async (req, res) => {
+  if (isDeliveryUser(req.user)) return res.redirect('/delivery/dashboard');
   await syncProductsFromChain();
-  const cart = carts[currentUser.walletAddress?.toLowerCase()] || [];
+  const cart = carts[req.user.walletAddress?.toLowerCase()] || [];
   const cartCount = cart.reduce((sum, item) => sum + Number(item.qty || 0), 0);
   res.render('user-shopping', {
-    user: currentUser,
+    user: req.user,
     errorMessages: [],
     successMessages: [],
     cart,
     cartCount,
-    products
+    initialResults: searchCatalog({})
   });
 });
 
-app.get('/cart', (_req, res) => {
-  if (!currentUser) return res.redirect('/login');
-  if (isDeliveryUser(currentUser)) return res.redirect('/delivery/dashboard');
-  const cart = carts[currentUser.walletAddress?.toLowerCase()] || [];
-  const totals = getCartTotals(cart);
-  res.render('cart', {
-    user: currentUser,
-    errorMessages: [],
-    successMessages: [],
+app.get('/cart', requireLogin, (req, res) => {
+  if (isDeliveryUser(req.user)) return res.redirect('/delivery/dashboard');
+  return renderCart(req, res);
+});
+
+async function renderCart(req, res, { errorMessages = [], successMessages = [], status = 200 } = {}) {
+  const cart = carts[req.user.walletAddress?.toLowerCase()] || [];
+  const pricing = await getCartPricing(req, cart);
+  res.status(status).render('cart', {
+    user: req.user,
+    errorMessages,
+    successMessages,
     items: cart,
     cart,
-    totals
+    totals: getCartTotals(cart, pricing),
+    loyalty: pricing.redemption,
+    promotion: pricing.promotion,
+    shipping: pricing.shipping
   });
-});
+}
 
-app.get('/api/cart', (_req, res) => {
-  if (!currentUser) return res.status(401).json({ success: false, message: 'Login required' });
-  if (isDeliveryUser(currentUser)) return res.status(403).json({ success: false, message: 'Not allowed' });
-  const cart = carts[currentUser.walletAddress?.toLowerCase()] || [];
-  const totals = getCartTotals(cart);
+app.get('/api/cart', requireRole('user', 'admin'), async (req, res) => {
+  const cart = carts[req.user.walletAddress?.toLowerCase()] || [];
+  const totals = getCartTotals(cart, await getCartPricing(req, cart));
   return res.json({ success: true, items: cart, totals });
 });
 
-app.get('/order-tracking', (_req, res) => {
-  if (!currentUser) return res.redirect('/login');
+// Catalog search: full-text q over name and description, facet filters (category, series, tag,
+// availability, price), sort and a cursor for the next page. Admins may add includeInactive=true.
+app.get('/api/products', async (req, res) => {
+  await syncProductsFromChain();
+  try {
+    const result = searchCatalog(readCatalogQuery(req.query, { admin: req.user?.role === 'admin' }));
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof RangeError) return res.status(400).json({ success: false, message: error.message });
+    console.error('Error searching the catalog:', error);
+    return res.status(500).json({ success: false, message: 'Unable to search the catalog.' });
+  }
+});
+
+app.get('/order-tracking', requireLogin, async (req, res) => {
+  await refreshChainIndex();
   res.render('order-tracking', {
-    user: currentUser,
+    user: req.user,
     errorMessages: [],
     successMessages: [],
-    orders: getOrdersForUser(currentUser)
+    orders: getOrdersForUser(req.user)
   });
 });
 
-app.get('/support', (_req, res) => {
-  if (!currentUser) return res.redirect('/login');
-  if (isDeliveryUser(currentUser)) return res.redirect('/delivery/dashboard');
+app.get('/support', requireLogin, async (req, res) => {
+  if (isDeliveryUser(req.user)) return res.redirect('/delivery/dashboard');
+  await refreshChainIndex();
   res.render('support', {
-    user: currentUser,
-    orders: getOrdersForUser(currentUser),
+    user: req.user,
+    orders: getOrdersForUser(req.user),
     reasons: supportReasons,
     errorMessages: [],
     successMessages: []
   });
 });
 
-app.post('/support', (req, res) => {
-  if (!currentUser) return res.redirect('/login');
-  if (isDeliveryUser(currentUser)) return res.redirect('/delivery/dashboard');
+app.post('/support', requireLogin, (req, res) => {
+  if (isDeliveryUser(req.user)) return res.redirect('/delivery/dashboard');
 
   supportUpload.single('attachment')(req, res, (err) => {
     const renderError = (messages) => res.status(400).render('support', {
-      user: currentUser,
-      orders: getOrdersForUser(currentUser),
+      user: req.user,
+      orders: getOrdersForUser(req.user),
       reasons: supportReasons,
       errorMessages: Array.isArray(messages) ? messages : [messages],
       successMessages: []
@@ -335,7 +788,7 @@ app.post('/support', (req, res) => {
     const normalizedReason = String(reason || '').trim();
     const trimmedDescription = String(description || '').trim();
     const selectedOrder = orders.find((o) => String(o.id) === String(orderId));
-    const wallet = (currentUser.walletAddress || '').toLowerCase();
+    const wallet = (req.user.walletAddress || '').toLowerCase();
 
     if (!orderId || !selectedOrder) {
       return renderError('Please choose a valid order.');
@@ -374,7 +827,8 @@ app.post('/support', (req, res) => {
       description: trimmedDescription,
       status: 'Pending Approval',
       type: 'Pending',
-      amount: Number(selectedOrder.price || 0),
+      amount: Number(selectedOrder.paidAmount || 0),
+      currency: currencyOf(selectedOrder).symbol,
       createdAt: new Date().toISOString(),
       resolvedAt: '',
       refundTx: '',
@@ -391,10 +845,12 @@ app.post('/support', (req, res) => {
     tickets.push(ticket);
     selectedOrder.ticketId = ticketId;
     selectedOrder.refundStatus = ticket.status;
+    store.tickets.save(ticket);
+    store.orders.save(selectedOrder);
 
     return res.render('support', {
-      user: currentUser,
-      orders: getOrdersForUser(currentUser),
+      user: req.user,
+      orders: getOrdersForUser(req.user),
       reasons: supportReasons,
       errorMessages: [],
       successMessages: ['Your complaint has been submitted.']
@@ -403,127 +859,158 @@ app.post('/support', (req, res) => {
 });
 
 // Delivery dashboard + status flows
-app.get('/delivery/dashboard', (_req, res) => {
-  if (!currentUser || currentUser.role !== 'delivery man') return res.redirect('/login');
-  const wallet = (currentUser.walletAddress || '').toLowerCase();
-  const assignedDeliveries = deliveries.filter(
-    (delivery) => (delivery.assignedTo || '').toLowerCase() === wallet
-  );
-  const pendingDeliveries = deliveries.filter(
-    (delivery) => !delivery.assignedTo && delivery.status === DELIVERY_STATUS.PENDING
-  );
-  res.render('delivery-home', {
-    user: currentUser,
-    deliveryName: currentUser.name || 'Delivery Partner',
-    deliveries: assignedDeliveries,
-    pendingDeliveries,
-    stats: computeDeliveryStats(assignedDeliveries),
-    errorMessages: [],
+async function renderDeliveryDashboard(res, { errorMessages = [], status = 200 } = {}) {
+  const wallet = (res.locals.user.walletAddress || '').toLowerCase();
+  await refreshChainIndex();
+  const board = getDeliveryBoard(wallet);
+  res.status(status).render('delivery-home', {
+    user: res.locals.user,
+    deliveryName: res.locals.user.name || 'Delivery Partner',
+    deliveries: board.assigned,
+    pendingDeliveries: board.claimable,
+    stats: computeDeliveryStats(board.assigned),
+    errorMessages,
     successMessages: []
   });
+}
+
+app.get('/delivery/dashboard', requireRole('delivery man'), async (_req, res) => {
+  await renderDeliveryDashboard(res);
 });
 
-app.get('/delivery-history', (_req, res) => {
-  if (!currentUser || currentUser.role !== 'delivery man') return res.redirect('/login');
-  const wallet = (currentUser.walletAddress || '').toLowerCase();
-  const history = deliveries
-    .filter((delivery) => (delivery.assignedTo || '').toLowerCase() === wallet)
-    .filter((delivery) =>
-      [DELIVERY_STATUS.DELIVERED_PENDING, DELIVERY_STATUS.COMPLETED].includes(delivery.status)
-    )
+app.get('/delivery-history', requireRole('delivery man'), async (req, res) => {
+  const wallet = (req.user.walletAddress || '').toLowerCase();
+  await refreshChainIndex();
+  const history = store.chainIndex
+    .listOrders({
+      deliveryMan: wallet,
+      statuses: [CHAIN_ORDER_STATUS.PENDING_CONFIRMATION, CHAIN_ORDER_STATUS.COMPLETED]
+    })
+    .map((indexed) => toOrderRow(indexed).delivery)
+    .filter(Boolean)
     .map((delivery) => ({ ...delivery, status: toDeliveryDisplayStatus(delivery.status) }));
   res.render('delivery-history', {
-    user: currentUser,
-    deliveryName: currentUser.name || 'Delivery Partner',
+    user: req.user,
+    deliveryName: req.user.name || 'Delivery Partner',
     history,
     errorMessages: [],
     successMessages: []
   });
 });
 
-app.get('/delivery/order/:id', (req, res) => {
-  if (!currentUser) return res.redirect('/login');
+app.get('/delivery/order/:id', requireLogin, (req, res) => {
   const delivery = deliveries.find((item) => String(item.id) === String(req.params.id));
   if (!delivery) return res.status(404).send('Delivery not found');
   const deliveryView = { ...delivery, status: toDeliveryDisplayStatus(delivery.status) };
   res.render('delivery-order-detail', {
-    user: currentUser,
+    user: req.user,
     delivery: deliveryView,
     errorMessages: [],
     successMessages: []
   });
 });
 
-app.post('/deliveries/:id/claim', (req, res) => {
-  if (!currentUser || currentUser.role !== 'delivery man') return res.redirect('/login');
+app.post('/deliveries/:id/claim', requireRole('delivery man'), async (req, res) => {
   const delivery = deliveries.find((item) => String(item.id) === String(req.params.id));
   if (!delivery) return res.status(404).send('Delivery not found');
-  delivery.assignedTo = currentUser.walletAddress || '';
-  delivery.deliveryName = currentUser.name || 'Delivery Partner';
-  if (delivery.status === DELIVERY_STATUS.PENDING) {
-    delivery.status = DELIVERY_STATUS.OUT_FOR_DELIVERY;
+  const order = getOrderForDelivery(delivery);
+  if (!order?.chainOrderId) {
+    return renderDeliveryDashboard(res, { errorMessages: ['This delivery has no on-chain order to claim.'], status: 400 });
   }
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    return renderDeliveryDashboard(res, { status: 500 });
+  }
+
+  try {
+    const from = await resolveDeliveryAccount(contract, req.user);
+    await transitionOrder(contract, order, CHAIN_ORDER_STATUS.OUT_FOR_DELIVERY, { actor: 'delivery', from });
+  } catch (error) {
+    console.error('Error claiming delivery on-chain:', error);
+    const message = describeContractError(error, 'Unable to claim delivery on-chain.');
+    return renderDeliveryDashboard(res, { errorMessages: [message], status: 400 });
+  }
+
+  delivery.deliveryName = req.user.name || 'Delivery Partner';
+  store.deliveries.save(delivery);
   res.redirect('/delivery/dashboard');
 });
 
-app.post('/deliveries/:id/submit-proof', deliveryProofUpload.single('proofImage'), (req, res) => {
-  if (!currentUser || currentUser.role !== 'delivery man') return res.redirect('/login');
+app.post('/deliveries/:id/submit-proof', requireRole('delivery man'), deliveryProofUpload.single('proofImage'), async (req, res) => {
   const delivery = deliveries.find((item) => String(item.id) === String(req.params.id));
   if (!delivery) return res.status(404).send('Delivery not found');
-  if ((delivery.assignedTo || '') !== (currentUser.walletAddress || '')) {
-    return res.status(403).send('Not assigned to this delivery');
+  const relatedOrder = getOrderForDelivery(delivery);
+  if (!relatedOrder?.chainOrderId) {
+    return renderDeliveryDashboard(res, { errorMessages: ['This delivery has no on-chain order.'], status: 400 });
   }
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    return renderDeliveryDashboard(res, { status: 500 });
+  }
+
+  // Only a fingerprint of the photo goes on-chain; the image itself stays with the delivery record
+  const proofHash = req.file ? web3.utils.keccak256(req.file.buffer) : '';
+  try {
+    const from = await resolveDeliveryAccount(contract, req.user);
+    await transitionOrder(contract, relatedOrder, CHAIN_ORDER_STATUS.PENDING_CONFIRMATION, {
+      actor: 'delivery',
+      from,
+      proof: proofHash
+    });
+  } catch (error) {
+    console.error('Error submitting delivery proof on-chain:', error);
+    const message = describeContractError(error, 'Unable to submit proof on-chain.');
+    return renderDeliveryDashboard(res, { errorMessages: [message], status: 400 });
+  }
+
   if (req.file) {
     delivery.proofImage = {
       data: req.file.buffer.toString('base64'),
-      mimetype: req.file.mimetype
+      mimetype: req.file.mimetype,
+      hash: proofHash
     };
   }
   delivery.remarks = req.body.remarks || delivery.remarks || '';
   delivery.signature = req.body.signature || delivery.signature || '';
-  delivery.status = DELIVERY_STATUS.DELIVERED_PENDING;
-  const relatedOrder = orders.find(
-    (item) => String(item.id) === String(delivery.orderNumber || delivery.id)
-  );
-  if (relatedOrder) {
-    relatedOrder.status = 'Pending Delivery Confirmation';
-    relatedOrder.action = 'delivery proof submitted';
-    relatedOrder.auditLog = relatedOrder.auditLog || [];
-    relatedOrder.auditLog.push({
-      action: 'Delivery proof submitted',
-      timestamp: new Date().toISOString(),
-      function: 'submitProof',
-      txHash: '0xDEMO'
-    });
+  // the shipping fee is not charged at checkout; the delivery man records taking it with the proof
+  if (Number(delivery.shipping?.fee) > 0 && req.body.feeCollected && !delivery.feeCollected) {
+    delivery.feeCollected = {
+      amount: Number(delivery.shipping.fee),
+      at: new Date().toISOString(),
+      by: req.user.name || req.user.walletAddress
+    };
   }
+  store.deliveries.save(delivery);
   res.redirect('/delivery/dashboard');
 });
 
-app.get('/delivery/add-status', (_req, res) => {
-  if (!currentUser || (currentUser.role !== 'delivery man' && currentUser.role !== 'admin')) {
-    return res.redirect('/login');
-  }
+app.get('/delivery/add-status', requireRole('delivery man', 'admin'), (req, res) => {
   res.render('delivery-add-status', {
-    user: currentUser,
+    user: req.user,
     errorMessages: [],
     successMessages: []
   });
 });
 
-app.post('/delivery/add-status', (req, res) => {
-  if (!currentUser || (currentUser.role !== 'delivery man' && currentUser.role !== 'admin')) {
-    return res.redirect('/login');
-  }
+app.post('/delivery/add-status', requireRole('delivery man', 'admin'), (req, res) => {
   const { orderNumber, customer, status } = req.body || {};
   if (!orderNumber || !customer) {
     return res.status(400).render('delivery-add-status', {
-      user: currentUser,
+      user: req.user,
       errorMessages: ['Order number and customer wallet are required.'],
       successMessages: []
     });
   }
+  // new records enter the state machine at the start; later steps go through /delivery/update-status
+  if (normalizeDeliveryStatus(status || 'pending') !== DELIVERY_STATUS.PENDING) {
+    return res.status(400).render('delivery-add-status', {
+      user: req.user,
+      errorMessages: ['New deliveries start as Pending. Update the status once the delivery is underway.'],
+      successMessages: []
+    });
+  }
   const nextId = deliveries.length ? deliveries.length + 1 : 1;
-  deliveries.push({
+  const record = {
     id: nextId,
     deliveryId: orderNumber,
     orderNumber,
@@ -531,59 +1018,99 @@ app.post('/delivery/add-status', (req, res) => {
     customerName: customer,
     address: 'N/A',
     contact: 'N/A',
-    status: normalizeDeliveryStatus(status)
-  });
+    status: DELIVERY_STATUS.PENDING
+  };
+  deliveries.push(record);
+  store.deliveries.save(record);
   res.render('delivery-add-status', {
-    user: currentUser,
+    user: req.user,
     errorMessages: [],
-    successMessages: ['Delivery record added (demo, not persisted).']
+    successMessages: ['Delivery record added.']
   });
 });
 
-app.get('/delivery/update-status', (_req, res) => {
-  if (!currentUser || (currentUser.role !== 'delivery man' && currentUser.role !== 'admin')) {
-    return res.redirect('/login');
-  }
+function renderUpdateStatus(res, { errorMessages = [], successMessages = [], status = 200 } = {}) {
   const deliveriesForView = deliveries.map((delivery) => ({
     ...delivery,
     status: toDeliveryDisplayStatus(delivery.status)
   }));
-  res.render('delivery-update-status', {
-    user: currentUser,
+  res.status(status).render('delivery-update-status', {
+    user: res.locals.user,
     deliveries: deliveriesForView,
-    errorMessages: [],
-    successMessages: []
+    errorMessages,
+    successMessages
   });
+}
+
+app.get('/delivery/update-status', requireRole('delivery man', 'admin'), (_req, res) => {
+  renderUpdateStatus(res);
 });
 
-app.post('/delivery/update-status', upload.single('proof'), (req, res) => {
-  if (!currentUser || (currentUser.role !== 'delivery man' && currentUser.role !== 'admin')) {
-    return res.redirect('/login');
-  }
+app.post('/delivery/update-status', requireRole('delivery man', 'admin'), acceptUploads(imageUpload.single('proof')), async (req, res) => {
   const { id, status } = req.body || {};
   const delivery = deliveries.find((item) => String(item.id) === String(id));
   if (!delivery) return res.status(404).send('Delivery not found');
   const normalized = normalizeDeliveryStatus(status);
-  if (normalized === DELIVERY_STATUS.COMPLETED && currentUser.role !== 'admin') {
-    return res.status(403).send('Only admins can complete deliveries');
+  if (!normalized) {
+    return renderUpdateStatus(res, { errorMessages: [`Unknown delivery status "${status || ''}".`], status: 400 });
+  }
+  if (req.uploadError) return renderUpdateStatus(res, { errorMessages: [req.uploadError], status: 400 });
+  let proofImage = null;
+  if (req.file) {
+    try {
+      proofImage = await imageStore.save(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return renderUpdateStatus(res, { errorMessages: [error.message], status: 400 });
+    }
   }
-  delivery.status = normalized;
-  if (req.file && normalized === DELIVERY_STATUS.DELIVERED_PENDING) {
-    delivery.proofImage = `/images/${req.file.filename}`;
+  const actor = req.user.role === 'admin' ? 'admin' : 'delivery';
+  const to = DELIVERY_TO_CHAIN_STATUS[normalized];
+  const label = `${delivery.deliveryId || delivery.orderNumber}`;
+  const order = getOrderForDelivery(delivery);
+
+  if (!order?.chainOrderId) {
+    // demo records without an on-chain order follow the same transition table locally
+    const wallet = (req.user.walletAddress || '').toLowerCase();
+    const reason = checkOrderTransition(DELIVERY_TO_CHAIN_STATUS[delivery.status], to, actor)
+      || (actor === 'delivery' && (delivery.assignedTo || '').toLowerCase() !== wallet
+        ? 'This delivery is not assigned to you. Claim it from your dashboard first.'
+        : '');
+    if (reason) return renderUpdateStatus(res, { errorMessages: [`${label}: ${reason}`], status: 400 });
+    delivery.status = normalized;
+    if (proofImage && normalized === DELIVERY_STATUS.DELIVERED_PENDING) {
+      delivery.proofImage = proofImage.url;
+    }
+    store.deliveries.save(delivery);
+    return renderUpdateStatus(res, { successMessages: [`${label}: ${toDeliveryDisplayStatus(normalized)}.`] });
   }
-  res.redirect('/delivery/update-status');
-});
 
-// Cart APIs
-app.post('/cart/add', (req, res) => {
-  if (!currentUser) {
-    return res.status(401).json({ redirect: '/login' });
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    return renderUpdateStatus(res, { errorMessages: ['Smart contract is not configured.'], status: 500 });
+  }
+  try {
+    const from = actor === 'admin'
+      ? await resolveAdminAccount(contract, req.user)
+      : await resolveDeliveryAccount(contract, req.user);
+    const proof = req.file ? web3.utils.keccak256(req.file.buffer) : '';
+    await transitionOrder(contract, order, to, { actor, from, proof });
+  } catch (error) {
+    console.error('Error updating delivery status on-chain:', error);
+    const message = describeContractError(error, 'Unable to update the status on-chain.');
+    return renderUpdateStatus(res, { errorMessages: [`${label}: ${message}`], status: 400 });
   }
-  if (isDeliveryUser(currentUser)) {
-    return res.status(403).json({ error: 'Delivery accounts cannot use the cart.' });
+  if (proofImage && normalized === DELIVERY_STATUS.DELIVERED_PENDING) {
+    delivery.proofImage = proofImage.url;
+    store.deliveries.save(delivery);
   }
+  if (to === CHAIN_ORDER_STATUS.CANCELLED) await syncProductsFromChain();
+  return renderUpdateStatus(res, { successMessages: [`${label}: ${toDeliveryDisplayStatus(normalized)}.`] });
+});
+
+// Cart APIs
+app.post('/cart/add', requireRole('user', 'admin'), (req, res) => {
   const { id, name, price, qty } = req.body || {};
-  const wallet = currentUser.walletAddress?.toLowerCase();
+  const wallet = req.user.walletAddress?.toLowerCase();
   if (!wallet || !id) return res.status(400).json({ error: 'Invalid cart payload' });
   const cart = carts[wallet] || [];
   const existing = cart.find((item) => String(item.id) === String(id));
@@ -592,58 +1119,106 @@ app.post('/cart/add', (req, res) => {
   } else {
     cart.push({ id, name, price: Number(price || 0), qty: Number(qty || 1) });
   }
-  carts[wallet] = cart;
+  carts[wallet] = store.carts.save(wallet, cart);
   const cartCount = cart.reduce((sum, item) => sum + Number(item.qty || 0), 0);
   return respondCart(req, res, { success: true, cartCount });
 });
 
-app.post('/cart/update', (req, res) => {
-  if (!currentUser) return res.status(401).json({ redirect: '/login' });
-  if (isDeliveryUser(currentUser)) {
-    return res.status(403).json({ error: 'Delivery accounts cannot use the cart.' });
-  }
+app.post('/cart/update', requireRole('user', 'admin'), async (req, res) => {
   const { id, qty } = req.body || {};
-  const wallet = currentUser.walletAddress?.toLowerCase();
+  const wallet = req.user.walletAddress?.toLowerCase();
   const cart = carts[wallet] || [];
   const item = cart.find((p) => String(p.id) === String(id));
   if (item) {
     item.qty = Math.max(0, Number(qty || 0));
-    carts[wallet] = cart.filter((p) => Number(p.qty) > 0);
+    carts[wallet] = store.carts.save(wallet, cart.filter((p) => Number(p.qty) > 0));
   }
   const cartCount = (carts[wallet] || []).reduce((sum, p) => sum + Number(p.qty || 0), 0);
-  const totals = getCartTotals(carts[wallet]);
+  const totals = getCartTotals(carts[wallet], await getCartPricing(req, carts[wallet]));
   return respondCart(req, res, { success: true, cartCount, totals });
 });
 
-app.post('/cart/remove/:id', (req, res) => {
-  if (!currentUser) return res.status(401).json({ redirect: '/login' });
-  if (isDeliveryUser(currentUser)) {
-    return res.status(403).json({ error: 'Delivery accounts cannot use the cart.' });
-  }
-  const wallet = currentUser.walletAddress?.toLowerCase();
+app.post('/cart/remove/:id', requireRole('user', 'admin'), async (req, res) => {
+  const wallet = req.user.walletAddress?.toLowerCase();
   const cart = carts[wallet] || [];
-  carts[wallet] = cart.filter((p) => String(p.id) !== String(req.params.id));
+  carts[wallet] = store.carts.save(wallet, cart.filter((p) => String(p.id) !== String(req.params.id)));
   const cartCount = (carts[wallet] || []).reduce((sum, p) => sum + Number(p.qty || 0), 0);
-  const totals = getCartTotals(carts[wallet]);
+  const totals = getCartTotals(carts[wallet], await getCartPricing(req, carts[wallet]));
   return respondCart(req, res, { success: true, cartCount, totals });
 });
 
-app.post('/cart/clear', (req, res) => {
-  if (!currentUser) return res.status(401).json({ redirect: '/login' });
-  if (isDeliveryUser(currentUser)) {
-    return res.status(403).json({ error: 'Delivery accounts cannot use the cart.' });
-  }
-  const wallet = currentUser.walletAddress?.toLowerCase();
-  carts[wallet] = [];
+app.post('/cart/clear', requireRole('user', 'admin'), (req, res) => {
+  const wallet = req.user.walletAddress?.toLowerCase();
+  carts[wallet] = store.carts.save(wallet, []);
+  delete req.session.redeemPoints;
+  delete req.session.promoCode;
   return respondCart(req, res, { success: true, cartCount: 0, totals: getCartTotals([]) });
 });
 
+// Points to redeem at checkout, kept in the session; 0 stops redeeming.
+// The loyalty contract checks the balance again when the order is paid.
+app.post('/cart/points', requireRole('user', 'admin'), async (req, res) => {
+  const cart = carts[req.user.walletAddress?.toLowerCase()] || [];
+  const points = Number(req.body?.points || 0);
+  const fail = (message) => (acceptsHtml(req)
+    ? renderCart(req, res, { errorMessages: [message], status: 400 })
+    : res.status(400).json({ success: false, message }));
+  if (!Number.isInteger(points) || points < 0) return fail('Points must be a whole number.');
+  const { redemption } = await getCartDiscounts(req, cart);
+  if (!redemption) return fail('Loyalty points are not available right now.');
+  if (points > redemption.maxPoints) {
+    return fail(`You can redeem up to ${redemption.maxPoints} points on this cart.`);
+  }
+  req.session.redeemPoints = points;
+  const totals = getCartTotals(cart, await getCartPricing(req, cart));
+  return respondCart(req, res, { success: true, totals });
+});
+
+// The promo code to use at checkout, kept in the session; an empty code removes it. Each checkout
+// gets a voucher for it, and the promotions contract counts the use when the order is paid.
+app.post('/cart/promo', requireRole('user', 'admin'), async (req, res) => {
+  const cart = carts[req.user.walletAddress?.toLowerCase()] || [];
+  const code = normalizePromoCode(req.body?.code);
+  if (!code) {
+    delete req.session.promoCode;
+    return respondCart(req, res, { success: true, totals: getCartTotals(cart, await getCartPricing(req, cart)) });
+  }
+  const contract = await getContractInstanceAsync();
+  const blocker = contract
+    ? await findPromoBlocker(contract, store.promoCodes.get(code), req.user.walletAddress, cart)
+    : 'Smart contract is not configured.';
+  if (blocker) {
+    return acceptsHtml(req)
+      ? renderCart(req, res, { errorMessages: [blocker], status: 400 })
+      : res.status(400).json({ success: false, message: blocker });
+  }
+  req.session.promoCode = code;
+  return respondCart(req, res, { success: true, totals: getCartTotals(cart, await getCartPricing(req, cart)) });
+});
+
 // Helpers
-function getCartTotals(cart = []) {
+// pricing is what getCartPricing() returns. The promo code and redeemed points come off the
+// items, not the shipping; discount is the two together. No delivery option means no shipping fee.
+// Shipping is collected on delivery, so it is listed but left out of the total paid at checkout;
+// owed is what the shopper pays in all, the checkout total and the fee handed to the delivery man.
+function getCartTotals(cart = [], { promotion = null, redemption = null, shipping: delivery = null } = {}) {
   const subtotal = cart.reduce((sum, item) => sum + Number(item.price || 0) * Number(item.qty || 0), 0);
-  const shipping = subtotal > 0 ? 5 : 0;
-  const total = subtotal + shipping;
-  return { subtotal, shipping, total };
+  const shipping = subtotal > 0 && delivery?.selected ? centsToSgd(delivery.selected.fee) : 0;
+  const promoDiscount = Math.min(Number(promotion?.discount || 0), subtotal);
+  const pointsDiscount = Math.min(Number(redemption?.discount || 0), subtotal - promoDiscount);
+  const discount = promoDiscount + pointsDiscount;
+  return {
+    subtotal,
+    shipping,
+    promoCode: promoDiscount ? promotion.code : '',
+    promoDiscount,
+    pointsDiscount,
+    pointsRedeemed: pointsDiscount ? redemption.points : 0,
+    discount,
+    shippingLabel: subtotal > 0 && delivery?.selected ? delivery.selected.label : '',
+    total: subtotal - discount,
+    owed: subtotal - discount + shipping
+  };
 }
 
 function normalizeDeliveryStatus(status = '') {
@@ -653,7 +1228,23 @@ function normalizeDeliveryStatus(status = '') {
   if (value === 'out for delivery' || value === 'out_for_delivery') return DELIVERY_STATUS.OUT_FOR_DELIVERY;
   if (value === 'delivered pending' || value === 'delivered_pending') return DELIVERY_STATUS.DELIVERED_PENDING;
   if (value === 'completed') return DELIVERY_STATUS.COMPLETED;
-  return value.replace(/\s+/g, '_');
+  if (value === 'cancelled' || value === 'canceled') return DELIVERY_STATUS.CANCELLED;
+  // anything else is not a status the order state machine knows about
+  return '';
+}
+
+// User-facing reason why `actor` may not move an order between two chain statuses, or '' when allowed
+function checkOrderTransition(from, to, actor) {
+  const fromLabel = CHAIN_STATUS_LABELS[from] || 'an unknown status';
+  const toLabel = CHAIN_STATUS_LABELS[to] || 'an unknown status';
+  if (from === to) return `The order is already ${toLabel}.`;
+  const actors = ORDER_TRANSITIONS[from]?.[to];
+  if (!actors) return `An order cannot move from ${fromLabel} to ${toLabel}.`;
+  if (!actors.includes(actor)) {
+    const allowed = actors.map((name) => TRANSITION_ACTOR_LABELS[name]).join(' or ');
+    return `Only ${allowed} can move an order from ${fromLabel} to ${toLabel}.`;
+  }
+  return '';
 }
 
 function toDeliveryDisplayStatus(status = '') {
@@ -664,6 +1255,8 @@ function toDeliveryDisplayStatus(status = '') {
       return 'Pending confirmation';
     case DELIVERY_STATUS.COMPLETED:
       return 'Completed';
+    case DELIVERY_STATUS.CANCELLED:
+      return 'Cancelled';
     case DELIVERY_STATUS.PENDING:
     default:
       return 'Pending';
@@ -681,16 +1274,59 @@ function computeDeliveryStats(list = []) {
 }
 
 function respondCart(req, res, payload) {
-  const acceptsHtml = (req.headers.accept || '').includes('text/html');
-  if (acceptsHtml) {
+  if (acceptsHtml(req)) {
     return res.redirect('/cart');
   }
   return res.json(payload);
 }
 
 function getOrdersForUser(user) {
-  const wallet = (user?.walletAddress || '').toLowerCase();
-  return orders.filter((order) => (order.customer || '').toLowerCase() === wallet);
+  return listOrderRows({ buyer: (user?.walletAddress || '').toLowerCase() });
+}
+
+// Order ids are reused when the chain is rolled back, so checkout records are also matched
+// on the payment transaction (records written before it was stored only have the id)
+function isSameChainOrder(order, indexed) {
+  if (!indexed || String(order?.chainOrderId) !== String(indexed.orderId)) return false;
+  return !order.txHash || order.txHash.toLowerCase() === indexed.txHash.toLowerCase();
+}
+
+// An indexed on-chain order joined with its checkout record (address, names) and delivery record.
+// Returns copies; the stored records are only changed by the flows that own them.
+function toOrderRow(indexed) {
+  const local = orders.find((item) => isSameChainOrder(item, indexed));
+  const delivery = local && getDeliveryForOrder(local.id);
+  return {
+    ...local,
+    id: local?.id || `CHAIN-${indexed.orderId}`,
+    chainOrderId: String(indexed.orderId),
+    customer: indexed.buyer,
+    customerName: local?.customerName || indexed.buyer,
+    product: local?.product || `Product #${indexed.productId}`,
+    // price is the SGD total of the checkout; paidAmount is what the escrow holds, in the order's currency
+    price: Number(local?.price || 0),
+    currency: currencyOf(local),
+    paidAmount: fromCurrencyUnits(indexed.paidWei, currencyOf(local)),
+    qty: indexed.qty,
+    status: CHAIN_TO_ORDER_STATUS[indexed.status] || CHAIN_STATUS_LABELS[indexed.status],
+    chainStatus: indexed.status,
+    updatedAt: indexed.updatedAt,
+    delivery: delivery && {
+      ...delivery,
+      status: CHAIN_TO_DELIVERY_STATUS[indexed.status] || delivery.status,
+      assignedTo: indexed.deliveryMan
+    }
+  };
+}
+
+// Newest first: on-chain orders from the index, then demo orders that never went on-chain
+function listOrderRows({ buyer } = {}) {
+  const indexed = store.chainIndex.listOrders({ buyer }).map(toOrderRow);
+  const offChain = orders
+    .filter((order) => !order.chainOrderId)
+    .filter((order) => !buyer || (order.customer || '').toLowerCase() === buyer)
+    .reverse();
+  return [...indexed, ...offChain];
 }
 
 function getTicketByOrderId(orderId) {
@@ -701,38 +1337,172 @@ function getTicketById(id) {
   return tickets.find((ticket) => String(ticket.id) === String(id));
 }
 
-function getDriversMap() {
-  return Object.values(users).reduce((acc, user) => {
-    if ((user.role || '').toLowerCase() === 'delivery man') {
-      acc[(user.walletAddress || '').toLowerCase()] = user;
-    }
-    return acc;
-  }, {});
+function getDeliveryForOrder(orderId) {
+  return deliveries.find((item) => String(item.orderNumber || item.id) === String(orderId));
 }
 
-function ensureDemoCart(wallet) {
-  const cart = carts[wallet] || [];
-  if (cart.length) return cart;
-  const picks = products.slice(0, 2);
-  const seeded = picks.map((item, idx) => ({
-    id: item.id,
-    name: item.name,
-    price: Number(item.price || 0),
-    qty: idx === 0 ? 2 : 1
-  }));
-  carts[wallet] = seeded;
-  return seeded;
+function markDeliveryCancelled(orderId) {
+  const delivery = getDeliveryForOrder(orderId);
+  if (!delivery) return;
+  delivery.status = DELIVERY_STATUS.CANCELLED;
+  delivery.updatedAt = new Date().toISOString();
+  store.deliveries.save(delivery);
 }
 
-function createOrderFromCart(user, cart) {
-  const nextId = orders.length + 1;
-  const orderId = `ORD-${String(nextId).padStart(4, '0')}`;
-  const primary = cart[0] || {};
-  const qtyTotal = cart.reduce((sum, item) => sum + Number(item.qty || 0), 0);
-  const priceTotal = cart.reduce((sum, item) => sum + Number(item.price || 0) * Number(item.qty || 0), 0);
-  const order = {
-    id: orderId,
-    product: cart.length > 1 ? `${primary.name || 'Item'} + ${cart.length - 1} more` : primary.name || 'Item',
+function getOrderForDelivery(delivery) {
+  return orders.find((item) => String(item.id) === String(delivery?.orderNumber || delivery?.id));
+}
+
+// Deliveries of a delivery man from the chain index: orders assigned to them on-chain, and paid
+// orders nobody has claimed yet. Local delivery records only supply the address/customer.
+function getDeliveryBoard(wallet) {
+  const toDeliveries = (list) => list.map((indexed) => toOrderRow(indexed).delivery).filter(Boolean);
+  return {
+    assigned: toDeliveries(store.chainIndex.listOrders({ deliveryMan: wallet })),
+    claimable: toDeliveries(
+      store.chainIndex.listOrders({ deliveryMan: '', statuses: [CHAIN_ORDER_STATUS.PAID] })
+    )
+  };
+}
+
+const TRANSITION_AUDIT_LABELS = {
+  [CHAIN_ORDER_STATUS.OUT_FOR_DELIVERY]: 'Out for delivery',
+  [CHAIN_ORDER_STATUS.PENDING_CONFIRMATION]: 'Delivery proof submitted',
+  [CHAIN_ORDER_STATUS.COMPLETED]: 'Order completed'
+};
+
+// Move an on-chain order to a new status: check ORDER_TRANSITIONS first for a clear message,
+// pick the contract function for that edge, then mirror the result on the order and delivery records.
+// Throws with a user-facing message; returns the receipt.
+async function transitionOrder(contract, order, to, { actor, from, proof = '' }) {
+  const chainOrderId = order.chainOrderId;
+  const current = Number((await contract.methods.orders(chainOrderId).call()).status);
+  const reason = checkOrderTransition(current, to, actor);
+  if (reason) throw new Error(reason);
+
+  const delivery = getDeliveryForOrder(order.id);
+  let call;
+  if (to === CHAIN_ORDER_STATUS.CANCELLED) {
+    call = ['cancelOrder', chainOrderId];
+  } else if (to === CHAIN_ORDER_STATUS.COMPLETED) {
+    call = ['confirmDelivery', chainOrderId];
+  } else if (to === CHAIN_ORDER_STATUS.PENDING_CONFIRMATION) {
+    call = ['submitProof', chainOrderId, proof];
+  } else if (current === CHAIN_ORDER_STATUS.PAID) {
+    // admins dispatch directly, a delivery man dispatches by claiming the order
+    call = [actor === 'admin' ? 'markOutForDelivery' : 'claimDelivery', chainOrderId, delivery?.deliveryId || ''];
+  } else {
+    call = ['deliveryUpdateStatus', chainOrderId, to, 'OUT_FOR_DELIVERY', ''];
+  }
+  const [functionName, ...args] = call;
+
+  if (actor === 'delivery' && functionName !== 'claimDelivery') {
+    const assigned = String(await contract.methods.orderDeliveryMan(chainOrderId).call()).toLowerCase();
+    if (assigned !== String(from).toLowerCase()) {
+      throw new Error('This delivery is not assigned to you. Claim it from your dashboard first.');
+    }
+  }
+
+  const method = contract.methods[functionName](...args);
+  const receipt = await sendContractMethod(method, { from });
+  if (to === CHAIN_ORDER_STATUS.CANCELLED) {
+    applyOrderCancellation(order, { txHash: receipt.transactionHash, actor });
+    return receipt;
+  }
+
+  const timestamp = new Date().toISOString();
+  if (delivery) {
+    delivery.status = CHAIN_TO_DELIVERY_STATUS[to];
+    delivery.updatedAt = timestamp;
+    if (functionName === 'claimDelivery') delivery.assignedTo = String(from).toLowerCase();
+    store.deliveries.save(delivery);
+  }
+  if (to === CHAIN_ORDER_STATUS.COMPLETED) {
+    order.status = 'Completed';
+    order.action = 'delivery completion';
+  } else if (to === CHAIN_ORDER_STATUS.PENDING_CONFIRMATION) {
+    order.status = 'Pending Delivery Confirmation';
+    order.action = 'delivery proof submitted';
+  }
+  order.updatedAt = timestamp;
+  order.auditLog = order.auditLog || [];
+  order.auditLog.push({
+    action: TRANSITION_AUDIT_LABELS[to],
+    timestamp,
+    function: functionName,
+    txHash: receipt.transactionHash
+  });
+  store.orders.save(order);
+  return receipt;
+}
+
+// Mirror an on-chain cancelOrder() onto the off-chain order and delivery records
+function applyOrderCancellation(order, { txHash, actor }) {
+  order.status = 'Cancelled';
+  order.action = 'order cancellation';
+  order.refundedAmount = Number(order.paidAmount || 0);
+  order.updatedAt = new Date().toISOString();
+  order.auditLog = order.auditLog || [];
+  order.auditLog.push({
+    action: `Order cancelled by ${actor}`,
+    timestamp: order.updatedAt,
+    function: 'cancelOrder',
+    txHash
+  });
+  store.orders.save(order);
+  markDeliveryCancelled(order.id);
+}
+
+// Status timeline for an order from the indexed delivery log
+function getChainOrderTimeline(order) {
+  if (!order?.chainOrderId) return null;
+  const indexed = store.chainIndex.getOrder(order.chainOrderId);
+  if (!isSameChainOrder(order, indexed)) return null;
+  return {
+    status: indexed.status,
+    updatedAt: indexed.updatedAt,
+    cancellable: indexed.status === CHAIN_ORDER_STATUS.PAID,
+    history: store.chainIndex.getOrderLog(order.chainOrderId).map((entry) => ({
+      label: DELIVERY_LOG_LABELS[entry.args.note] || entry.args.note,
+      time: entry.timestamp
+    }))
+  };
+}
+
+// Delivery men by wallet, going by the roles indexed from the contract
+function getDriversMap() {
+  const roles = store.chainIndex.getRoles();
+  return Object.entries(roles).reduce((acc, [wallet, role]) => {
+    if (CHAIN_ROLE_LABELS[role] === 'delivery man') {
+      acc[wallet] = users[wallet] || { walletAddress: wallet, role: 'delivery man' };
+    }
+    return acc;
+  }, {});
+}
+
+function ensureDemoCart(wallet) {
+  const cart = carts[wallet] || [];
+  if (cart.length) return cart;
+  const picks = products.slice(0, 2);
+  const seeded = picks.map((item, idx) => ({
+    id: item.id,
+    name: item.name,
+    price: Number(item.price || 0),
+    qty: idx === 0 ? 2 : 1
+  }));
+  carts[wallet] = store.carts.save(wallet, seeded);
+  return seeded;
+}
+
+function createOrderFromCart(user, cart) {
+  const nextId = orders.length + 1;
+  const orderId = `ORD-${String(nextId).padStart(4, '0')}`;
+  const primary = cart[0] || {};
+  const qtyTotal = cart.reduce((sum, item) => sum + Number(item.qty || 0), 0);
+  const priceTotal = cart.reduce((sum, item) => sum + Number(item.price || 0) * Number(item.qty || 0), 0);
+  const order = {
+    id: orderId,
+    product: cart.length > 1 ? `${primary.name || 'Item'} + ${cart.length - 1} more` : primary.name || 'Item',
     customer: (user.walletAddress || '').toLowerCase(),
     customerName: user.name || 'Customer',
     address: user.address || 'N/A',
@@ -751,6 +1521,7 @@ function createOrderFromCart(user, cart) {
     ]
   };
   orders.push(order);
+  store.orders.save(order);
   return order;
 }
 
@@ -779,6 +1550,7 @@ function createDemoOrderForDelivery(deliveryUser) {
     ]
   };
   orders.push(order);
+  store.orders.save(order);
   return order;
 }
 
@@ -787,7 +1559,7 @@ function createDemoDelivery(order, user) {
   const assignedTo =
     (user.role || '').toLowerCase() === 'delivery man' ? user.walletAddress || '' : '';
   const status = assignedTo ? DELIVERY_STATUS.OUT_FOR_DELIVERY : DELIVERY_STATUS.PENDING;
-  deliveries.push({
+  const record = {
     id: nextId,
     deliveryId: `DEL-${String(nextId).padStart(3, '0')}`,
     orderNumber: order.id,
@@ -798,7 +1570,9 @@ function createDemoDelivery(order, user) {
     status,
     proofImage: null,
     assignedTo
-  });
+  };
+  deliveries.push(record);
+  store.deliveries.save(record);
 }
 
 function buildTrackingPayload(order, cart) {
@@ -832,8 +1606,7 @@ function hasFirstLastName(value) {
 }
 
 function requireFullName(req, res, next) {
-  if (!currentUser) return next();
-  const incomingName = req.body?.customerName || currentUser?.name || '';
+  const incomingName = req.body?.customerName || req.user.name || '';
   const normalized = normalizeFullName(incomingName);
   if (!hasFirstLastName(normalized)) {
     return res.status(400).json({
@@ -845,77 +1618,251 @@ function requireFullName(req, res, next) {
   next();
 }
 
-// Create order records coming from the payment page so admins can see them
-app.post('/create-order', requireFullName, (req, res) => {
-  if (!currentUser) return res.status(401).json({ success: false, message: 'Login required' });
+// Build the buyCart() call for the whole cart so the payment page can send it through MetaMask
+app.post('/checkout/prepare', requireRole('user', 'admin'), async (req, res) => {
+  const cart = carts[req.user.walletAddress?.toLowerCase()] || [];
+  if (!cart.length) {
+    return res.status(400).json({ success: false, message: 'Your cart is empty.' });
+  }
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    return res.status(500).json({ success: false, message: 'Smart contract is not configured.' });
+  }
+
+  // The checkout id travels on-chain as the order's deliveryId so receipts can be matched back to it;
+  // it also binds the price quote and promo voucher, so it must not repeat between checkouts
+  const orderId = `ORD-${web3.utils.randomHex(16).slice(2).toUpperCase()}`;
+  const productIds = cart.map((item) => String(item.id));
+  const qtys = cart.map((item) => Number(item.qty || 0));
+  const buyer = req.user.walletAddress;
+  const currencyAddress = String(req.body?.currency || ZERO_ADDRESS).toLowerCase();
+  try {
+    // the contract would revert the payment anyway; say why before MetaMask is opened
+    const dropBlocker = await findDropBlocker(contract, buyer, cart);
+    if (dropBlocker) return res.status(400).json({ success: false, message: dropBlocker });
+    const cents = await contract.methods.cartPrice(productIds, qtys).call();
+    // The promo code and redeemed points come off the total in the order's currency: SGD cents for
+    // ETH, token units otherwise. Each reaches its contract as that checkout hook's data.
+    const address = String(req.body?.address || '').trim() || req.user.address || '';
+    const { promotion, redemption, shipping } = await getCartPricing(req, cart, address);
+    if (promotion?.blocker) return res.status(400).json({ success: false, message: promotion.blocker });
+    // shipping is collected on delivery, not on-chain; the order keeps the service and fee quoted here
+    const service = String(req.body?.shippingService || shipping.selected?.service || '');
+    const delivery = shipping.options.find((option) => option.service === service);
+    if (!delivery) {
+      const message = shipping.options.length
+        ? 'That delivery service is not available for this address.'
+        : 'We do not deliver to that address yet. Check that it ends with its postal code.';
+      return res.status(400).json({ success: false, message });
+    }
+    const hookEntries = [];
+    const promo = promotion && store.promoCodes.get(promotion.code);
+    let promoDiscount = 0n;
+    if (promo) {
+      const scope = promoScope(promo, cart);
+      const lineCents = await getLineTotals(contract, cart, ZERO_ADDRESS, scope);
+      const lineUnits = currencyAddress === ZERO_ADDRESS
+        ? lineCents
+        : await getLineTotals(contract, cart, currencyAddress, scope);
+      promoDiscount = promoDiscountUnits(promo, lineCents, lineUnits);
+    }
+    if (promoDiscount) {
+      const promotions = await getPromotionsInstanceAsync(contract);
+      const voucher = await issuePromoVoucher(contract, promotions, {
+        promo,
+        buyer,
+        checkoutId: orderId,
+        productIds,
+        qtys,
+        currency: currencyAddress,
+        discount: promoDiscount
+      });
+      hookEntries.push({ address: promotions.options.address, data: voucher });
+    }
+    const points = redemption?.points || 0;
+    let pointsDiscount = 0n;
+    if (points) {
+      const loyalty = await getLoyaltyInstanceAsync(contract);
+      pointsDiscount = BigInt(points) * BigInt(await loyalty.methods.pointValues(currencyAddress).call());
+      if (!pointsDiscount) {
+        return res.status(400).json({ success: false, message: 'Points cannot be redeemed when paying in that currency.' });
+      }
+      hookEntries.push({ address: loyalty.options.address, data: web3.eth.abi.encodeParameter('uint256', points) });
+    }
+    const discount = promoDiscount + pointsDiscount;
+    const hookData = await buildCheckoutHookData(contract, hookEntries);
+    let quote;
+    let approval = null;
+    let data;
+    if (currencyAddress === ZERO_ADDRESS) {
+      if (discount > BigInt(cents)) {
+        return res.status(400).json({ success: false, message: 'Your discounts are worth more than this order.' });
+      }
+      quote = await issuePriceQuote(contract, { buyer, checkoutId: orderId, cents: BigInt(cents) - discount });
+      data = contract.methods
+        .buyCart(productIds, qtys, orderId, [quote.weiPerSgd, quote.expiresAt, quote.signature], hookData)
+        .encodeABI();
+    } else {
+      const token = (await getPaymentTokens(contract))
+        .find((item) => item.address === currencyAddress && item.accepted);
+      if (!token) {
+        return res.status(400).json({ success: false, message: 'That currency is not accepted.' });
+      }
+      quote = await issueTokenQuote(contract, { buyer, checkoutId: orderId, cents, token, cart, discount });
+      // the contract pulls the tokens with transferFrom, so the buyer approves the total first
+      const erc20 = new web3.eth.Contract(erc20Abi, token.address);
+      const allowance = await erc20.methods.allowance(buyer, contractAddress).call();
+      if (BigInt(allowance) < BigInt(quote.total)) {
+        approval = {
+          to: token.address,
+          data: erc20.methods.approve(contractAddress, quote.total).encodeABI(),
+          value: '0x0'
+        };
+      }
+      data = contract.methods.buyCartWithToken(productIds, qtys, orderId, token.address, hookData).encodeABI();
+    }
+    // what verifyCheckoutPayment() expects the hooks to have taken off, and what the invoice lists
+    if (discount) quote.discount = discount.toString();
+    if (promoDiscount) Object.assign(quote, { promoCode: promo.code, promoDiscount: promoDiscount.toString() });
+    if (points) Object.assign(quote, { points, pointsDiscount: pointsDiscount.toString() });
+    quote.shipping = describeShippingOption(delivery);
+    // /create-order checks the payment against the quote this session was given for the checkout
+    req.session.checkoutQuotes = { ...recentPriceQuotes(req.session), [orderId]: quote };
+    return res.json({
+      success: true,
+      orderId,
+      quote: describePriceQuote(quote),
+      approval,
+      transaction: {
+        to: contractAddress,
+        data,
+        value: quote.currency.address === ZERO_ADDRESS ? web3.utils.toHex(BigInt(quote.total)) : '0x0'
+      }
+    });
+  } catch (error) {
+    console.error('Error preparing checkout:', error);
+    return res.status(400).json({ success: false, message: error?.message || 'Unable to prepare payment.' });
+  }
+});
+
+// Create order records once the payment page has paid for them on-chain
+app.post('/create-order', requireLogin, requireFullName, async (req, res) => {
 
   const {
     orderId,
-    customerWallet,
     customerName,
     contact,
     address,
-    product,
-    price,
-    qty,
-    status,
-    items = []
+    txHash
   } = req.body || {};
 
-  const shippingAddress = (address || currentUser.address || '').trim();
-  const contactNumber = (contact || currentUser.contact || '').trim();
+  const shippingAddress = (address || req.user.address || '').trim();
+  const contactNumber = (contact || req.user.contact || '').trim();
   if (!shippingAddress) {
     return res.status(400).json({ success: false, message: 'Address is required' });
   }
   if (!contactNumber) {
     return res.status(400).json({ success: false, message: 'Contact is required' });
   }
+  if (!orderId) {
+    return res.status(400).json({ success: false, message: 'Order id is required' });
+  }
+  if (orders.some((o) => String(o.id) === String(orderId))) {
+    return res.status(409).json({ success: false, message: 'Order already recorded' });
+  }
 
-  const id = orderId || `ORD-${String(orders.length + 1).padStart(4, '0')}`;
-  const existing = orders.find((o) => String(o.id) === String(id));
+  const wallet = (req.user.walletAddress || '').toLowerCase();
+  const cart = carts[wallet] || [];
+  if (!cart.length) {
+    return res.status(400).json({ success: false, message: 'Your cart is empty.' });
+  }
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    return res.status(500).json({ success: false, message: 'Smart contract is not configured.' });
+  }
+
+  let payment;
+  try {
+    const quote = recentPriceQuotes(req.session)[orderId];
+    payment = await verifyCheckoutPayment(contract, { orderId, buyer: wallet, cart, txHash, quote });
+  } catch (error) {
+    console.warn('Rejected checkout payment:', error?.message || error);
+    return res.status(400).json({ success: false, message: error?.message || 'Payment could not be verified.' });
+  }
 
+  const { lines } = payment;
   const payload = {
-    id,
-    product: product || 'Mystery Items',
-    customer: (customerWallet || currentUser.walletAddress || '').toLowerCase(),
-    customerName: customerName || currentUser.name || 'Customer',
+    id: orderId,
+    chainOrderId: payment.chainOrderId,
+    txHash: payment.txHash,
+    product: lines.map((line) => line.name).filter(Boolean).join(' + ') || 'Mystery Items',
+    customer: wallet,
+    customerName: customerName || req.user.name || 'Customer',
     address: shippingAddress,
     contact: contactNumber,
-    price: Number(price || 0),
-    qty: Number(qty || 1),
-    items: Array.isArray(items) ? items : [],
-    status: status || 'Pending Delivery Confirmation',
+    price: payment.totalSgd,
+    currency: payment.currency,
+    paidUnits: payment.paidUnits,
+    paidAmount: fromCurrencyUnits(payment.paidUnits, payment.currency),
+    quote: describePriceQuote(payment.quote),
+    shipping: payment.quote?.shipping || null,
+    qty: lines.reduce((sum, line) => sum + Number(line.qty || 0), 0),
+    items: lines,
+    status: 'Pending Delivery Confirmation',
     action: 'order creation',
     auditLog: [
-      ...(existing?.auditLog || []),
       {
-        action: 'Order created',
+        action: `Order created (on-chain #${payment.chainOrderId})`,
         timestamp: new Date().toISOString(),
-        function: 'create-order',
-        txHash: '0xLOCAL'
+        function: 'buyCart',
+        txHash: payment.txHash
       }
     ]
   };
+  orders.push(payload);
+  store.orders.save(payload);
+  req.session.checkoutQuotes = recentPriceQuotes(req.session);
+  delete req.session.checkoutQuotes[orderId];
+  // the points and promo code were spent by buyCart(); the next cart starts without them
+  delete req.session.redeemPoints;
+  delete req.session.promoCode;
+
+  // Stock was debited by buyCart(); pull the fresh numbers instead of adjusting locally
+  await syncProductsFromChain();
 
-  if (existing) Object.assign(existing, payload);
-  else orders.push(payload);
-
-  // Reduce product stock based on ordered items
-  const stockItems = payload.items && payload.items.length
-    ? payload.items
-    : [{ id: product, qty: qty }];
-  adjustProductStock(stockItems, -1);
+  // Blind boxes are revealed right away; a failed reveal is retried with the next purchase of the series
+  try {
+    await revealPendingBoxes(contract, lines.map((line) => line.id));
+  } catch (error) {
+    console.warn('Unable to reveal blind boxes:', describeContractError(error, 'reveal failed'));
+  }
 
-  return res.json({ success: true, orderId: id });
+  return res.json({
+    success: true,
+    orderId,
+    txHash: payment.txHash,
+    chainOrderId: payment.chainOrderId,
+    items: lines,
+    totalSgd: payment.totalSgd,
+    currency: payment.currency.symbol,
+    paidAmount: payload.paidAmount,
+    quote: payload.quote,
+    shipping: payload.shipping
+  });
 });
 
 // Create delivery record (used by payment flow to notify delivery team)
-app.post('/create-delivery', requireFullName, (req, res) => {
-  if (!currentUser) return res.status(401).json({ success: false, message: 'Login required' });
+app.post('/create-delivery', requireLogin, requireFullName, (req, res) => {
 
-  const { orderId, customerWallet, customerName, address, contact } = req.body || {};
-  const shippingAddress = (address || currentUser.address || '').trim();
-  const contactNumber = (contact || currentUser.contact || '').trim();
+  const { orderId, customerName, address, contact } = req.body || {};
+  // deliveries are only opened for the signed-in buyer's own orders
+  const customer = (req.user.walletAddress || '').toLowerCase();
+  const order = orders.find((o) => String(o.id) === String(orderId) && o.customer === customer);
+  if (!customer || !order) {
+    return res.status(404).json({ success: false, message: 'Order not found' });
+  }
+  const shippingAddress = (address || req.user.address || '').trim();
+  const contactNumber = (contact || req.user.contact || '').trim();
   if (!shippingAddress) {
     return res.status(400).json({ success: false, message: 'Address is required' });
   }
@@ -928,23 +1875,25 @@ app.post('/create-delivery', requireFullName, (req, res) => {
   const record = {
     id,
     deliveryId,
-    orderNumber: orderId || `ORD-${String(id).padStart(4, '0')}`,
-    customer: (customerWallet || currentUser.walletAddress || '').toLowerCase(),
-    customerName: customerName || currentUser.name || 'Customer',
+    orderNumber: order.id,
+    customer,
+    customerName: customerName || req.user.name || 'Customer',
     address: shippingAddress,
     contact: contactNumber,
+    // the service and fee chosen at checkout travel with the parcel
+    shipping: order.shipping || null,
     status: DELIVERY_STATUS.PENDING,
     proofImage: null,
     assignedTo: ''
   };
 
   deliveries.push(record);
+  store.deliveries.save(record);
   return res.json({ success: true, deliveryId });
 });
 
 // Lightweight order status endpoint for tracking page
-app.get('/order-status/:id', (req, res) => {
-  if (!currentUser) return res.status(401).json({ success: false, message: 'Login required' });
+app.get('/order-status/:id', requireLogin, async (req, res) => {
   const id = req.params.id;
   const order = orders.find((o) => String(o.id) === String(id));
   const delivery = deliveries.find((d) => String(d.orderNumber || d.id) === String(id));
@@ -952,7 +1901,7 @@ app.get('/order-status/:id', (req, res) => {
     return res.status(404).json({ success: false, message: 'Order not found' });
   }
   // Ensure the requesting user owns the order
-  const requester = (currentUser.walletAddress || '').toLowerCase();
+  const requester = (req.user.walletAddress || '').toLowerCase();
   const ownerWallet = (order?.customer || delivery?.customer || '').toLowerCase();
   if (ownerWallet && ownerWallet !== requester) {
     return res.status(403).json({ success: false, message: 'Forbidden' });
@@ -961,17 +1910,25 @@ app.get('/order-status/:id', (req, res) => {
     [DELIVERY_STATUS.PENDING]: 'Pending',
     [DELIVERY_STATUS.OUT_FOR_DELIVERY]: 'Out for delivery',
     [DELIVERY_STATUS.DELIVERED_PENDING]: 'Pending delivery confirmation',
-    [DELIVERY_STATUS.COMPLETED]: 'Completed'
+    [DELIVERY_STATUS.COMPLETED]: 'Completed',
+    [DELIVERY_STATUS.CANCELLED]: 'Cancelled'
   };
-  let statusLabel = statusMap[delivery?.status] || order?.status || 'Pending';
-  let status = delivery?.status || order?.status || 'pending';
+  await refreshChainIndex();
+  const timeline = getChainOrderTimeline(order);
+  const status = timeline
+    ? CHAIN_TO_DELIVERY_STATUS[timeline.status]
+    : delivery?.status || order?.status || 'pending';
+  const statusLabel = statusMap[status] || order?.status || 'Pending';
   const ticket = getTicketByOrderId(delivery?.orderNumber || order?.id || id);
   return res.json({
     success: true,
     orderId: delivery?.orderNumber || order?.id || id,
     status,
     statusLabel,
-    updatedAt: delivery?.updatedAt || delivery?.timestamp || order?.updatedAt || '',
+    updatedAt: timeline?.updatedAt || delivery?.updatedAt || delivery?.timestamp || order?.updatedAt || '',
+    history: timeline?.history || [],
+    cancellable: !!timeline?.cancellable,
+    blindBoxes: await getOrderBlindBoxes(order),
     ticket: ticket ? {
       id: ticket.id,
       orderId: ticket.orderId,
@@ -989,6 +1946,96 @@ app.get('/order-status/:id', (req, res) => {
   });
 });
 
+// Buyer cancellation: the buyer's wallet must send cancelOrder() itself, so hand back the call data
+app.post('/orders/:id/cancel/prepare', requireLogin, async (req, res) => {
+  const wallet = (req.user.walletAddress || '').toLowerCase();
+  const order = orders.find((o) => String(o.id) === String(req.params.id));
+  if (!order || (order.customer || '').toLowerCase() !== wallet) {
+    return res.status(404).json({ success: false, message: 'Order not found' });
+  }
+  if (!order.chainOrderId) {
+    return res.status(400).json({ success: false, message: 'This order was not placed on-chain.' });
+  }
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    return res.status(500).json({ success: false, message: 'Smart contract is not configured.' });
+  }
+  const method = contract.methods.cancelOrder(order.chainOrderId);
+  try {
+    const current = Number((await contract.methods.orders(order.chainOrderId).call()).status);
+    const reason = checkOrderTransition(current, CHAIN_ORDER_STATUS.CANCELLED, 'buyer');
+    if (reason) throw new Error(reason);
+    await method.call({ from: req.user.walletAddress });
+  } catch (error) {
+    return res.status(400).json({ success: false, message: describeContractError(error, 'Order cannot be cancelled.') });
+  }
+  return res.json({
+    success: true,
+    transaction: { to: contractAddress, data: method.encodeABI() }
+  });
+});
+
+app.post('/orders/:id/cancel', requireLogin, async (req, res) => {
+  const wallet = (req.user.walletAddress || '').toLowerCase();
+  const order = orders.find((o) => String(o.id) === String(req.params.id));
+  if (!order || (order.customer || '').toLowerCase() !== wallet) {
+    return res.status(404).json({ success: false, message: 'Order not found' });
+  }
+  const txHash = String(req.body?.txHash || '').trim();
+  if (!/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+    return res.status(400).json({ success: false, message: 'Invalid transaction hash.' });
+  }
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    return res.status(500).json({ success: false, message: 'Smart contract is not configured.' });
+  }
+  const receipt = await waitForReceipt(txHash);
+  const cancelled = receipt && Number(receipt.status) === 1
+    ? decodeContractEvents(receipt, 'OrderCancelled')
+    : [];
+  const matches = cancelled.some((event) => String(event.orderId) === String(order.chainOrderId))
+    && (receipt.from || '').toLowerCase() === wallet;
+  if (!matches) {
+    return res.status(400).json({ success: false, message: 'Transaction did not cancel this order.' });
+  }
+  applyOrderCancellation(order, { txHash, actor: 'buyer' });
+  await syncProductsFromChain();
+  return res.json({ success: true, orderId: order.id, status: order.status });
+});
+
+app.post('/admin/orders/:id/cancel', requireRole('admin'), async (req, res) => {
+  const order = orders.find((item) => String(item.id) === String(req.params.id));
+  if (!order) return res.status(404).send('Order not found');
+  const renderDetail = (messages, status = 400) => res.status(status).render('admin-order-detail', {
+    user: req.user,
+    order,
+    delivery: getDeliveryForOrder(order.id),
+    ticket: getTicketByOrderId(order.id),
+    errorMessages: Array.isArray(messages) ? messages : [messages],
+    successMessages: []
+  });
+  if (!order.chainOrderId) {
+    return renderDetail('This order was not placed on-chain, so it cannot be cancelled.');
+  }
+  const contract = await getContractInstanceAsync();
+  if (!contract) return renderDetail('Smart contract is not configured.', 500);
+  try {
+    // a revealed figure would be retired by the cancellation, so only the buyer may give it up
+    const blindBox = await getBlindBoxInstanceAsync(contract);
+    const boxes = blindBox ? await blindBox.methods.getOrderBoxes(order.chainOrderId).call() : [];
+    if (boxes.some((box) => box.revealed && !box.voided)) {
+      return renderDetail('This order has revealed blind boxes. Only the buyer can cancel it now, or ask for a refund.');
+    }
+    const from = await resolveAdminAccount(contract, req.user);
+    await transitionOrder(contract, order, CHAIN_ORDER_STATUS.CANCELLED, { actor: 'admin', from });
+    await syncProductsFromChain();
+  } catch (error) {
+    console.error('Error cancelling order on-chain:', error);
+    return renderDetail(describeContractError(error, 'Unable to cancel the order on-chain.'));
+  }
+  res.redirect(`/admin/orders/${order.id}`);
+});
+
 function seedProduct(
   id,
   name,
@@ -1014,14 +2061,32 @@ function seedProduct(
   };
 }
 
+// Delivery options for the address typed on the payment page. The address and the service picked
+// are kept in the session, so the cart totals follow them; /checkout/prepare fixes them for the order.
+app.post('/checkout/shipping', requireRole('user', 'admin'), async (req, res) => {
+  const cart = carts[req.user.walletAddress?.toLowerCase()] || [];
+  const address = String(req.body?.address || '').trim() || req.user.address || '';
+  const service = String(req.body?.service || '');
+  if (service && !SHIPPING_SERVICES[service]) {
+    return res.status(400).json({ success: false, message: 'Unknown delivery service.' });
+  }
+  req.session.shippingAddress = address;
+  if (service) req.session.shippingService = service;
+  const pricing = await getCartPricing(req, cart, address);
+  return res.json({
+    success: true,
+    shipping: describeCartShipping(pricing.shipping),
+    totals: getCartTotals(cart, pricing)
+  });
+});
+
 // Payment page (stub)
-app.get('/payment', (_req, res) => {
-  if (!currentUser) return res.redirect('/login');
-  if (isDeliveryUser(currentUser)) return res.redirect('/delivery/dashboard');
-  const cart = carts[currentUser.walletAddress?.toLowerCase()] || [];
+app.get('/payment', requireLogin, async (req, res) => {
+  if (isDeliveryUser(req.user)) return res.redirect('/delivery/dashboard');
+  const cart = carts[req.user.walletAddress?.toLowerCase()] || [];
   if (!cart.length) {
     return res.render('cart', {
-      user: currentUser,
+      user: req.user,
       errorMessages: ['Your cart is empty. Add items before proceeding to payment.'],
       successMessages: [],
       items: cart,
@@ -1029,24 +2094,26 @@ app.get('/payment', (_req, res) => {
       totals: getCartTotals(cart)
     });
   }
-  const totals = getCartTotals(cart);
+  const pricing = await getCartPricing(req, cart);
+  await syncProductsFromChain();
   res.render('payment', {
-    user: currentUser,
+    user: req.user,
     cart,
-    totals,
+    totals: getCartTotals(cart, pricing),
+    shipping: describeCartShipping(pricing.shipping),
+    currencies: getCheckoutCurrencies(cart),
     errorMessages: [],
     successMessages: []
   });
 });
 
 // Invoice page stub
-app.get('/invoice', (_req, res) => {
-  if (!currentUser) return res.redirect('/login');
-  if (isDeliveryUser(currentUser)) return res.redirect('/delivery/dashboard');
-  const cart = carts[currentUser.walletAddress?.toLowerCase()] || [];
-  const totals = getCartTotals(cart);
+app.get('/invoice', requireLogin, async (req, res) => {
+  if (isDeliveryUser(req.user)) return res.redirect('/delivery/dashboard');
+  const cart = carts[req.user.walletAddress?.toLowerCase()] || [];
+  const totals = getCartTotals(cart, await getCartPricing(req, cart));
   res.render('invoice', {
-    user: currentUser,
+    user: req.user,
     cart,
     totals,
     errorMessages: [],
@@ -1079,130 +2146,1412 @@ async function getContractInstanceAsync() {
   return new web3.eth.Contract(contractAbi, contractAddress);
 }
 
-function rememberProductImages(productId, image, images) {
-  if (!productId) return;
-  const key = String(productId);
-  if (image) productImageMap[key] = image;
-  if (Array.isArray(images) && images.length) productGalleryMap[key] = images.slice();
+// Pick the unlocked Ganache account for the signed-in admin and make sure it is an on-chain admin,
+// promoting it through the owner account when needed (same rules as /admin/add-product)
+async function resolveAdminAccount(contract, user) {
+  const accounts = await web3.eth.getAccounts();
+  const wallet = (user?.walletAddress || '').toLowerCase();
+  const from = accounts.find((acct) => acct.toLowerCase() === wallet) || accounts[0];
+  if (!from) throw new Error('No unlocked blockchain account is available.');
+  const isAdmin = await contract.methods.isAdmin(from).call().catch(() => false);
+  if (!isAdmin) {
+    const owner = await contract.methods.owner().call().catch(() => '');
+    const ownerAccount = accounts.find((acct) => acct.toLowerCase() === String(owner).toLowerCase());
+    if (!ownerAccount) {
+      throw new Error('Selected account is not an on-chain admin. Unlock the owner/admin account in Ganache and try again.');
+    }
+    await contract.methods.addAdmin(from).send({ from: ownerAccount });
+  }
+  return from;
 }
 
-// Admin dashboard stub
-app.get('/admin/dashboard', (_req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
-  res.render('admin-home', {
-    user: currentUser,
-    errorMessages: [],
-    successMessages: []
-  });
-});
-
-app.get('/admin/customer-service', (_req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
-  const ordered = tickets.slice().sort((a, b) => {
-    return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
-  });
-  res.render('admin-customer-service', {
-    user: currentUser,
-    tickets: ordered,
-    errorMessages: [],
-    successMessages: []
-  });
-});
-
-app.get('/admin/customer-service/:id', (req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
-  const ticket = getTicketById(req.params.id);
-  if (!ticket) return res.status(404).send('Ticket not found');
-  const order = orders.find((item) => String(item.id) === String(ticket.orderId));
-  res.render('admin-customer-service-detail', {
-    user: currentUser,
-    ticket,
-    order,
-    errorMessages: [],
-    successMessages: []
-  });
-});
-
-app.post('/admin/customer-service/:id', (req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
-  const ticket = getTicketById(req.params.id);
-  if (!ticket) return res.status(404).send('Ticket not found');
-  const order = orders.find((item) => String(item.id) === String(ticket.orderId));
-  const action = String(req.body?.action || '').toLowerCase();
-  const refundType = String(req.body?.refundType || '').trim();
-  const rejectionReason = String(req.body?.rejectionReason || '').trim();
+// Delivery men sign with their own unlocked Ganache account; the admin account registers it
+// as an on-chain delivery man the first time it is used
+async function resolveDeliveryAccount(contract, user) {
+  const accounts = await web3.eth.getAccounts();
+  const wallet = (user?.walletAddress || '').toLowerCase();
+  const from = accounts.find((acct) => acct.toLowerCase() === wallet);
+  if (!from) throw new Error('Your wallet is not unlocked on the blockchain node, so it cannot sign deliveries.');
+  const isDelivery = await contract.methods.isDelivery(from).call().catch(() => false);
+  if (!isDelivery) {
+    const adminAccount = await resolveAdminAccount(contract, null);
+    await sendContractMethod(contract.methods.addDeliveryMan(from), { from: adminAccount });
+  }
+  return from;
+}
 
-  const renderDetail = (messages, status = 400) => res.status(status).render('admin-customer-service-detail', {
-    user: currentUser,
-    ticket,
-    order,
-    errorMessages: Array.isArray(messages) ? messages : [messages],
-    successMessages: []
-  });
+// Dry-run with eth_call before sending: Ganache only reports require() messages for calls,
+// a mined revert comes back without its reason
+async function sendContractMethod(method, options) {
+  await method.call(options);
+  return method.send(options);
+}
 
-  if (!refundType || !['Full', 'Partial'].includes(refundType)) {
-    return renderDetail('Please select a refund type.');
-  }
+// Surface the require() message of a reverted call instead of web3's generic wrapper text
+function describeContractError(error, fallback) {
+  const raw = error?.reason
+    || error?.innerError?.message
+    || error?.cause?.message
+    || error?.message
+    || fallback;
+  return String(raw).replace(/^VM Exception while processing transaction: (revert )?/i, '');
+}
 
-  if (ticket.status === 'Refund Accepted' || ticket.status === 'Refund Rejected') {
-    return renderDetail('This ticket has already been resolved.');
+// Poll until the transaction is mined (Ganache usually mines instantly, MetaMask may lag a little)
+async function waitForReceipt(txHash, timeoutMs = 60000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    const receipt = await web3.eth.getTransactionReceipt(txHash).catch(() => null);
+    if (receipt) return receipt;
+    await new Promise((resolve) => setTimeout(resolve, 1000));
   }
+  return null;
+}
 
-  if (action === 'reject' && !rejectionReason) {
-    return renderDetail('Please provide a rejection reason before rejecting.');
-  }
+// Decode the logs of a receipt that belong to our contract (or the given satellite) and match the event name
+function decodeContractEvents(receipt, eventName, satellite = null) {
+  const abi = satellite ? satellite.options.jsonInterface : contractAbi;
+  const address = satellite ? satellite.options.address : contractAddress;
+  const eventAbi = abi.find((item) => item.type === 'event' && item.name === eventName);
+  if (!eventAbi || !receipt?.logs) return [];
+  const signature = web3.eth.abi.encodeEventSignature(eventAbi);
+  return receipt.logs
+    .filter((log) => (log.address || '').toLowerCase() === address.toLowerCase())
+    .filter((log) => (log.topics?.[0] || '').toLowerCase() === signature.toLowerCase())
+    .map((log) => web3.eth.abi.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1)));
+}
 
-  ticket.type = refundType;
-  ticket.resolvedAt = new Date().toISOString();
+// Product and order-line prices are stored on-chain in SGD cents
+function centsToSgd(cents) {
+  return Number(cents) / 100;
+}
 
-  if (action === 'approve') {
-    ticket.status = 'Refund Accepted';
-    ticket.refundedWallet = ticket.customer;
-    ticket.refundTx = ticket.refundTx || '0xDEMOREFUND';
-  } else if (action === 'reject') {
-    ticket.status = 'Refund Rejected';
-    ticket.rejectionReason = rejectionReason;
-  } else {
-    return renderDetail('Invalid action.');
-  }
+function sgdToCents(sgd) {
+  return Math.round(Number(sgd) * 100);
+}
 
-  if (order) {
-    order.refundStatus = ticket.status;
-    order.ticketId = ticket.id;
-    order.auditLog = order.auditLog || [];
-    order.auditLog.push({
-      action: `Refund ${action === 'approve' ? 'accepted' : 'rejected'}`,
-      timestamp: new Date().toISOString(),
-      function: 'resolveRefund',
-      txHash: ticket.refundTx || '0xDEMO'
-    });
-  }
+// Quotes and vouchers are signed with QUOTE_SIGNER_KEY when it is set, else by the node's admin
+// account; the contracts accept a signature from any shop admin
+async function signForContracts(contract, digest) {
+  return quoteSignerKey
+    ? web3.eth.accounts.sign(digest, quoteSignerKey).signature
+    : web3.eth.sign(digest, await resolveAdminAccount(contract, null));
+}
 
-  res.redirect(`/admin/customer-service/${ticket.id}`);
-});
+// Lock the current ETH/SGD rate for one checkout. The signature covers the shop, chain, buyer,
+// checkout id, rate and expiry, which is exactly what the contract's _checkQuote() rebuilds.
+async function issuePriceQuote(contract, { buyer, checkoutId, cents }) {
+  const rate = await rateService.current();
+  const rateWei = weiPerSgd(rate.ethSgd);
+  const expiresAt = Math.floor((Date.now() + PRICE_QUOTE_TTL_MS) / 1000);
+  const chainId = await web3.eth.getChainId();
+  const digest = web3.utils.keccak256(
+    web3.eth.abi.encodeParameters(
+      ['address', 'uint256', 'address', 'bytes32', 'uint256', 'uint256'],
+      [contractAddress, chainId, buyer, web3.utils.keccak256(web3.utils.utf8ToHex(checkoutId)), rateWei, expiresAt]
+    )
+  );
+  const signature = await signForContracts(contract, digest);
+  const totalWei = await contract.methods.quoteTotal(cents, rateWei).call();
 
-app.get('/admin/inventory', async (_req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
-  await syncProductsFromChain();
-  res.render('admin-inventory', {
-    user: currentUser,
+  // Kept in the session, so every number is a string
+  return {
+    checkoutId,
+    buyer: String(buyer).toLowerCase(),
+    currency: ETH_CURRENCY,
+    cents: String(cents),
+    ethSgd: rate.ethSgd,
+    source: rate.source,
+    asOf: rate.asOf,
+    weiPerSgd: rateWei.toString(),
+    total: String(totalWei),
+    expiresAt,
+    signature
+  };
+}
+
+// unit price * qty of the given cart lines as the contract charges them: SGD cents for ETH,
+// the product's token price otherwise
+async function getLineTotals(contract, cart, currencyAddress, indexes) {
+  return Promise.all(indexes.map(async (idx) => {
+    const item = cart[idx];
+    const unit = currencyAddress === ZERO_ADDRESS
+      ? (await contract.methods.products(item.id).call()).priceCents
+      : await contract.methods.tokenPrices(item.id, currencyAddress).call();
+    return BigInt(unit) * BigInt(item.qty || 0);
+  }));
+}
+
+// Token checkouts are charged the products' token prices, so there is no rate to lock;
+// the quote only records what the buyer was told and expires like an ETH quote
+async function issueTokenQuote(contract, { buyer, checkoutId, cents, token, cart, discount = 0n }) {
+  const unitPrices = await Promise.all(
+    cart.map((item) => contract.methods.tokenPrices(item.id, token.address).call())
+  );
+  const missing = cart.find((_item, idx) => BigInt(unitPrices[idx]) === 0n);
+  if (missing) throw new Error(`${missing.name || 'An item in your cart'} cannot be paid in ${token.symbol}.`);
+  const listTotal = unitPrices.reduce((sum, unit, idx) => sum + BigInt(unit) * BigInt(cart[idx].qty || 0), 0n);
+  if (discount > listTotal) throw new Error('Your discounts are worth more than this order.');
+  const total = listTotal - discount;
+
+  const balance = await new web3.eth.Contract(erc20Abi, token.address).methods.balanceOf(buyer).call();
+  if (BigInt(balance) < total) throw new Error(`Your ${token.symbol} balance is too low for this order.`);
+
+  return {
+    checkoutId,
+    buyer: String(buyer).toLowerCase(),
+    currency: { address: token.address, symbol: token.symbol, decimals: token.decimals },
+    cents: String(cents),
+    total: total.toString(),
+    expiresAt: Math.floor((Date.now() + PRICE_QUOTE_TTL_MS) / 1000)
+  };
+}
+
+// Quotes stay usable for an hour past their expiry, long enough for a payment sent just in time
+// to be recorded even if the buyer started another checkout meanwhile
+function recentPriceQuotes(session) {
+  const cutoff = Math.floor(Date.now() / 1000) - 60 * 60;
+  return Object.fromEntries(
+    Object.entries(session.checkoutQuotes || {}).filter(([, quote]) => quote.expiresAt > cutoff)
+  );
+}
+
+// The parts of a quote the buyer sees and the order keeps
+function describePriceQuote(quote) {
+  if (!quote) return null;
+  const described = {
+    currency: quote.currency.symbol,
+    currencyAddress: quote.currency.address,
+    total: web3.utils.fromWei(quote.total, quote.currency.decimals),
+    totalSgd: centsToSgd(quote.cents),
+    expiresAt: new Date(quote.expiresAt * 1000).toISOString()
+  };
+  // What the promo code and redeemed points took off: SGD for ETH checkouts (priced in cents),
+  // tokens otherwise
+  const toDiscount = (units) => (quote.weiPerSgd ? centsToSgd(units) : fromCurrencyUnits(units, quote.currency));
+  if (quote.discount) described.discount = toDiscount(quote.discount);
+  if (quote.promoCode) {
+    described.promoCode = quote.promoCode;
+    described.promoDiscount = toDiscount(quote.promoDiscount);
+  }
+  if (quote.points) {
+    described.points = quote.points;
+    described.pointsDiscount = toDiscount(quote.pointsDiscount);
+  }
+  // ETH quotes also carry the rate they locked
+  if (quote.weiPerSgd) {
+    Object.assign(described, {
+      ethSgd: quote.ethSgd,
+      source: quote.source,
+      asOf: quote.asOf,
+      weiPerSgd: quote.weiPerSgd
+    });
+  }
+  return described;
+}
+
+function isTxHashRecorded(txHash) {
+  const hash = String(txHash || '').toLowerCase();
+  return orders.some((order) =>
+    (order.auditLog || []).some((entry) => String(entry.txHash || '').toLowerCase() === hash)
+  );
+}
+
+// Check the buyCart() transaction of a checkout against the cart it was prepared for.
+// Throws with a user-facing message when anything does not line up.
+async function verifyCheckoutPayment(contract, { orderId, buyer, cart, txHash, quote }) {
+  const hash = String(txHash || '').trim();
+  if (!/^0x[0-9a-fA-F]{64}$/.test(hash)) throw new Error('Invalid transaction hash.');
+  if (!quote || quote.checkoutId !== orderId || quote.buyer !== buyer) {
+    throw new Error('No price quote was issued for this checkout. Please start the payment again.');
+  }
+  if (isTxHashRecorded(hash)) throw new Error(`Transaction ${hash} was already used for another order.`);
+
+  const receipt = await waitForReceipt(hash);
+  if (!receipt) throw new Error(`Transaction ${hash} is not mined yet.`);
+  if (!receipt.status || Number(receipt.status) !== 1) throw new Error(`Transaction ${hash} reverted.`);
+  if ((receipt.to || '').toLowerCase() !== contractAddress.toLowerCase()) {
+    throw new Error(`Transaction ${hash} was not sent to the shop contract.`);
+  }
+
+  const [created] = decodeContractEvents(receipt, 'OrderCreated');
+  if (!created) throw new Error(`Transaction ${hash} did not create an order.`);
+  if (String(created.buyer).toLowerCase() !== buyer) {
+    throw new Error(`Transaction ${hash} was paid by a different wallet.`);
+  }
+
+  const currency = quote.currency;
+  const isEth = currency.address === ZERO_ADDRESS;
+  const paidIn = String(await contract.methods.orderCurrency(created.orderId).call()).toLowerCase();
+  if (paidIn !== currency.address) {
+    throw new Error(`Transaction ${hash} was paid in a different currency.`);
+  }
+
+  // Rebuild the order from the chain and compare it line by line with the cart
+  const detail = await contract.methods.getOrderDetail(created.orderId).call();
+  const chainLines = detail.lines || [];
+  if (detail.order.deliveryId !== orderId) {
+    throw new Error(`Transaction ${hash} belongs to a different checkout.`);
+  }
+  if (chainLines.length !== cart.length) {
+    throw new Error(`Transaction ${hash} does not match the items in your cart.`);
+  }
+  const lines = cart.map((item, idx) => {
+    const line = chainLines[idx];
+    if (String(line.productId) !== String(item.id) || Number(line.qty) !== Number(item.qty || 0)) {
+      throw new Error(`Transaction ${hash} does not match ${item.name || 'the cart item'}.`);
+    }
+    // ETH lines are priced on-chain in SGD cents, token lines in token units
+    return {
+      ...item,
+      price: isEth ? centsToSgd(line.unitPrice) : Number(item.price || 0),
+      unitPrice: String(line.unitPrice)
+    };
+  });
+  const lineTotal = chainLines.reduce(
+    (sum, line) => sum + BigInt(line.unitPrice) * BigInt(line.qty),
+    0n
+  );
+  // The contract only accepts the exact quoted ETH amount, so this also pins the rate it was paid at,
+  // and the discount its checkout hooks granted
+  const due = lineTotal - BigInt(quote.discount || 0);
+  const expected = isEth ? (due * BigInt(quote.weiPerSgd)) / 100n : due;
+  if (BigInt(created.paid) !== expected) {
+    throw new Error(`Transaction ${hash} paid the wrong amount.`);
+  }
+
+  return {
+    txHash: hash,
+    chainOrderId: String(created.orderId),
+    currency,
+    paidUnits: String(created.paid),
+    // token lines are priced in tokens, so their SGD figure is the quoted one, scaled by any discount
+    totalSgd: centsToSgd(isEth ? due : (BigInt(quote.cents) * due) / lineTotal),
+    quote,
+    lines
+  };
+}
+
+// Symbol, name and decimals of a token never change, so they are read once
+const tokenMetadata = new Map();
+
+async function getPaymentTokens(contract) {
+  const addresses = await contract.methods.getTokens().call();
+  return Promise.all(addresses.map(async (tokenAddress) => {
+    const key = tokenAddress.toLowerCase();
+    if (!tokenMetadata.has(key)) {
+      const token = new web3.eth.Contract(erc20Abi, tokenAddress);
+      const [symbol, name, decimals] = await Promise.all([
+        token.methods.symbol().call(),
+        token.methods.name().call(),
+        token.methods.decimals().call()
+      ]);
+      tokenMetadata.set(key, { address: key, symbol, name, decimals: Number(decimals) });
+    }
+    const accepted = await contract.methods.acceptedTokens(tokenAddress).call();
+    return { ...tokenMetadata.get(key), accepted: Boolean(accepted) };
+  }));
+}
+
+// ETH can always be used; a token is offered when every item in the cart has a price in it.
+// Token totals are for display only, /checkout/prepare reads the prices from the contract again.
+function getCheckoutCurrencies(cart) {
+  const tokens = paymentTokens.filter((token) => token.accepted).map((token) => {
+    let total = 0;
+    const priced = cart.every((item) => {
+      const unit = products.find((p) => String(p.id) === String(item.id))?.tokenPrices?.[token.address];
+      total += Number(unit || 0) * Number(item.qty || 0);
+      return Boolean(unit);
+    });
+    return priced && {
+      address: token.address,
+      symbol: token.symbol,
+      total: Number(total.toFixed(Math.min(token.decimals, 8)))
+    };
+  });
+  return [{ address: ETH_CURRENCY.address, symbol: ETH_CURRENCY.symbol, total: null }, ...tokens.filter(Boolean)];
+}
+
+// Currency of a stored order; records without one were paid in ETH
+function currencyOf(order) {
+  return order?.currency || ETH_CURRENCY;
+}
+
+function findCurrency(address) {
+  const key = String(address || ZERO_ADDRESS).toLowerCase();
+  if (key === ZERO_ADDRESS) return ETH_CURRENCY;
+  return paymentTokens.find((token) => token.address === key) || null;
+}
+
+// Amounts are kept on-chain in the currency's smallest unit (wei for ETH)
+function fromCurrencyUnits(units, currency) {
+  return Number(web3.utils.fromWei(BigInt(units), currency.decimals));
+}
+
+function toCurrencyUnits(amount, currency) {
+  return BigInt(web3.utils.toWei(String(amount), currency.decimals));
+}
+
+// A satellite is only used when it was deployed for this shop and, for order hooks, when the shop
+// actually calls it; an artifact left over from an earlier deployment belongs to another shop
+async function getSatelliteInstanceAsync(contract, meta, envAddress, { orderHook = false } = {}) {
+  if (!contract || !meta?.abi) return null;
+  let address = envAddress || '';
+  if (!address) {
+    const networkId = await web3.eth.net.getId().catch(() => null);
+    address = meta.networks?.[String(networkId)]?.address || '';
+  }
+  if (!address) return null;
+  const satellite = new web3.eth.Contract(meta.abi, address);
+  const shop = await satellite.methods.shop().call().catch(() => '');
+  if (String(shop).toLowerCase() !== contract.options.address.toLowerCase()) return null;
+  if (orderHook) {
+    const hooks = await contract.methods.getOrderHooks().call().catch(() => []);
+    if (!hooks.some((hook) => hook.toLowerCase() === address.toLowerCase())) return null;
+  }
+  return satellite;
+}
+
+function getBlindBoxInstanceAsync(contract) {
+  return getSatelliteInstanceAsync(contract, blindBoxMeta, process.env.BLIND_BOX_CONTRACT_ADDRESS, {
+    orderHook: true
+  });
+}
+
+// Hash chain of a series: the commitment is H^length(seed) and the k-th reveal uses H^(length-k-1)(seed),
+// so every preimage hashes to the one revealed before it
+function blindBoxChainLink(productId, steps) {
+  let link = web3.utils.soliditySha3(
+    { type: 'bytes32', value: blindBoxSecret },
+    { type: 'uint256', value: String(productId) }
+  );
+  for (let i = 0; i < steps; i += 1) link = web3.utils.keccak256(link);
+  return link;
+}
+
+// Reveal every sold-but-unrevealed box of the given series, always from the admin account
+async function revealPendingBoxes(contract, productIds) {
+  const blindBox = await getBlindBoxInstanceAsync(contract);
+  if (!blindBox) return;
+  let from = null;
+  for (const productId of new Set(productIds.map(String))) {
+    const series = await blindBox.methods.series(productId).call();
+    if (!series.exists) continue;
+    const pending = Number(await blindBox.methods.pendingReveals(productId).call());
+    if (!pending) continue;
+
+    const next = Number(series.boxesRevealed);
+    const preimages = [blindBoxChainLink(productId, Number(series.chainLength) - (next + pending))];
+    while (preimages.length < pending) preimages.unshift(web3.utils.keccak256(preimages[0]));
+    if (web3.utils.keccak256(preimages[0]).toLowerCase() !== String(series.head).toLowerCase()) {
+      throw new Error(`Blind-box seed for product ${productId} does not match its commitment (was BLIND_BOX_SECRET changed?).`);
+    }
+
+    from = from || await resolveAdminAccount(contract, null);
+    await sendContractMethod(blindBox.methods.reveal(productId, preimages), { from });
+  }
+}
+
+// Variants and odds of a blind-box product, or null for plain products
+async function getBlindBoxSeries(productId) {
+  try {
+    const blindBox = await getBlindBoxInstanceAsync(await getContractInstanceAsync());
+    if (!blindBox) return null;
+    const series = await blindBox.methods.series(productId).call();
+    if (!series.exists) return null;
+    const variants = await blindBox.methods.getVariants(productId).call();
+    const totalWeight = variants.reduce((sum, variant) => sum + Number(variant.weight), 0);
+    return {
+      commitment: series.initialCommitment,
+      available: Number(series.available),
+      // every box sold uses a preimage, even if its order is cancelled later, so the chain also
+      // limits how many boxes can be cancelled before the series stops selling
+      spareDraws: Number(series.chainLength) - Number(series.boxesSold) - Number(series.available),
+      variants: variants.map((variant) => ({
+        name: variant.name,
+        weight: Number(variant.weight),
+        supply: Number(variant.supply),
+        remaining: Number(variant.remaining),
+        odds: totalWeight ? Math.round((Number(variant.weight) / totalWeight) * 1000) / 10 : 0
+      }))
+    };
+  } catch (error) {
+    console.warn('Unable to load blind-box series:', error?.message || error);
+    return null;
+  }
+}
+
+// Boxes bought with an on-chain order, with the figure and the result of verifyBox() once revealed
+async function getOrderBlindBoxes(order) {
+  if (!order?.chainOrderId) return [];
+  try {
+    const blindBox = await getBlindBoxInstanceAsync(await getContractInstanceAsync());
+    if (!blindBox) return [];
+    const boxes = await blindBox.methods.getOrderBoxes(order.chainOrderId).call();
+    const seriesCache = {};
+    const result = [];
+    for (const box of boxes) {
+      const productId = String(box.productId);
+      if (!seriesCache[productId]) {
+        seriesCache[productId] = {
+          series: await blindBox.methods.series(productId).call(),
+          variants: await blindBox.methods.getVariants(productId).call()
+        };
+      }
+      const { series, variants } = seriesCache[productId];
+      const product = products.find((p) => String(p.id) === productId);
+      result.push({
+        boxId: String(box.id),
+        productId,
+        productName: product?.name || `Product #${productId}`,
+        revealed: box.revealed,
+        voided: box.voided,
+        figure: box.revealed && !box.voided ? variants[Number(box.variant)]?.name || '' : '',
+        verified: box.revealed ? await blindBox.methods.verifyBox(box.id).call() : false,
+        commitment: series.initialCommitment,
+        entropy: box.entropy,
+        entropyBlock: String(box.entropyBlock),
+        preimage: box.revealed ? box.preimage : '',
+        roll: box.revealed ? box.roll : ''
+      });
+    }
+    return result;
+  } catch (error) {
+    console.warn('Unable to load blind boxes for order:', error?.message || error);
+    return [];
+  }
+}
+
+function getMediaInstanceAsync(contract) {
+  return getSatelliteInstanceAsync(contract, mediaMeta, process.env.MEDIA_CONTRACT_ADDRESS);
+}
+
+// Publishes the SHA-256 of every gallery image (main image first); false when there is no media contract
+async function publishProductImages(contract, productId, gallery, from) {
+  const media = await getMediaInstanceAsync(contract);
+  if (!media) return false;
+  const hashes = gallery.map((url) => imageStore.hashFromUrl(url));
+  if (!hashes.length || hashes.includes('')) throw new Error('Only stored images can be published on-chain.');
+  await sendContractMethod(media.methods.setImages(productId, hashes.map((hash) => `0x${hash}`)), { from });
+  return true;
+}
+
+// Compares a product's gallery with the fingerprints published on-chain and with the files on disk
+async function checkProductImages(product) {
+  const gallery = product.images || [];
+  const hashes = gallery.map((url) => imageStore.hashFromUrl(url));
+  if (!gallery.length || hashes.includes('')) {
+    return { status: 'unrecorded', message: 'These images were uploaded before image fingerprints were published.' };
+  }
+  try {
+    const media = await getMediaInstanceAsync(await getContractInstanceAsync());
+    const published = media
+      ? (await media.methods.getImages(product.id).call()).map((hash) => String(hash).slice(2).toLowerCase())
+      : [];
+    if (!published.length) {
+      return { status: 'unrecorded', message: 'The fingerprints of these images are not published on-chain.' };
+    }
+    const intact = await Promise.all(gallery.map((url) => imageStore.verify(url)));
+    if (published.join() !== hashes.join() || intact.includes(false)) {
+      return { status: 'mismatch', message: 'These images do not match the fingerprints published on-chain.' };
+    }
+    return { status: 'verified', message: 'Images match the SHA-256 fingerprints published on-chain.' };
+  } catch (error) {
+    console.warn('Unable to check product images:', error?.message || error);
+    return { status: 'unrecorded', message: 'Unable to read the image fingerprints from the chain.' };
+  }
+}
+
+function getDropsInstanceAsync(contract) {
+  return getSatelliteInstanceAsync(contract, dropsMeta, process.env.DROPS_CONTRACT_ADDRESS, { orderHook: true });
+}
+
+// The contract's drop struct as the views use it: ISO times ('' when open-ended) and a plain cap
+function toDropSchedule(raw) {
+  if (!raw?.exists) return null;
+  const toIso = (seconds) => (Number(seconds) ? new Date(Number(seconds) * 1000).toISOString() : '');
+  return {
+    startsAt: toIso(raw.startsAt),
+    endsAt: toIso(raw.endsAt),
+    walletCap: Number(raw.walletCap),
+    allowlist: !/^0x0{64}$/i.test(String(raw.allowlistRoot))
+  };
+}
+
+// Drop fields of the add-product form. Times come from datetime-local inputs, shifted by the
+// browser's timezone offset (minutes, as Date#getTimezoneOffset reports it) when the page sent one.
+function readDropSchedule(body = {}) {
+  const offsetText = String(body.timezoneOffset ?? '').trim();
+  const offset = Number(offsetText);
+  const toSeconds = (value) => {
+    const text = String(value || '').trim();
+    if (!text) return 0;
+    const ms = offsetText && Number.isFinite(offset)
+      ? Date.parse(`${text}Z`) + offset * 60000
+      : Date.parse(text);
+    return Number.isNaN(ms) ? NaN : Math.floor(ms / 1000);
+  };
+  const startsAt = toSeconds(body.dropStartsAt);
+  const endsAt = toSeconds(body.dropEndsAt);
+  const capText = String(body.walletCap || '').trim();
+  const walletCap = Number(capText || 0);
+  const allowlistText = String(body.allowlist || '').trim();
+  if (!startsAt && !endsAt && !capText && !allowlistText) return { drop: null, errors: [] };
+
+  const errors = [];
+  if (Number.isNaN(startsAt)) errors.push('Drop start must be a date and time.');
+  if (Number.isNaN(endsAt)) errors.push('Drop end must be a date and time.');
+  if (endsAt && endsAt <= (startsAt || Math.floor(Date.now() / 1000))) {
+    errors.push('Drop end must be after the drop starts.');
+  }
+  if (!Number.isInteger(walletCap) || walletCap < 0) errors.push('Limit per customer must be a whole number.');
+  let allowlist = null;
+  if (allowlistText) {
+    try {
+      allowlist = createMerkleTree(allowlistText.split(/[\s,;]+/));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  return { drop: { startsAt, endsAt, walletCap, allowlist }, errors };
+}
+
+// Schedules the drop on-chain and keeps the allowlist so wallets can be given their proofs
+async function publishDrop(contract, productId, drop, from) {
+  const drops = await getDropsInstanceAsync(contract);
+  if (!drops) throw new Error('Product added, but the drops contract is not deployed, so its drop schedule was not saved.');
+  const root = drop.allowlist ? drop.allowlist.root : `0x${'0'.repeat(64)}`;
+  await sendContractMethod(drops.methods.setDrop(productId, drop.startsAt, drop.endsAt, drop.walletCap, root), { from });
+  if (drop.allowlist) store.dropAllowlists.save(productId, { root, addresses: drop.allowlist.members });
+  dropSchedules[String(productId)] = toDropSchedule(await drops.methods.drops(productId).call());
+}
+
+const DROP_BLOCKER_MESSAGES = {
+  'drop not open yet': 'this drop has not opened yet.',
+  'drop has ended': 'this drop has ended.',
+  'not on the allowlist': 'this drop is for allowlisted wallets; verify your spot on the product page first.'
+};
+
+// The first cart line the drops contract would reject, as a message for the buyer; '' when all pass
+async function findDropBlocker(contract, buyer, cart) {
+  const drops = await getDropsInstanceAsync(contract);
+  if (!drops) return '';
+  for (const item of cart) {
+    const reason = await drops.methods.purchaseBlocker(String(item.id), buyer, Number(item.qty || 0)).call();
+    if (!reason) continue;
+    const product = products.find((p) => String(p.id) === String(item.id));
+    const name = product?.name || item.name || 'An item';
+    if (reason === 'wallet limit reached') {
+      const left = await drops.methods.remaining(String(item.id), buyer).call();
+      return `${name}: limit ${product?.drop?.walletCap} per customer, you can buy ${left} more.`;
+    }
+    return `${name}: ${DROP_BLOCKER_MESSAGES[reason] || reason}`;
+  }
+  return '';
+}
+
+// What the signed-in wallet may do in a product's drop
+async function getDropStatus(product, wallet) {
+  if (!product.drop || !wallet) return null;
+  try {
+    const drops = await getDropsInstanceAsync(await getContractInstanceAsync());
+    if (!drops) return null;
+    const remaining = BigInt(await drops.methods.remaining(product.id, wallet).call());
+    const allowlisted = await drops.methods.isAllowlisted(product.id, wallet).call();
+    const list = product.drop.allowlist ? store.dropAllowlists.get(product.id) : null;
+    return {
+      remaining: product.drop.walletCap ? Number(remaining) : null,
+      allowlisted,
+      onAllowlist: !product.drop.allowlist || !!list?.addresses.includes(wallet.toLowerCase())
+    };
+  } catch (error) {
+    console.warn('Unable to read drop status:', error?.message || error);
+    return null;
+  }
+}
+
+function getCertificatesInstanceAsync(contract) {
+  return getSatelliteInstanceAsync(contract, certificatesMeta, process.env.CERTIFICATES_CONTRACT_ADDRESS, {
+    orderHook: true
+  });
+}
+
+// Certificates minted per claim transaction; like ISSUED_ON_COMPLETE, small enough to stay well within a block
+const CERTIFICATE_CLAIM_BATCH = 10;
+
+// The figure in a blind box, from the blind-box contract the certificates read; '' until it is revealed
+async function readBoxVariant(certificates, productId, boxId) {
+  try {
+    const address = await certificates.methods.blindBox().call();
+    if (!blindBoxMeta || BigInt(address) === 0n) return '';
+    const blindBox = new web3.eth.Contract(blindBoxMeta.abi, address);
+    const box = await blindBox.methods.boxes(boxId).call();
+    if (!box.revealed || box.voided) return '';
+    const variants = await blindBox.methods.getVariants(productId).call();
+    return variants[Number(box.variant)]?.name || '';
+  } catch (_error) {
+    return '';
+  }
+}
+
+// A certificate as read from the chain, with the catalog series and image of its product; null when the
+// token does not exist. valid turns false once the order leaves Completed, e.g. after a refund.
+async function readCertificate(certificates, tokenId) {
+  if (!/^\d+$/.test(String(tokenId))) return null;
+  let owner;
+  let raw;
+  let valid;
+  try {
+    [owner, raw, valid] = await Promise.all([
+      certificates.methods.ownerOf(tokenId).call(),
+      certificates.methods.getCertificate(tokenId).call(),
+      certificates.methods.isValid(tokenId).call()
+    ]);
+  } catch (_error) {
+    return null;
+  }
+  const product = products.find((p) => String(p.id) === String(raw.productId));
+  // the figure is copied when the certificate is minted, so a box revealed after completion is named here
+  const variant = raw.variantName || (Number(raw.boxId) ? await readBoxVariant(certificates, raw.productId, raw.boxId) : '');
+  return {
+    tokenId: String(tokenId),
+    owner: String(owner).toLowerCase(),
+    valid,
+    orderId: String(raw.orderId),
+    productId: String(raw.productId),
+    productName: raw.productName,
+    series: product?.series || raw.productName,
+    boxId: Number(raw.boxId) ? String(raw.boxId) : '',
+    variant,
+    proofHash: raw.proofHash,
+    issuedAt: new Date(Number(raw.issuedAt) * 1000).toISOString(),
+    image: product?.image || '',
+    contractAddress: certificates.options.address
+  };
+}
+
+// ERC-721 metadata JSON for tokenURI; origin is the shop's own URL, for the image and verification links
+function toCertificateMetadata(certificate, origin) {
+  const attributes = [
+    { trait_type: 'Product', value: certificate.productName },
+    { trait_type: 'Series', value: certificate.series },
+    { trait_type: 'Variant', value: certificate.variant || (certificate.boxId ? 'Unrevealed' : 'Standard') },
+    { trait_type: 'Order', value: certificate.orderId },
+    { trait_type: 'Delivery proof hash', value: certificate.proofHash },
+    { trait_type: 'Issued', display_type: 'date', value: Math.floor(Date.parse(certificate.issuedAt) / 1000) }
+  ];
+  if (certificate.boxId) attributes.splice(3, 0, { trait_type: 'Blind box', value: certificate.boxId });
+  return {
+    name: `${certificate.productName} certificate #${certificate.tokenId}`,
+    description: `Certificate of authenticity for ${certificate.productName}, issued by Republic Surprise when order ${certificate.orderId} was delivered.`,
+    image: certificate.image ? new URL(certificate.image, origin).href : '',
+    external_url: `${origin}/certificates/${certificate.tokenId}`,
+    attributes
+  };
+}
+
+function getMarketplaceInstanceAsync(contract) {
+  return getSatelliteInstanceAsync(contract, marketplaceMeta, process.env.MARKETPLACE_CONTRACT_ADDRESS, {
+    orderHook: true
+  });
+}
+
+// The shop name a seller applied with, for "Sold by" lines
+function sellerName(wallet) {
+  const key = String(wallet || '').toLowerCase();
+  return store.sellerApplications.get(key)?.shopName || users[key]?.name || key;
+}
+
+// Withdrawable payouts in ETH and in every token the seller has earned
+async function getSellerBalances(marketplace, wallet) {
+  const currencies = [ETH_CURRENCY, ...paymentTokens];
+  const units = await Promise.all(
+    currencies.map((currency) => marketplace.methods.balances(wallet, currency.address).call())
+  );
+  return currencies
+    .map((currency, idx) => ({ currency, amount: fromCurrencyUnits(units[idx], currency) }))
+    .filter((balance, idx) => idx === 0 || balance.amount > 0);
+}
+
+// On-chain orders with the seller's products: only the seller's lines, and what the seller was paid once settled
+async function getSellerOrders(marketplace, wallet) {
+  const rows = listOrderRows().filter((row) => row.chainOrderId);
+  const result = [];
+  for (const row of rows) {
+    const items = (row.items || []).filter((item) => productSellers[String(item.id)] === wallet);
+    if (!items.length) continue;
+    const payout = await marketplace.methods.payouts(row.chainOrderId, wallet).call();
+    result.push({ ...row, items, payout: fromCurrencyUnits(payout, row.currency) });
+  }
+  return result;
+}
+
+function getLoyaltyInstanceAsync(contract) {
+  return getSatelliteInstanceAsync(contract, loyaltyMeta, process.env.LOYALTY_CONTRACT_ADDRESS, {
+    orderHook: true
+  });
+}
+
+// The wallet's points and what the cart redeems: the points chosen on the cart page, capped by the
+// balance and by what the cart's promo code leaves, and the SGD they take off an ETH checkout.
+// null without a loyalty contract.
+async function getCartRedemption(req, cart = [], promotion = null) {
+  const wallet = req.user?.walletAddress;
+  if (!wallet) return null;
+  try {
+    const loyalty = await getLoyaltyInstanceAsync(await getContractInstanceAsync());
+    if (!loyalty) return null;
+    const [balance, owed, pointValue] = await Promise.all([
+      loyalty.methods.balanceOf(wallet).call(),
+      loyalty.methods.owed(wallet).call(),
+      loyalty.methods.pointValues(ZERO_ADDRESS).call()
+    ]);
+    const valueCents = Number(pointValue);
+    const subtotalCents = sgdToCents(getCartTotals(cart).subtotal - Number(promotion?.discount || 0));
+    const maxPoints = valueCents > 0 ? Math.min(Number(balance), Math.floor(subtotalCents / valueCents)) : 0;
+    const points = Math.min(Number(req.session.redeemPoints || 0), maxPoints);
+    return {
+      balance: Number(balance),
+      owed: Number(owed),
+      pointValue: centsToSgd(valueCents),
+      maxPoints,
+      points,
+      discount: centsToSgd(points * valueCents)
+    };
+  } catch (error) {
+    console.warn('Unable to read loyalty points:', error?.message || error);
+    return null;
+  }
+}
+
+// buyCart()'s hookData: each checkout hook's data at that hook's place in the shop's list, '0x' elsewhere
+async function buildCheckoutHookData(contract, entries) {
+  if (!entries.length) return [];
+  const hooks = await contract.methods.getOrderHooks().call();
+  return hooks.map((hook) => entries.find((entry) => entry.address.toLowerCase() === hook.toLowerCase())?.data || '0x');
+}
+
+function getPromotionsInstanceAsync(contract) {
+  return getSatelliteInstanceAsync(contract, promotionsMeta, process.env.PROMOTIONS_CONTRACT_ADDRESS, {
+    orderHook: true
+  });
+}
+
+// Codes are matched upper-cased; the contract counts uses by the hash of that form
+function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function promoCodeHash(code) {
+  return web3.utils.keccak256(web3.utils.utf8ToHex(normalizePromoCode(code)));
+}
+
+// Indexes of the cart lines a promo applies to: all of them, or those among its products or series
+function promoScope(promo, cart) {
+  const scoped = promo.productIds.length || promo.series.length;
+  return cart.flatMap((item, idx) => {
+    const series = products.find((p) => String(p.id) === String(item.id))?.series || '';
+    const inScope = !scoped || promo.productIds.includes(String(item.id)) || (series && promo.series.includes(series));
+    return inScope ? [idx] : [];
+  });
+}
+
+// What a promo takes off the lines in its scope, in the checkout currency's units. cents are the lines'
+// SGD prices and units the same lines in the currency; fixed SGD amounts are scaled into the currency.
+function promoDiscountUnits(promo, cents, units) {
+  const eligibleCents = cents.reduce((sum, value) => sum + value, 0n);
+  const eligibleUnits = units.reduce((sum, value) => sum + value, 0n);
+  if (!eligibleCents) return 0n;
+  if (promo.kind === 'percent') return (eligibleUnits * BigInt(promo.amount)) / 10000n;
+  const offCents = BigInt(promo.amount) < eligibleCents ? BigInt(promo.amount) : eligibleCents;
+  return (eligibleUnits * offCents) / eligibleCents;
+}
+
+// Why the wallet cannot use the promo on this cart, or '' when it can. The promotions contract
+// counts the uses, so the limits are read from it; it enforces them again when the order is paid.
+async function findPromoBlocker(contract, promo, wallet, cart) {
+  if (!promo || !promo.active) return 'That promo code is not valid.';
+  if (promo.expiresAt && Date.parse(promo.expiresAt) <= Date.now()) return 'That promo code has expired.';
+  if (!promoScope(promo, cart).length) return 'That promo code does not apply to the items in your cart.';
+  const promotions = await getPromotionsInstanceAsync(contract);
+  if (!promotions) return 'Promo codes are not available right now.';
+  const hash = promoCodeHash(promo.code);
+  const [uses, walletUses] = await Promise.all([
+    promotions.methods.uses(hash).call(),
+    promotions.methods.walletUses(hash, wallet).call()
+  ]);
+  if (promo.usageLimit && Number(uses) >= promo.usageLimit) return 'That promo code has been fully redeemed.';
+  if (promo.walletLimit && Number(walletUses) >= promo.walletLimit) {
+    return 'You have already used that promo code as many times as it allows.';
+  }
+  return '';
+}
+
+// The promo code entered on the cart page and the SGD it takes off the items; blocker says why it
+// no longer applies, e.g. after the cart changed. null when no code is entered.
+async function getCartPromotion(req, cart = []) {
+  const code = req.session.promoCode;
+  if (!code || !req.user?.walletAddress) return null;
+  const promo = store.promoCodes.get(code);
+  let blocker;
+  try {
+    blocker = await findPromoBlocker(await getContractInstanceAsync(), promo, req.user.walletAddress, cart);
+  } catch (error) {
+    console.warn('Unable to check promo code:', error?.message || error);
+    blocker = 'Promo codes are not available right now.';
+  }
+  if (blocker) return { code, blocker, discount: 0 };
+  const cents = promoScope(promo, cart).map((idx) => BigInt(sgdToCents(cart[idx].price)) * BigInt(cart[idx].qty || 0));
+  return { code, blocker: '', discount: centsToSgd(promoDiscountUnits(promo, cents, cents)) };
+}
+
+// Everything the cart page takes off the items: the promo code first, then points on what is left
+async function getCartDiscounts(req, cart = []) {
+  const promotion = await getCartPromotion(req, cart);
+  return { promotion, redemption: await getCartRedemption(req, cart, promotion) };
+}
+
+// What free-shipping thresholds look at: the items at the contract's prices, less the promo code
+// (priced the way its voucher is) and the redeemed points. Cart lines keep the price the product
+// page posted, which is only for display.
+async function getShippableCents(cart, { promotion, redemption }) {
+  const contract = await getContractInstanceAsync();
+  if (!contract || !cart.length) return 0;
+  const lineCents = await getLineTotals(contract, cart, ZERO_ADDRESS, cart.map((_item, idx) => idx));
+  const itemsCents = lineCents.reduce((sum, cents) => sum + cents, 0n);
+  const promo = promotion && !promotion.blocker ? store.promoCodes.get(promotion.code) : null;
+  const scopeCents = promo ? promoScope(promo, cart).map((idx) => lineCents[idx]) : [];
+  const promoCents = promo ? promoDiscountUnits(promo, scopeCents, scopeCents) : 0n;
+  const shippable = itemsCents - promoCents - BigInt(sgdToCents(redemption?.discount || 0));
+  return shippable > 0n ? Number(shippable) : 0;
+}
+
+// The delivery options for the cart and address, and the one the shopper picked on the payment page
+// (standard when they have not). Free-shipping thresholds look at the items after discounts.
+async function getCartShipping(req, cart, discounts, address) {
+  const options = quoteShipping(store.shippingRules.list(), {
+    address,
+    boxes: cart.reduce((sum, item) => sum + Number(item.qty || 0), 0),
+    itemsCents: await getShippableCents(cart, discounts)
+  });
+  const selected = options.find((option) => option.service === req.session.shippingService) || options[0] || null;
+  return { address, postalCode: findPostalCode(address), options, selected };
+}
+
+// A delivery option as shoppers and order records see it, with the fee in SGD
+function describeShippingOption(option) {
+  return option && {
+    service: option.service,
+    label: option.label,
+    zone: option.zone,
+    fee: centsToSgd(option.fee),
+    eta: option.eta,
+    postalCode: option.postalCode
+  };
+}
+
+function describeCartShipping(shipping) {
+  return {
+    postalCode: shipping.postalCode,
+    options: shipping.options.map(describeShippingOption),
+    selected: shipping.selected?.service || ''
+  };
+}
+
+// Discounts and delivery, as getCartTotals() takes them. The address is the one last entered on the
+// payment page, else the profile's.
+async function getCartPricing(req, cart = [], address = req.session.shippingAddress || req.user?.address || '') {
+  const discounts = await getCartDiscounts(req, cart);
+  return { ...discounts, shipping: await getCartShipping(req, cart, discounts, address) };
+}
+
+// A voucher for one checkout: the promo's discount, bound to the buyer, the currency, the checkout
+// id (the order's delivery id) and its lines, valid as long as a price quote. Returns the promotions
+// contract's hook data.
+async function issuePromoVoucher(contract, promotions, { promo, buyer, checkoutId, productIds, qtys, currency, discount }) {
+  const quoteExpiry = Math.floor((Date.now() + PRICE_QUOTE_TTL_MS) / 1000);
+  const promoExpiry = promo.expiresAt ? Math.floor(Date.parse(promo.expiresAt) / 1000) : quoteExpiry;
+  const voucher = [
+    web3.utils.keccak256(web3.utils.utf8ToHex(checkoutId)),
+    web3.utils.keccak256(web3.eth.abi.encodeParameters(['uint256[]', 'uint256[]'], [productIds, qtys])),
+    promoCodeHash(promo.code),
+    discount.toString(),
+    Math.min(quoteExpiry, promoExpiry),
+    promo.usageLimit,
+    promo.walletLimit
+  ];
+  const digest = web3.utils.keccak256(
+    web3.eth.abi.encodeParameters(
+      ['address', 'uint256', 'address', 'address', 'bytes32', 'bytes32', 'bytes32', 'uint256', 'uint64', 'uint32', 'uint32'],
+      [promotions.options.address, await web3.eth.getChainId(), buyer, currency, ...voucher]
+    )
+  );
+  const signature = await signForContracts(contract, digest);
+  return web3.eth.abi.encodeParameter(
+    'tuple(bytes32,bytes32,bytes32,uint256,uint64,uint32,uint32,bytes)',
+    [...voucher, signature]
+  );
+}
+
+function rememberProductImages(productId, image, images) {
+  if (!productId) return;
+  const key = String(productId);
+  if (image) productImageMap[key] = image;
+  if (Array.isArray(images) && images.length) productGalleryMap[key] = images.slice();
+  store.productImages.save(key, {
+    image: productImageMap[key] || '',
+    gallery: productGalleryMap[key] || []
+  });
+}
+
+// Admin dashboard with escrow totals read from the contract
+app.get('/admin/dashboard', requireRole('admin'), (req, res) => renderAdminHome(res));
+
+async function renderAdminHome(res, { errorMessages = [], successMessages = [], status = 200 } = {}) {
+  return res.status(status).render('admin-home', {
+    user: res.locals.user,
+    escrow: await getEscrowTotals(),
+    errorMessages,
+    successMessages
+  });
+}
+
+// One row per currency: ETH first, then every token the contract has accepted
+async function getEscrowTotals() {
+  const contract = await getContractInstanceAsync();
+  if (!contract) return null;
+  try {
+    const currencies = [ETH_CURRENCY, ...(await getPaymentTokens(contract))];
+    return await Promise.all(currencies.map(async (currency) => {
+      const totals = await contract.methods.getEscrowTotals(currency.address).call();
+      return {
+        currency,
+        locked: fromCurrencyUnits(totals.locked, currency),
+        releasable: fromCurrencyUnits(totals.releasable, currency)
+      };
+    }));
+  } catch (error) {
+    console.warn('Unable to read escrow totals:', error?.message || error);
+    return null;
+  }
+}
+
+// Settled funds leave the contract one currency at a time
+app.post('/admin/withdraw', requireRole('admin'), async (req, res) => {
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    return renderAdminHome(res, { errorMessages: ['Smart contract is not configured.'], status: 500 });
+  }
+  const currencyAddress = String(req.body?.currency || ZERO_ADDRESS).toLowerCase();
+  const currency = currencyAddress === ZERO_ADDRESS
+    ? ETH_CURRENCY
+    : (await getPaymentTokens(contract)).find((token) => token.address === currencyAddress);
+  const to = String(req.body?.to || '').trim();
+  const amount = String(req.body?.amount || '').trim();
+  const errors = [];
+  if (!currency) errors.push('Unknown currency.');
+  if (!web3.utils.isAddress(to)) errors.push('Enter the wallet address to withdraw to.');
+  if (!(Number(amount) > 0)) errors.push('Enter an amount greater than 0.');
+  if (errors.length) return renderAdminHome(res, { errorMessages: errors, status: 400 });
+
+  try {
+    const units = toCurrencyUnits(amount, currency);
+    const from = await resolveAdminAccount(contract, req.user);
+    const method = currency === ETH_CURRENCY
+      ? contract.methods.withdraw(to, units)
+      : contract.methods.withdrawToken(currency.address, to, units);
+    await sendContractMethod(method, { from });
+  } catch (error) {
+    console.error('Error withdrawing funds:', error);
+    return renderAdminHome(res, {
+      errorMessages: [describeContractError(error, 'Unable to withdraw.')],
+      status: 400
+    });
+  }
+  return renderAdminHome(res, { successMessages: [`Withdrew ${amount} ${currency.symbol} to ${to}.`] });
+});
+
+app.get('/admin/customer-service', requireRole('admin'), (req, res) => {
+  const ordered = tickets.slice().sort((a, b) => {
+    return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+  });
+  res.render('admin-customer-service', {
+    user: req.user,
+    tickets: ordered,
     errorMessages: [],
-    successMessages: [],
-    products
+    successMessages: []
+  });
+});
+
+app.get('/admin/customer-service/:id', requireRole('admin'), (req, res) => {
+  const ticket = getTicketById(req.params.id);
+  if (!ticket) return res.status(404).send('Ticket not found');
+  const order = orders.find((item) => String(item.id) === String(ticket.orderId));
+  res.render('admin-customer-service-detail', {
+    user: req.user,
+    ticket,
+    order,
+    errorMessages: [],
+    successMessages: []
+  });
+});
+
+app.post('/admin/customer-service/:id', requireRole('admin'), async (req, res) => {
+  const ticket = getTicketById(req.params.id);
+  if (!ticket) return res.status(404).send('Ticket not found');
+  const order = orders.find((item) => String(item.id) === String(ticket.orderId));
+  const action = String(req.body?.action || '').toLowerCase();
+  const refundType = String(req.body?.refundType || '').trim();
+  const refundAmount = String(req.body?.refundAmount || '').trim();
+  const rejectionReason = String(req.body?.rejectionReason || '').trim();
+
+  const renderDetail = (messages, status = 400) => res.status(status).render('admin-customer-service-detail', {
+    user: req.user,
+    ticket,
+    order,
+    errorMessages: Array.isArray(messages) ? messages : [messages],
+    successMessages: []
+  });
+
+  if (!refundType || !['Full', 'Partial'].includes(refundType)) {
+    return renderDetail('Please select a refund type.');
+  }
+
+  if (ticket.status === 'Refund Accepted' || ticket.status === 'Refund Rejected') {
+    return renderDetail('This ticket has already been resolved.');
+  }
+
+  if (action === 'reject' && !rejectionReason) {
+    return renderDetail('Please provide a rejection reason before rejecting.');
+  }
+
+  let orderRefundStatus = '';
+  if (action === 'approve') {
+    if (!order?.chainOrderId) {
+      return renderDetail('This order was not paid on-chain, so it cannot be refunded.');
+    }
+    const partialAmount = Number(refundAmount);
+    if (refundType === 'Partial' && (!Number.isFinite(partialAmount) || partialAmount <= 0)) {
+      return renderDetail('Please enter the partial refund amount.');
+    }
+
+    const contract = await getContractInstanceAsync();
+    if (!contract) {
+      return renderDetail('Smart contract is not configured.', 500);
+    }
+
+    // Refunds go back in the currency the order was paid with, in that currency's units
+    const currency = currencyOf(order);
+    try {
+      const chainOrder = await contract.methods.orders(order.chainOrderId).call();
+      const alreadyRefunded = await contract.methods.refundedAmount(order.chainOrderId).call();
+      const refundableUnits = BigInt(chainOrder.paid) - BigInt(alreadyRefunded);
+      const amountUnits = refundType === 'Full'
+        ? refundableUnits
+        : toCurrencyUnits(refundAmount, currency);
+      if (amountUnits <= 0n) {
+        return renderDetail('Nothing left to refund on this order.');
+      }
+      if (amountUnits > refundableUnits) {
+        return renderDetail(
+          `Refund exceeds the refundable balance of ${fromCurrencyUnits(refundableUnits, currency)} ${currency.symbol}.`
+        );
+      }
+
+      const from = await resolveAdminAccount(contract, req.user);
+      const receipt = await sendContractMethod(
+        contract.methods.refund(order.chainOrderId, amountUnits),
+        { from }
+      );
+      const totalRefundedUnits = BigInt(alreadyRefunded) + amountUnits;
+
+      ticket.status = 'Refund Accepted';
+      ticket.amount = fromCurrencyUnits(amountUnits, currency);
+      ticket.currency = currency.symbol;
+      ticket.refundedWallet = ticket.customer;
+      ticket.refundTx = receipt.transactionHash;
+
+      order.refundedAmount = fromCurrencyUnits(totalRefundedUnits, currency);
+      if (totalRefundedUnits === BigInt(chainOrder.paid)) {
+        // refund() cancels the order on-chain once everything has been returned, putting undelivered
+        // stock back as cancelOrder() does
+        order.status = 'Cancelled';
+        order.action = 'refund';
+        markDeliveryCancelled(order.id);
+        await syncProductsFromChain();
+      } else {
+        orderRefundStatus = 'Partially Refunded';
+      }
+    } catch (error) {
+      console.error('Error refunding order on-chain:', error);
+      return renderDetail(describeContractError(error, 'Unable to refund on-chain.'), 500);
+    }
+  } else if (action === 'reject') {
+    ticket.status = 'Refund Rejected';
+    ticket.rejectionReason = rejectionReason;
+  } else {
+    return renderDetail('Invalid action.');
+  }
+
+  ticket.type = refundType;
+  ticket.resolvedAt = new Date().toISOString();
+  store.tickets.save(ticket);
+
+  if (order) {
+    order.refundStatus = orderRefundStatus || ticket.status;
+    order.ticketId = ticket.id;
+    order.auditLog = order.auditLog || [];
+    order.auditLog.push({
+      action: `Refund ${action === 'approve' ? 'accepted' : 'rejected'}`,
+      timestamp: new Date().toISOString(),
+      function: action === 'approve' ? 'refund' : 'resolveRefund',
+      txHash: ticket.refundTx || ''
+    });
+    store.orders.save(order);
+  }
+
+  res.redirect(`/admin/customer-service/${ticket.id}`);
+});
+
+const INVENTORY_PAGE_SIZE = 20;
+
+// The inventory lists one page of catalog search results, deactivated products included
+async function renderInventory(res, { errorMessages = [], successMessages = [], status = 200, query = {} } = {}) {
+  await syncProductsFromChain();
+  const filters = {
+    q: String(query.q || '').trim(),
+    category: String(query.category || ''),
+    series: String(query.series || ''),
+    availability: String(query.availability || ''),
+    sort: String(query.sort || '')
+  };
+  const options = {
+    ...readCatalogQuery({ ...filters, includeInactive: 'true' }, { admin: true }),
+    limit: INVENTORY_PAGE_SIZE
+  };
+  let result;
+  try {
+    result = store.catalog.search({ ...options, cursor: String(query.cursor || '') });
+  } catch (error) {
+    // a stale or edited cursor starts the list over instead of failing the page
+    if (!(error instanceof RangeError)) throw error;
+    errorMessages = [...errorMessages, error.message];
+    result = store.catalog.search(options);
+  }
+  const byId = new Map(products.map((product) => [String(product.id), product]));
+  const pageQuery = (cursor) => new URLSearchParams(Object.entries({ ...filters, cursor })
+    .filter(([, value]) => value)).toString();
+  res.status(status).render('admin-inventory', {
+    user: res.locals.user,
+    errorMessages,
+    successMessages,
+    products: result.items
+      .map((item) => byId.get(String(item.id)))
+      .filter(Boolean)
+      .map((product) => (product.seller ? { ...product, sellerShop: sellerName(product.seller) } : product)),
+    filters,
+    facets: result.facets,
+    total: result.total,
+    firstPageUrl: query.cursor ? `/admin/inventory?${pageQuery('')}` : '',
+    nextPageUrl: result.nextCursor ? `/admin/inventory?${pageQuery(result.nextCursor)}` : '',
+    paymentTokens,
+    productHistory: await getProductHistory()
+  });
+}
+
+app.get('/admin/inventory', requireRole('admin'), async (req, res) => {
+  await renderInventory(res, { query: req.query });
+});
+
+// Accept (or stop accepting) an ERC-20 token as a payment currency
+app.post('/admin/tokens', requireRole('admin'), async (req, res) => {
+  const tokenAddress = String(req.body?.token || '').trim();
+  const accepted = String(req.body?.accepted) !== 'false';
+  if (!web3.utils.isAddress(tokenAddress)) {
+    return renderInventory(res, { errorMessages: ['Enter the token contract address.'], status: 400 });
+  }
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    return renderInventory(res, { errorMessages: ['Smart contract is not configured.'], status: 500 });
+  }
+  try {
+    // read the metadata first so a non-ERC-20 address is turned away before anything is sent
+    const token = new web3.eth.Contract(erc20Abi, tokenAddress);
+    const symbol = await token.methods.symbol().call();
+    await token.methods.decimals().call();
+    const from = await resolveAdminAccount(contract, req.user);
+    await sendContractMethod(contract.methods.setAcceptedToken(tokenAddress, accepted), { from });
+    return renderInventory(res, {
+      successMessages: [accepted ? `${symbol} is now accepted for payment.` : `${symbol} is no longer accepted.`]
+    });
+  } catch (error) {
+    console.error('Error updating payment token:', error);
+    return renderInventory(res, {
+      errorMessages: [describeContractError(error, 'That address is not an ERC-20 token.')],
+      status: 400
+    });
+  }
+});
+
+// Edit a product on-chain: details, price and restock are separate contract calls,
+// only the parts that actually changed are sent
+app.post('/admin/products/:id/edit', requireRole('admin'), async (req, res) => {
+  await syncProductsFromChain();
+  const product = products.find((p) => String(p.id) === String(req.params.id));
+  if (!product) return res.status(404).send('Product not found');
+
+  const name = String(req.body?.productName || '').trim();
+  const description = String(req.body?.productDescription || '').trim();
+  const price = String(req.body?.price || '').trim();
+  const addStock = String(req.body?.addStock || '').trim();
+  const errors = [];
+  if (!name) errors.push('Product name is required.');
+  if (!Number.isFinite(Number(price)) || sgdToCents(price) <= 0) {
+    errors.push('Price per box must be at least S$0.01.');
+  }
+  if (addStock && (!Number.isInteger(Number(addStock)) || Number(addStock) < 0)) {
+    errors.push('Restock quantity must be a whole number.');
+  }
+  // One optional price per accepted token; an empty field stops selling the product for that token
+  const tokenPrices = paymentTokens
+    .filter((token) => token.accepted && req.body?.[`tokenPrice-${token.address}`] !== undefined)
+    .map((token) => ({ token, value: String(req.body[`tokenPrice-${token.address}`]).trim() || '0' }));
+  tokenPrices.forEach(({ token, value }) => {
+    if (!Number.isFinite(Number(value)) || Number(value) < 0) {
+      errors.push(`Price in ${token.symbol} must be 0 or more.`);
+    }
+  });
+  const catalogInput = readCatalogAttributes(req.body);
+  errors.push(...catalogInput.errors);
+  if (errors.length) return renderInventory(res, { errorMessages: errors, status: 400 });
+
+  // Series, category, tags and release date are shop data, not contract state; save them first
+  const attributes = catalogInput.attributes;
+  const catalogChanged = ['series', 'category', 'releaseDate'].some((key) => attributes[key] !== (product[key] || ''))
+    || attributes.tags.join(',') !== (product.tags || []).join(',');
+  if (catalogChanged) {
+    store.catalog.saveAttributes(product.id, attributes);
+    Object.assign(product, attributes);
+  }
+
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    return renderInventory(res, { errorMessages: ['Smart contract is not configured.'], status: 500 });
+  }
+
+  const changes = [];
+  try {
+    const from = await resolveAdminAccount(contract, req.user);
+    const onChain = await contract.methods.products(product.id).call();
+    if (name !== onChain.name || description !== onChain.description) {
+      await sendContractMethod(contract.methods.updateProductDetails(product.id, name, description), { from });
+      changes.push('details');
+    }
+    const priceCents = sgdToCents(price);
+    if (priceCents !== Number(onChain.priceCents)) {
+      await sendContractMethod(contract.methods.updateProductPrice(product.id, priceCents), { from });
+      changes.push('price');
+    }
+    for (const { token, value } of tokenPrices) {
+      const units = toCurrencyUnits(value, token);
+      const current = BigInt(await contract.methods.tokenPrices(product.id, token.address).call());
+      if (units !== current) {
+        await sendContractMethod(contract.methods.setTokenPrice(product.id, token.address, units), { from });
+        changes.push(`${token.symbol} price`);
+      }
+    }
+    if (Number(addStock) > 0) {
+      await sendContractMethod(contract.methods.restockProduct(product.id, Number(addStock)), { from });
+      changes.push('stock');
+    }
+  } catch (error) {
+    console.error('Error updating product on-chain:', error);
+    const message = describeContractError(error, 'Unable to update product on-chain.');
+    const done = catalogChanged ? ['catalog details', ...changes] : changes;
+    const saved = done.length ? ` (${done.join(', ')} already saved)` : '';
+    return renderInventory(res, { errorMessages: [`${product.name}: ${message}${saved}`], status: 500 });
+  }
+
+  const messages = [];
+  if (changes.length) messages.push(`${name}: updated ${changes.join(', ')} on-chain.`);
+  if (catalogChanged) messages.push(`${name}: catalog details saved.`);
+  return renderInventory(res, {
+    successMessages: messages.length ? messages : [`${name}: nothing to change.`]
+  });
+});
+
+// Rearrange, remove or add gallery images; every image ends up content-addressed with its hash on-chain
+app.post('/admin/products/:id/images', requireRole('admin'), acceptUploads(imageUpload.array('images', MAX_GALLERY_IMAGES)), async (req, res) => {
+  await syncProductsFromChain();
+  const product = products.find((p) => String(p.id) === String(req.params.id));
+  if (!product) return res.status(404).send('Product not found');
+  if (req.uploadError) return renderInventory(res, { errorMessages: [req.uploadError], status: 400 });
+
+  const errors = [];
+  const current = product.images || [];
+  const kept = [];
+  for (const [idx, url] of current.entries()) {
+    if (req.body?.[`remove-${idx}`]) continue;
+    const position = Number(req.body?.[`position-${idx}`] || idx + 1);
+    let storedUrl = url;
+    if (!imageStore.hashFromUrl(url)) {
+      // older uploads were saved under their original names; move them into the image store
+      try {
+        const buffer = await fs.promises.readFile(path.join(__dirname, 'public', decodeURIComponent(url)));
+        storedUrl = (await imageStore.save(buffer, path.basename(url))).url;
+      } catch (error) {
+        errors.push(error.code === 'ENOENT' ? `${path.basename(url)} is missing on the server; remove it from the gallery.` : error.message);
+        continue;
+      }
+    }
+    kept.push({ url: storedUrl, position, main: String(req.body?.main) === String(idx) });
+  }
+  const added = [];
+  for (const file of req.files || []) {
+    try {
+      added.push((await imageStore.save(file.buffer, file.originalname)).url);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  kept.sort((a, b) => a.position - b.position);
+  const main = kept.find((image) => image.main)?.url || (String(req.body?.main) === 'new' && added[0]) || '';
+  const gallery = [...new Set([main, ...kept.map((image) => image.url), ...added].filter(Boolean))];
+  if (!gallery.length) errors.push('A product needs at least one image.');
+  if (gallery.length > MAX_GALLERY_IMAGES) errors.push(`A gallery holds at most ${MAX_GALLERY_IMAGES} images.`);
+  if (errors.length) return renderInventory(res, { errorMessages: errors.map((msg) => `${product.name}: ${msg}`), status: 400 });
+
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    return renderInventory(res, { errorMessages: ['Smart contract is not configured.'], status: 500 });
+  }
+  let published = false;
+  try {
+    const from = await resolveAdminAccount(contract, req.user);
+    published = await publishProductImages(contract, product.id, gallery, from);
+  } catch (error) {
+    console.error('Error publishing product images on-chain:', error);
+    const message = describeContractError(error, 'Unable to record the image fingerprints on-chain.');
+    return renderInventory(res, { errorMessages: [`${product.name}: ${message}`], status: 500 });
+  }
+  rememberProductImages(product.id, gallery[0], gallery);
+  return renderInventory(res, {
+    errorMessages: published
+      ? []
+      : ['The media contract is not deployed, so the image fingerprints were not recorded on-chain.'],
+    successMessages: [`${product.name}: gallery saved with ${gallery.length} image${gallery.length === 1 ? '' : 's'}.`]
   });
 });
 
-app.get('/admin/add-product', (_req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
+app.get('/admin/add-product', requireRole('admin'), (req, res) => {
   res.render('admin-add-product', {
-    user: currentUser,
+    user: req.user,
     errorMessages: [],
     successMessages: []
   });
 });
 
-app.post('/admin/add-product', upload.any(), async (req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
+app.post('/admin/add-product', requireRole('admin'), acceptUploads(imageUpload.array('images', MAX_GALLERY_IMAGES)), async (req, res) => {
   const {
     productName,
     productDescription,
@@ -1217,20 +3566,63 @@ app.post('/admin/add-product', upload.any(), async (req, res) => {
 
   if (!trimmedName) errors.push('Product name is required.');
   if (!trimmedDescription) errors.push('Product description is required.');
-  if (!Number.isFinite(priceNum) || priceNum <= 0) {
-    errors.push('Price per box must be greater than 0.');
+  if (!Number.isFinite(priceNum) || sgdToCents(priceNum) <= 0) {
+    errors.push('Price per box must be at least S$0.01.');
   }
   if (!Number.isFinite(stockNum) || stockNum <= 0) {
     errors.push('Stock quantity must be greater than 0.');
   }
+  const catalogInput = readCatalogAttributes(req.body);
+  errors.push(...catalogInput.errors);
+  const dropInput = readDropSchedule(req.body);
+  errors.push(...dropInput.errors);
+
+  // Optional blind-box figures; rows left completely blank are ignored
+  const toList = (value) => [].concat(value ?? []).map((item) => String(item).trim());
+  const variantNames = toList(req.body?.variantName);
+  const variantWeights = toList(req.body?.variantWeight);
+  const variantSupplies = toList(req.body?.variantSupply);
+  const variants = variantNames
+    .map((name, idx) => ({ name, weight: variantWeights[idx] || '', supply: variantSupplies[idx] || '' }))
+    .filter((variant) => variant.name || variant.weight || variant.supply);
+  variants.forEach((variant, idx) => {
+    if (!variant.name) errors.push(`Figure ${idx + 1} needs a name.`);
+    if (!Number.isInteger(Number(variant.weight)) || Number(variant.weight) <= 0) {
+      errors.push(`Figure ${idx + 1} needs a whole-number rarity weight greater than 0.`);
+    }
+    if (!Number.isInteger(Number(variant.supply)) || Number(variant.supply) <= 0) {
+      errors.push(`Figure ${idx + 1} needs a whole-number supply greater than 0.`);
+    }
+  });
+  const seriesSupply = variants.reduce((sum, variant) => sum + Number(variant.supply || 0), 0);
+  if (variants.length && seriesSupply !== stockNum) {
+    errors.push(`Stock quantity must equal the total figure supply (${seriesSupply}).`);
+  }
 
-  const firstFile = Array.isArray(req.files) && req.files.length ? req.files[0] : null;
-  if (!firstFile) {
+  // Gallery in display order: the chosen main image first, then the rest as uploaded
+  const files = Array.isArray(req.files) ? req.files : [];
+  const mainIndex = Number(req.body?.mainImage || 1) - 1;
+  let gallery = [];
+  if (req.uploadError) {
+    errors.push(req.uploadError);
+  } else if (!files.length) {
     errors.push('Product image is required.');
+  } else if (!Number.isInteger(mainIndex) || mainIndex < 0 || mainIndex >= files.length) {
+    errors.push(`Main image must be a number from 1 to ${files.length}.`);
+  } else {
+    const ordered = [files[mainIndex], ...files.filter((_file, idx) => idx !== mainIndex)];
+    for (const file of ordered) {
+      try {
+        gallery.push((await imageStore.save(file.buffer, file.originalname)).url);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    gallery = [...new Set(gallery)];
   }
   if (errors.length) {
     return res.status(400).render('admin-add-product', {
-      user: currentUser,
+      user: req.user,
       errorMessages: errors,
       successMessages: []
     });
@@ -1239,68 +3631,60 @@ app.post('/admin/add-product', upload.any(), async (req, res) => {
   const contract = await getContractInstanceAsync();
   if (!contract) {
     return res.status(500).render('admin-add-product', {
-      user: currentUser,
+      user: req.user,
       errorMessages: ['Smart contract is not configured. Deploy the contract and set CONTRACT_ADDRESS or run truffle migrate.'],
       successMessages: []
     });
   }
 
-
-  // Use uploaded image (first file) if provided
-  const imagePath = firstFile ? `/images/${firstFile.filename || firstFile.originalname}` : '';
-
+  const imagePath = gallery[0];
   try {
-    const accounts = await web3.eth.getAccounts();
-    const wallet = (currentUser.walletAddress || '').toLowerCase();
-    const matchedWallet = accounts.find((acct) => acct.toLowerCase() === wallet);
-    const from = matchedWallet || accounts[0];
-    if (!from) {
-      return res.status(500).render('admin-add-product', {
-        user: currentUser,
-        errorMessages: ['No unlocked blockchain account is available.'],
-        successMessages: []
-      });
-    }
-    const owner = await contract.methods.owner().call().catch(() => '');
-    const ownerAccount = accounts.find((acct) => acct.toLowerCase() === String(owner).toLowerCase());
-    const isAdmin = await contract.methods.isAdmin(from).call().catch(() => false);
-    if (!isAdmin) {
-      if (!ownerAccount) {
-        return res.status(403).render('admin-add-product', {
-          user: currentUser,
-          errorMessages: ['Selected account is not an on-chain admin. Unlock the owner/admin account in Ganache and try again.'],
-          successMessages: []
-        });
-      }
-      await contract.methods.addAdmin(from).send({ from: ownerAccount });
-    }
-
-    const priceWeiValue = web3.utils.toWei(String(priceNum), 'ether');
-
-    await contract.methods.addProduct(
+    const from = await resolveAdminAccount(contract, req.user);
+    const receipt = await sendContractMethod(contract.methods.addProduct(
       trimmedName,
       trimmedDescription,
-      priceWeiValue,
+      sgdToCents(priceNum),
       stockNum
-    ).send({ from });
-
-    const chainCount = await contract.methods.productCount().call();
-    const chainNextId = Number(chainCount || 0);
-    const onChain = await contract.methods.products(chainNextId).call();
+    ), { from });
+
+    // sellers add products too, so productCount() may already be past ours by now
+    const [added] = decodeContractEvents(receipt, 'ProductAdded');
+    if (!added) throw new Error('The product was added, but its ProductAdded event could not be read.');
+    const chainProductId = Number(added.id);
+    const onChain = await contract.methods.products(chainProductId).call();
+
+    if (variants.length) {
+      const blindBox = await getBlindBoxInstanceAsync(contract);
+      if (!blindBox) {
+        throw new Error('Product added, but the blind-box contract is not deployed, so its figures were not saved.');
+      }
+      // Room for every figure to be sold twice, since cancelled boxes go back on sale; the product
+      // page shows how much of that room is left
+      const chainLength = seriesSupply * 2;
+      await sendContractMethod(blindBox.methods.createSeries(
+        chainProductId,
+        variants.map((variant) => variant.name),
+        variants.map((variant) => Number(variant.weight)),
+        variants.map((variant) => Number(variant.supply)),
+        blindBoxChainLink(chainProductId, chainLength),
+        chainLength
+      ), { from });
+    }
+    if (dropInput.drop) {
+      await publishDrop(contract, chainProductId, dropInput.drop, from);
+    }
     const normalized = normalizeProductPayload({
       ...onChain,
-      id: chainNextId,
+      id: chainProductId,
       name: trimmedName,
       description: trimmedDescription,
       price: priceNum,
       stock: stockNum,
-      image: imagePath
+      image: imagePath,
+      images: gallery
     });
-    if (firstFile) {
-      normalized.images = [imagePath];
-      normalized.mainImageIndex = '1';
-    }
-    rememberProductImages(normalized.id, imagePath, normalized.images);
+    rememberProductImages(normalized.id, imagePath, gallery);
+    const published = await publishProductImages(contract, chainProductId, gallery, from);
 
     const existingIdx = products.findIndex((p) => String(p.id) === String(normalized.id));
     if (existingIdx >= 0) {
@@ -1308,38 +3692,42 @@ app.post('/admin/add-product', upload.any(), async (req, res) => {
     } else {
       products.push(normalized);
     }
+    store.catalog.saveAttributes(chainProductId, catalogInput.attributes);
+    indexCatalog();
     listOfProducts = [...products];
 
     res.render('admin-add-product', {
-      user: currentUser,
-      errorMessages: [],
-      successMessages: ['Product added on-chain']
+      user: req.user,
+      errorMessages: published
+        ? []
+        : ['The media contract is not deployed, so the image fingerprints were not recorded on-chain.'],
+      successMessages: [published ? 'Product added on-chain with its image fingerprints' : 'Product added on-chain']
     });
   } catch (error) {
     console.error('Error adding product on-chain:', error);
     const message = error?.message || 'Unable to add product on-chain.';
     res.status(500).render('admin-add-product', {
-      user: currentUser,
+      user: req.user,
       errorMessages: [message],
       successMessages: []
     });
   }
 });
 
-app.get('/admin/orders', (_req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
+app.get('/admin/orders', requireRole('admin'), async (req, res) => {
+  await refreshChainIndex();
+  const rows = listOrderRows();
   res.render('admin-orders', {
-    user: currentUser,
+    user: req.user,
     errorMessages: [],
     successMessages: [],
-    orders: orders.slice().reverse(),
-    deliveries,
+    orders: rows,
+    deliveries: rows.map((row) => row.delivery || getDeliveryForOrder(row.id)).filter(Boolean),
     drivers: getDriversMap()
   });
 });
 
-app.get('/admin/orders/:id', (req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
+app.get('/admin/orders/:id', requireRole('admin'), (req, res) => {
   const order = orders.find((item) => String(item.id) === String(req.params.id));
   if (!order) return res.status(404).send('Order not found');
   const delivery = deliveries.find(
@@ -1347,7 +3735,7 @@ app.get('/admin/orders/:id', (req, res) => {
   );
   const ticket = getTicketByOrderId(order.id);
   res.render('admin-order-detail', {
-    user: currentUser,
+    user: req.user,
     order,
     delivery,
     ticket,
@@ -1356,254 +3744,799 @@ app.get('/admin/orders/:id', (req, res) => {
   });
 });
 
-app.post('/admin/orders/confirm/:id', (req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
+// Admin confirmation of a delivered order; releases the escrow on-chain
+async function completeOrder(order, user) {
+  if (!order?.chainOrderId) {
+    throw new Error('This order was not placed on-chain, so it cannot be completed.');
+  }
+  // the state machine only reaches Pending confirmation through the assigned delivery man's proof
+  const contract = await getContractInstanceAsync();
+  if (!contract) throw new Error('Smart contract is not configured.');
+  const from = await resolveAdminAccount(contract, user);
+  return transitionOrder(contract, order, CHAIN_ORDER_STATUS.COMPLETED, { actor: 'admin', from });
+}
+
+app.post('/admin/orders/confirm/:id', requireRole('admin'), async (req, res) => {
   const order = orders.find((item) => String(item.id) === String(req.params.id));
   if (!order) return res.status(404).send('Order not found');
-  const delivery = deliveries.find(
-    (item) => String(item.orderNumber || item.id) === String(order.id)
-  );
-  if (!delivery || !delivery.assignedTo || !delivery.proofImage) {
-    return res.status(400).send('Delivery assignment and proof are required before confirmation.');
+  const delivery = getDeliveryForOrder(order.id);
+  try {
+    await completeOrder(order, req.user);
+  } catch (error) {
+    console.error('Error confirming delivery on-chain:', error);
+    return res.status(400).render('admin-order-detail', {
+      user: req.user,
+      order,
+      delivery,
+      ticket: getTicketByOrderId(order.id),
+      errorMessages: [describeContractError(error, 'Unable to confirm the delivery on-chain.')],
+      successMessages: []
+    });
   }
-  order.status = 'Completed';
-  order.action = 'delivery completion';
-  order.auditLog = order.auditLog || [];
-  order.auditLog.push({
-    action: 'Order completed',
-    timestamp: new Date().toISOString(),
-    function: 'confirmDelivery',
-    txHash: '0xDEMO'
-  });
-  if (delivery) delivery.status = DELIVERY_STATUS.COMPLETED;
   res.redirect('/admin/orders');
 });
 
-app.get('/admin/delivery/:id', (req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
+app.get('/admin/delivery/:id', requireRole('admin'), (req, res) => {
   const delivery = deliveries.find(
     (item) => String(item.deliveryId || item.id) === String(req.params.id)
   );
   if (!delivery) return res.status(404).send('Delivery not found');
   const deliveryView = { ...delivery, status: toDeliveryDisplayStatus(delivery.status) };
   res.render('delivery-order-detail', {
-    user: currentUser,
+    user: req.user,
     delivery: deliveryView,
     errorMessages: [],
     successMessages: []
   });
 });
 
-app.post('/admin/delivery/:id/approve', (req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
-  const delivery = deliveries.find(
-    (item) => String(item.deliveryId || item.id) === String(req.params.id)
-  );
-  if (!delivery) return res.status(404).send('Delivery not found');
-  if (!delivery.assignedTo || !delivery.proofImage) {
-    return res.status(400).send('Delivery assignment and proof are required before approval.');
+app.post('/admin/delivery/:id/approve', requireRole('admin'), async (req, res) => {
+  const delivery = deliveries.find(
+    (item) => String(item.deliveryId || item.id) === String(req.params.id)
+  );
+  if (!delivery) return res.status(404).send('Delivery not found');
+  try {
+    await completeOrder(getOrderForDelivery(delivery), req.user);
+  } catch (error) {
+    console.error('Error approving delivery on-chain:', error);
+    return res.status(400).render('delivery-order-detail', {
+      user: req.user,
+      delivery: { ...delivery, status: toDeliveryDisplayStatus(delivery.status) },
+      errorMessages: [describeContractError(error, 'Unable to approve the delivery on-chain.')],
+      successMessages: []
+    });
+  }
+
+  res.redirect(`/admin/delivery/${delivery.deliveryId || delivery.id}`);
+});
+
+app.get('/demo/seed-order', requireLogin, (req, res) => {
+  const wallet = (req.user.walletAddress || '').toLowerCase();
+  const cart = ensureDemoCart(wallet);
+  const order = createOrderFromCart(req.user, cart);
+  createDemoDelivery(order, req.user);
+
+  if (req.user.role === 'admin') return res.redirect('/admin/orders');
+  if (req.user.role === 'delivery man') return res.redirect('/delivery/dashboard');
+
+  const trackingPayload = buildTrackingPayload(order, cart);
+  const trackingJson = JSON.stringify(trackingPayload);
+  res.set('Content-Type', 'text/html');
+  return res.send(`<!DOCTYPE html>
+<html lang="en">
+  <head><meta charset="UTF-8"><title>Seeding Demo Order</title></head>
+  <body>
+    <script>
+      (function() {
+        var TRACKING_KEY = 'ORDER_TRACKING_DATA';
+        var incoming = ${trackingJson};
+        var existing = [];
+        try { existing = JSON.parse(sessionStorage.getItem(TRACKING_KEY) || '[]'); } catch (e) { existing = []; }
+        if (!Array.isArray(existing)) existing = [];
+        existing.push(incoming);
+        sessionStorage.setItem(TRACKING_KEY, JSON.stringify(existing));
+        window.location.href = '/order-tracking?orderId=' + encodeURIComponent(incoming.orderId || '');
+      })();
+    </script>
+  </body>
+</html>`);
+});
+
+app.get('/delivery/demo-seed', requireRole('delivery man'), (req, res) => {
+  const order = createDemoOrderForDelivery(req.user);
+  createDemoDelivery(order, req.user);
+  res.redirect('/delivery/dashboard');
+});
+
+app.get('/admin/users', requireRole('admin'), (req, res) => {
+  res.render('admin-users', {
+    user: req.user,
+    errorMessages: [],
+    successMessages: [],
+    users: Object.values(users)
+  });
+});
+
+app.post('/admin/users/role', requireRole('admin'), async (req, res) => {
+  const wallet = String(req.body?.walletAddress || '').trim().toLowerCase();
+  const role = normalizeRoleInput(req.body?.role);
+  const allowedRoles = ['admin', 'delivery man', 'seller', 'user'];
+  const renderUsers = (messages, status = 400) => res.status(status).render('admin-users', {
+    user: req.user,
+    errorMessages: [messages],
+    successMessages: [],
+    users: Object.values(users)
+  });
+
+  if (!wallet || !users[wallet]) return renderUsers('User not found.');
+  if (!allowedRoles.includes(role)) return renderUsers('Invalid role selection.');
+
+  const isSelf = String(req.user.walletAddress || '').toLowerCase() === wallet;
+  const applyRoleChange = () => {
+    users[wallet].role = role;
+    store.users.save(users[wallet]);
+    if (isSelf) {
+      req.user = users[wallet];
+      req.session.user = req.user;
+    }
+  };
+  const resolveRedirect = () => {
+    if (!isSelf) return '/admin/users';
+    if (role === 'admin') return '/admin/dashboard';
+    if (role === 'delivery man') return '/delivery/dashboard';
+    if (role === 'seller') return '/seller/dashboard';
+    return '/user/home';
+  };
+
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    applyRoleChange();
+    return res.redirect('/admin/users');
+  }
+
+  try {
+    const from = await resolveAdminAccount(contract, req.user);
+    await sendContractMethod(contract.methods.changeRole(wallet, CHAIN_ROLE_LABELS.indexOf(role)), { from });
+  } catch (error) {
+    console.error('Error updating role on-chain:', error);
+    return renderUsers(describeContractError(error, 'Unable to update role on-chain.'), 500);
+  }
+  applyRoleChange();
+  return res.redirect(resolveRedirect());
+});
+
+// ---------- Sellers ----------
+// Wallets apply here; an admin approves them, which gives them Role.Seller on the shop contract
+const SELLER_ROLE = CHAIN_ROLE_LABELS.indexOf('seller');
+
+app.get('/seller/apply', requireRole('user'), (req, res) => {
+  res.render('seller-apply', {
+    user: req.user,
+    application: store.sellerApplications.get(req.user.walletAddress || ''),
+    errorMessages: [],
+    successMessages: []
+  });
+});
+
+app.post('/seller/apply', requireRole('user'), (req, res) => {
+  const wallet = String(req.user.walletAddress || '').toLowerCase();
+  const existing = store.sellerApplications.get(wallet);
+  const shopName = String(req.body?.shopName || '').trim().replace(/\s+/g, ' ');
+  const description = String(req.body?.description || '').trim();
+  const errors = [];
+  if (existing && existing.status !== 'rejected') errors.push('You have already applied to sell on Republic Surprise.');
+  if (!shopName || shopName.length > 80) errors.push('Shop name is required (at most 80 characters).');
+  if (description.length > 1000) errors.push('Tell us about your shop in at most 1000 characters.');
+  if (errors.length) {
+    return res.status(400).render('seller-apply', { user: req.user, application: existing, errorMessages: errors, successMessages: [] });
+  }
+  const application = store.sellerApplications.save({ wallet, shopName, description, status: 'pending' });
+  res.render('seller-apply', {
+    user: req.user,
+    application,
+    errorMessages: [],
+    successMessages: ['Application sent. An admin will review it.']
+  });
+});
+
+async function renderAdminSellers(res, { errorMessages = [], successMessages = [], status = 200 } = {}) {
+  const marketplace = await getMarketplaceInstanceAsync(await getContractInstanceAsync());
+  const commissionBps = marketplace ? Number(await marketplace.methods.commissionBps().call()) : null;
+  const applications = store.sellerApplications.list().map((application) => ({
+    ...application,
+    name: users[application.wallet]?.name || '',
+    productCount: products.filter((product) => product.seller === application.wallet).length
+  }));
+  if (!marketplace) errorMessages = [...errorMessages, 'The marketplace contract is not deployed.'];
+  res.status(status).render('admin-sellers', {
+    user: res.locals.user,
+    applications,
+    commissionPercent: commissionBps === null ? null : commissionBps / 100,
+    errorMessages,
+    successMessages
+  });
+}
+
+app.get('/admin/sellers', requireRole('admin'), (_req, res) => renderAdminSellers(res));
+
+app.post('/admin/sellers/:wallet/review', requireRole('admin'), async (req, res) => {
+  const application = store.sellerApplications.get(req.params.wallet);
+  if (!application) return renderAdminSellers(res, { errorMessages: ['Application not found.'], status: 404 });
+  const approve = req.body?.decision === 'approve';
+  if (application.status !== 'pending') {
+    return renderAdminSellers(res, { errorMessages: [`${application.shopName} was already ${application.status}.`], status: 400 });
+  }
+  const reviewedBy = String(req.user.walletAddress || '').toLowerCase();
+  if (!approve) {
+    store.sellerApplications.save({ ...application, status: 'rejected', reviewedBy });
+    return renderAdminSellers(res, { successMessages: [`${application.shopName}: application rejected.`] });
+  }
+  const contract = await getContractInstanceAsync();
+  if (!contract) return renderAdminSellers(res, { errorMessages: ['Smart contract is not configured.'], status: 500 });
+  try {
+    const from = await resolveAdminAccount(contract, req.user);
+    await sendContractMethod(contract.methods.assignRole(application.wallet, SELLER_ROLE), { from });
+  } catch (error) {
+    console.error('Error approving seller on-chain:', error);
+    const message = describeContractError(error, 'Unable to assign the seller role on-chain.');
+    return renderAdminSellers(res, { errorMessages: [`${application.shopName}: ${message}`], status: 500 });
+  }
+  store.sellerApplications.save({ ...application, status: 'approved', reviewedBy });
+  if (users[application.wallet]) {
+    users[application.wallet].role = 'seller';
+    store.users.save(users[application.wallet]);
+  }
+  return renderAdminSellers(res, {
+    successMessages: [`${application.shopName} can sell now; the seller dashboard opens the next time they log in.`]
+  });
+});
+
+app.post('/admin/sellers/commission', requireRole('admin'), async (req, res) => {
+  const percent = Number(req.body?.commissionPercent);
+  const bps = Math.round(percent * 100);
+  if (String(req.body?.commissionPercent ?? '').trim() === '' || !Number.isFinite(percent) || bps < 0 || bps > 10000) {
+    return renderAdminSellers(res, { errorMessages: ['Commission must be a percentage from 0 to 100.'], status: 400 });
   }
-  delivery.status = DELIVERY_STATUS.COMPLETED;
-  delivery.updatedAt = new Date().toISOString();
+  const contract = await getContractInstanceAsync();
+  const marketplace = await getMarketplaceInstanceAsync(contract);
+  if (!marketplace) return renderAdminSellers(res, { status: 500 });
+  try {
+    const from = await resolveAdminAccount(contract, req.user);
+    await sendContractMethod(marketplace.methods.setCommission(bps), { from });
+  } catch (error) {
+    console.error('Error setting the commission on-chain:', error);
+    return renderAdminSellers(res, { errorMessages: [describeContractError(error, 'Unable to set the commission.')], status: 500 });
+  }
+  return renderAdminSellers(res, { successMessages: [`Commission set to ${bps / 100}% for orders placed from now on.`] });
+});
 
-  const order = orders.find((item) => String(item.id) === String(delivery.orderNumber || delivery.id));
-  if (order) {
-    order.status = 'Completed';
-    order.action = 'delivery completion';
-    order.auditLog = order.auditLog || [];
-    order.auditLog.push({
-      action: 'Order completed',
-      timestamp: new Date().toISOString(),
-      function: 'confirmDelivery',
-      txHash: '0xDEMO'
-    });
+async function renderSellerDashboard(req, res, { errorMessages = [], successMessages = [], status = 200 } = {}) {
+  const wallet = String(req.user.walletAddress || '').toLowerCase();
+  await syncProductsFromChain();
+  await refreshChainIndex();
+  const marketplace = await getMarketplaceInstanceAsync(await getContractInstanceAsync());
+  let balances = [];
+  let sellerOrders = [];
+  let commissionPercent = null;
+  if (!marketplace) {
+    errorMessages = [...errorMessages, 'The marketplace contract is not deployed.'];
+  } else {
+    try {
+      commissionPercent = Number(await marketplace.methods.commissionBps().call()) / 100;
+      balances = await getSellerBalances(marketplace, wallet);
+      sellerOrders = await getSellerOrders(marketplace, wallet);
+    } catch (error) {
+      console.error('Unable to read the seller dashboard:', error);
+      errorMessages = [...errorMessages, describeContractError(error, 'Unable to read your sales from the chain.')];
+    }
   }
+  res.status(status).render('seller-dashboard', {
+    user: req.user,
+    shopName: sellerName(wallet),
+    products: products.filter((product) => product.seller === wallet),
+    sellerOrders,
+    balances,
+    commissionPercent,
+    errorMessages,
+    successMessages
+  });
+}
 
-  res.redirect(`/admin/delivery/${delivery.deliveryId || delivery.id}`);
-});
+app.get('/seller/dashboard', requireRole('seller'), (req, res) => renderSellerDashboard(req, res));
 
-app.get('/demo/seed-order', (req, res) => {
-  if (!currentUser) return res.redirect('/login');
-  const wallet = (currentUser.walletAddress || '').toLowerCase();
-  const cart = ensureDemoCart(wallet);
-  const order = createOrderFromCart(currentUser, cart);
-  createDemoDelivery(order, currentUser);
+// Sellers sign their own product transactions: the fields and images are checked and stored here,
+// then the marketplace's addProduct() goes back to MetaMask
+app.post('/seller/products/prepare', requireRole('seller'), acceptUploads(imageUpload.array('images', MAX_GALLERY_IMAGES)), async (req, res) => {
+  const wallet = String(req.user.walletAddress || '');
+  const name = String(req.body?.productName || '').trim();
+  const description = String(req.body?.productDescription || '').trim();
+  const priceCents = sgdToCents(Number(req.body?.price || 0));
+  const stock = Number(req.body?.stock || 0);
+  const errors = [];
+  if (!name) errors.push('Product name is required.');
+  if (!description) errors.push('Product description is required.');
+  if (!Number.isFinite(priceCents) || priceCents <= 0) errors.push('Price per box must be at least S$0.01.');
+  if (!Number.isInteger(stock) || stock <= 0) errors.push('Stock quantity must be a whole number greater than 0.');
+  const catalogInput = readCatalogAttributes(req.body);
+  errors.push(...catalogInput.errors);
+  const files = Array.isArray(req.files) ? req.files : [];
+  const gallery = [];
+  if (req.uploadError) errors.push(req.uploadError);
+  else if (!files.length) errors.push('Product image is required.');
+  for (const file of errors.length ? [] : files) {
+    try {
+      gallery.push((await imageStore.save(file.buffer, file.originalname)).url);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  if (errors.length) return res.status(400).json({ success: false, message: errors.join(' ') });
 
-  if (currentUser.role === 'admin') return res.redirect('/admin/orders');
-  if (currentUser.role === 'delivery man') return res.redirect('/delivery/dashboard');
+  const marketplace = await getMarketplaceInstanceAsync(await getContractInstanceAsync());
+  if (!marketplace) return res.status(500).json({ success: false, message: 'The marketplace contract is not deployed.' });
+  const method = marketplace.methods.addProduct(name, description, priceCents, stock);
+  try {
+    await method.call({ from: wallet });
+  } catch (error) {
+    return res.status(400).json({ success: false, message: describeContractError(error, 'Unable to add the product.') });
+  }
+  return res.json({
+    success: true,
+    transaction: { to: marketplace.options.address, data: method.encodeABI() },
+    images: [...new Set(gallery)],
+    attributes: catalogInput.attributes
+  });
+});
 
-  const trackingPayload = buildTrackingPayload(order, cart);
-  const trackingJson = JSON.stringify(trackingPayload);
-  res.set('Content-Type', 'text/html');
-  return res.send(`<!DOCTYPE html>
-<html lang="en">
-  <head><meta charset="UTF-8"><title>Seeding Demo Order</title></head>
-  <body>
-    <script>
-      (function() {
-        var TRACKING_KEY = 'ORDER_TRACKING_DATA';
-        var incoming = ${trackingJson};
-        var existing = [];
-        try { existing = JSON.parse(sessionStorage.getItem(TRACKING_KEY) || '[]'); } catch (e) { existing = []; }
-        if (!Array.isArray(existing)) existing = [];
-        existing.push(incoming);
-        sessionStorage.setItem(TRACKING_KEY, JSON.stringify(existing));
-        window.location.href = '/order-tracking?orderId=' + encodeURIComponent(incoming.orderId || '');
-      })();
-    </script>
-  </body>
-</html>`);
+// After MetaMask sent addProduct(): attach the stored images and catalog details to the new product
+app.post('/seller/products', requireRole('seller'), async (req, res) => {
+  const wallet = String(req.user.walletAddress || '').toLowerCase();
+  const txHash = String(req.body?.txHash || '').trim();
+  if (!/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+    return res.status(400).json({ success: false, message: 'Invalid transaction hash.' });
+  }
+  const contract = await getContractInstanceAsync();
+  const marketplace = await getMarketplaceInstanceAsync(contract);
+  if (!marketplace) return res.status(500).json({ success: false, message: 'The marketplace contract is not deployed.' });
+  const receipt = await waitForReceipt(txHash);
+  const added = receipt && Number(receipt.status) === 1
+    ? decodeContractEvents(receipt, 'SellerProductAdded', marketplace).find((event) => String(event.seller).toLowerCase() === wallet)
+    : null;
+  if (!added) return res.status(400).json({ success: false, message: 'Transaction did not add a product for you.' });
+
+  const productId = String(added.productId);
+  const gallery = [].concat(req.body?.images || []).map(String).filter((url) => imageStore.hashFromUrl(url));
+  if (gallery.length) rememberProductImages(productId, gallery[0], gallery);
+  store.catalog.saveAttributes(productId, readCatalogAttributes(req.body?.attributes || {}).attributes);
+  const messages = [];
+  try {
+    if (gallery.length) await publishProductImages(contract, productId, gallery, await resolveAdminAccount(contract, null));
+  } catch (error) {
+    console.warn('Unable to publish seller product images:', error?.message || error);
+    messages.push('The image fingerprints could not be published on-chain.');
+  }
+  await syncProductsFromChain();
+  return res.json({ success: true, productId, message: ['Product added on-chain.', ...messages].join(' ') });
 });
 
-app.get('/delivery/demo-seed', (_req, res) => {
-  if (!currentUser || currentUser.role !== 'delivery man') return res.redirect('/login');
-  const order = createDemoOrderForDelivery(currentUser);
-  createDemoDelivery(order, currentUser);
-  res.redirect('/delivery/dashboard');
+// Restock or reprice one of the seller's own products through the marketplace
+app.post('/seller/products/:id/prepare', requireRole('seller'), async (req, res) => {
+  const wallet = String(req.user.walletAddress || '');
+  const product = products.find((p) => String(p.id) === String(req.params.id));
+  if (!product || product.seller !== wallet.toLowerCase()) {
+    return res.status(404).json({ success: false, message: 'Product not found.' });
+  }
+  const marketplace = await getMarketplaceInstanceAsync(await getContractInstanceAsync());
+  if (!marketplace) return res.status(500).json({ success: false, message: 'The marketplace contract is not deployed.' });
+  let method;
+  if (req.body?.action === 'restock') {
+    const added = Number(req.body?.added || 0);
+    if (!Number.isInteger(added) || added <= 0) {
+      return res.status(400).json({ success: false, message: 'Restock by a whole number greater than 0.' });
+    }
+    method = marketplace.methods.restockProduct(product.id, added);
+  } else if (req.body?.action === 'price') {
+    const priceCents = sgdToCents(Number(req.body?.price || 0));
+    if (!Number.isFinite(priceCents) || priceCents <= 0) {
+      return res.status(400).json({ success: false, message: 'Price per box must be at least S$0.01.' });
+    }
+    method = marketplace.methods.updateProductPrice(product.id, priceCents);
+  } else {
+    return res.status(400).json({ success: false, message: 'Unknown product change.' });
+  }
+  try {
+    await method.call({ from: wallet });
+  } catch (error) {
+    return res.status(400).json({ success: false, message: describeContractError(error, 'Unable to update the product.') });
+  }
+  return res.json({ success: true, transaction: { to: marketplace.options.address, data: method.encodeABI() } });
 });
 
-app.get('/admin/users', (_req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
-  res.render('admin-users', {
-    user: currentUser,
-    errorMessages: [],
-    successMessages: [],
-    users: Object.values(users)
-  });
+app.post('/seller/withdraw/prepare', requireRole('seller'), async (req, res) => {
+  const wallet = String(req.user.walletAddress || '');
+  const currency = findCurrency(req.body?.currency);
+  if (!currency) return res.status(400).json({ success: false, message: 'Unknown currency.' });
+  const marketplace = await getMarketplaceInstanceAsync(await getContractInstanceAsync());
+  if (!marketplace) return res.status(500).json({ success: false, message: 'The marketplace contract is not deployed.' });
+  const method = marketplace.methods.withdraw(currency.address);
+  try {
+    await method.call({ from: wallet });
+  } catch (error) {
+    return res.status(400).json({ success: false, message: describeContractError(error, 'Unable to withdraw.') });
+  }
+  return res.json({ success: true, transaction: { to: marketplace.options.address, data: method.encodeABI() } });
 });
 
-app.post('/admin/users/role', (req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
-  const wallet = String(req.body?.walletAddress || '').trim().toLowerCase();
-  const role = normalizeRoleInput(req.body?.role);
-  const allowedRoles = ['admin', 'delivery man', 'user'];
+// Loyalty point rates per currency. The contract keeps points per 10^18 of the currency's smallest
+// unit and a point's value in checkout units (SGD cents for ETH); admins see points per whole coin
+// and a point's value in SGD or in the token.
+function toLoyaltyRates(currency, earnRate, pointValue) {
+  const isEth = currency.address === ZERO_ADDRESS;
+  return {
+    currency,
+    pointsPerUnit: fromCurrencyUnits(earnRate, { decimals: 18 - currency.decimals }),
+    pointValue: isEth ? centsToSgd(pointValue) : fromCurrencyUnits(pointValue, currency),
+    valueUnit: isEth ? 'SGD' : currency.symbol
+  };
+}
 
-  if (!wallet || !users[wallet]) {
-    return res.status(400).render('admin-users', {
-      user: currentUser,
-      errorMessages: ['User not found.'],
-      successMessages: [],
-      users: Object.values(users)
-    });
+async function renderAdminLoyalty(res, { errorMessages = [], successMessages = [], status = 200 } = {}) {
+  const contract = await getContractInstanceAsync();
+  const loyalty = await getLoyaltyInstanceAsync(contract);
+  let rates = [];
+  let totalPoints = null;
+  if (!loyalty) {
+    errorMessages = [...errorMessages, 'The loyalty contract is not deployed.'];
+  } else {
+    const currencies = [ETH_CURRENCY, ...(await getPaymentTokens(contract)).filter((token) => token.accepted)];
+    rates = await Promise.all(currencies.map(async (currency) => toLoyaltyRates(
+      currency,
+      await loyalty.methods.earnRates(currency.address).call(),
+      await loyalty.methods.pointValues(currency.address).call()
+    )));
+    totalPoints = Number(await loyalty.methods.totalSupply().call());
   }
+  res.status(status).render('admin-loyalty', {
+    user: res.locals.user,
+    rates,
+    totalPoints,
+    errorMessages,
+    successMessages
+  });
+}
 
-  if (!allowedRoles.includes(role)) {
-    return res.status(400).render('admin-users', {
-      user: currentUser,
-      errorMessages: ['Invalid role selection.'],
-      successMessages: [],
-      users: Object.values(users)
-    });
+app.get('/admin/loyalty', requireRole('admin'), (_req, res) => renderAdminLoyalty(res));
+
+app.post('/admin/loyalty/rates', requireRole('admin'), async (req, res) => {
+  const currency = findCurrency(req.body?.currency);
+  const pointsPerUnit = String(req.body?.pointsPerUnit ?? '').trim();
+  const pointValue = String(req.body?.pointValue ?? '').trim();
+  if (!currency) return renderAdminLoyalty(res, { errorMessages: ['Unknown currency.'], status: 400 });
+  if (!/^\d+(\.\d+)?$/.test(pointsPerUnit) || !/^\d+(\.\d+)?$/.test(pointValue)) {
+    return renderAdminLoyalty(res, { errorMessages: ['Rates must be numbers of 0 or more.'], status: 400 });
+  }
+  const contract = await getContractInstanceAsync();
+  const loyalty = await getLoyaltyInstanceAsync(contract);
+  if (!loyalty) return renderAdminLoyalty(res, { status: 500 });
+  try {
+    const earnRate = toCurrencyUnits(pointsPerUnit, { decimals: 18 - currency.decimals });
+    const valueUnits = currency.address === ZERO_ADDRESS ? sgdToCents(pointValue) : toCurrencyUnits(pointValue, currency);
+    const from = await resolveAdminAccount(contract, req.user);
+    await sendContractMethod(loyalty.methods.setRates(currency.address, earnRate, valueUnits), { from });
+  } catch (error) {
+    console.error('Error setting loyalty rates on-chain:', error);
+    return renderAdminLoyalty(res, { errorMessages: [describeContractError(error, 'Unable to set the loyalty rates.')], status: 500 });
   }
+  return renderAdminLoyalty(res, { successMessages: [`${currency.symbol} loyalty rates saved.`] });
+});
 
-  const applyRoleChange = () => {
-    users[wallet].role = role;
-    if (currentUser.walletAddress && currentUser.walletAddress.toLowerCase() === wallet) {
-      currentUser = users[wallet];
-      req.session.user = currentUser;
-    }
-  };
-  const resolveRedirect = () => {
-    if (currentUser.walletAddress && currentUser.walletAddress.toLowerCase() === wallet) {
-      if (role === 'admin') return '/admin/dashboard';
-      if (role === 'delivery man') return '/delivery/dashboard';
-      return '/user/home';
+// Promo codes. The rules are kept here and signed into a voucher for each checkout; the promotions
+// contract counts the uses, which the list shows next to each code's limits.
+async function renderAdminPromotions(res, { errorMessages = [], successMessages = [], form = {}, status = 200 } = {}) {
+  const contract = await getContractInstanceAsync();
+  const promotions = await getPromotionsInstanceAsync(contract);
+  if (!promotions) errorMessages = [...errorMessages, 'The promotions contract is not deployed.'];
+  const promoCodes = await Promise.all(store.promoCodes.list().map(async (promo) => ({
+    ...promo,
+    uses: promotions ? Number(await promotions.methods.uses(promoCodeHash(promo.code)).call()) : null,
+    expired: Boolean(promo.expiresAt) && Date.parse(promo.expiresAt) <= Date.now()
+  })));
+  res.status(status).render('admin-promotions', {
+    user: res.locals.user,
+    promoCodes,
+    products,
+    form,
+    errorMessages,
+    successMessages
+  });
+}
+
+// Checks the create form; returns the promo code to save, or the errors
+function parsePromoCodeForm(body = {}) {
+  const errors = [];
+  const code = normalizePromoCode(body.code);
+  const kind = body.kind === 'fixed' ? 'fixed' : 'percent';
+  const amount = Number(body.amount);
+  const limit = (value) => (String(value ?? '').trim() === '' ? 0 : Number(value));
+  const usageLimit = limit(body.usageLimit);
+  const walletLimit = limit(body.walletLimit);
+  const expiresAt = String(body.expiresAt || '').trim();
+  const list = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) errors.push('Codes are 3 to 32 letters, digits, dashes or underscores.');
+  if (kind === 'percent' && !(amount > 0 && amount <= 100)) errors.push('A percentage must be above 0 and at most 100.');
+  if (kind === 'fixed' && !(amount > 0)) errors.push('A fixed amount must be above S$0.');
+  [usageLimit, walletLimit].forEach((value) => {
+    if (!Number.isInteger(value) || value < 0 || value > 0xffffffff) errors.push('Limits must be whole numbers of 0 or more.');
+  });
+  if (expiresAt && Number.isNaN(Date.parse(expiresAt))) errors.push('The expiry date is not valid.');
+  if (errors.length) return { errors };
+  return {
+    promo: {
+      code,
+      kind,
+      amount: kind === 'percent' ? Math.round(amount * 100) : sgdToCents(amount),
+      productIds: list(body.productIds),
+      series: list(body.series),
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : '',
+      usageLimit,
+      walletLimit
     }
-    return '/admin/users';
   };
+}
 
-  (async () => {
-    const contract = await getContractInstanceAsync();
-    if (!contract) {
-      applyRoleChange();
-      return res.redirect('/admin/users');
-    }
+app.get('/admin/promotions', requireRole('admin'), (_req, res) => renderAdminPromotions(res));
 
-    try {
-      const accounts = await web3.eth.getAccounts();
-      const preferred = (currentUser.walletAddress || '').toLowerCase();
-      const matchedWallet = accounts.find((acct) => acct.toLowerCase() === preferred);
-      const from = matchedWallet || accounts[0];
-      if (!from) {
-        throw new Error('No unlocked blockchain account is available.');
-      }
+app.post('/admin/promotions', requireRole('admin'), async (req, res) => {
+  const { promo, errors } = parsePromoCodeForm(req.body);
+  if (errors) return renderAdminPromotions(res, { errorMessages: errors, form: req.body, status: 400 });
+  if (store.promoCodes.get(promo.code)) {
+    return renderAdminPromotions(res, { errorMessages: [`${promo.code} already exists.`], form: req.body, status: 400 });
+  }
+  store.promoCodes.save({ ...promo, createdBy: req.user.walletAddress });
+  return renderAdminPromotions(res, { successMessages: [`${promo.code} created.`] });
+});
 
-      let isAdmin = await contract.methods.isAdmin(from).call().catch(() => false);
-      if (!isAdmin) {
-        const owner = await contract.methods.owner().call().catch(() => '');
-        const ownerAccount = accounts.find((acct) => acct.toLowerCase() === String(owner).toLowerCase());
-        if (!ownerAccount) {
-          throw new Error('Selected account is not an on-chain admin.');
-        }
-        await contract.methods.addAdmin(from).send({ from: ownerAccount });
-        isAdmin = true;
-      }
+// Pausing only stops new vouchers; one already signed stays usable until it expires with its checkout
+app.post('/admin/promotions/:code/active', requireRole('admin'), (req, res) => {
+  const promo = store.promoCodes.get(req.params.code);
+  if (!promo) return renderAdminPromotions(res, { errorMessages: ['Promo code not found.'], status: 404 });
+  const active = req.body?.active === 'true';
+  store.promoCodes.save({ ...promo, active });
+  return renderAdminPromotions(res, { successMessages: [`${promo.code} ${active ? 'resumed' : 'paused'}.`] });
+});
 
-      const roleMap = { user: 1, 'delivery man': 2, admin: 3 };
-      const roleValue = roleMap[role];
-      if (roleValue === undefined) throw new Error('Unknown role mapping.');
+// Shipping rules. Shoppers get one option per service from the rules that fit their postal code and
+// cart (see shipping.js); with no active rules, the flat standard fee applies.
+function renderAdminShipping(res, { errorMessages = [], successMessages = [], form = {}, status = 200 } = {}) {
+  res.status(status).render('admin-shipping', {
+    user: res.locals.user,
+    rules: store.shippingRules.list(),
+    services: SHIPPING_SERVICES,
+    form,
+    errorMessages,
+    successMessages
+  });
+}
 
-      const changeRoleMethod = contract.methods.changeRole
-        ? contract.methods.changeRole(wallet, roleValue)
-        : contract.methods.assignRole(wallet, roleValue);
-      await changeRoleMethod.send({ from });
-      applyRoleChange();
-      return res.redirect(resolveRedirect());
-    } catch (error) {
-      console.error('Error updating role on-chain:', error);
-      return res.status(500).render('admin-users', {
-        user: currentUser,
-        errorMessages: [error?.message || 'Unable to update role on-chain.'],
-        successMessages: [],
-        users: Object.values(users)
-      });
+// Checks the create form; returns the rule to add, or the errors
+function parseShippingRuleForm(body = {}) {
+  const errors = [];
+  const service = String(body.service || '');
+  const zone = String(body.zone || '').trim();
+  const postalFrom = String(body.postalFrom || '').trim();
+  const postalTo = String(body.postalTo || '').trim();
+  const whole = (value, fallback) => (String(value ?? '').trim() === '' ? fallback : Number(value));
+  const money = (value) => (String(value ?? '').trim() === '' ? 0 : Number(value));
+  const minBoxes = whole(body.minBoxes, 1);
+  const maxBoxes = whole(body.maxBoxes, 0);
+  const fee = money(body.fee);
+  const perBoxFee = money(body.perBoxFee);
+  const freeOver = money(body.freeOver);
+
+  if (!SHIPPING_SERVICES[service]) errors.push('Choose a delivery service.');
+  if (!zone) errors.push('Name the zone the rule covers.');
+  if ([postalFrom, postalTo].some((code) => code && !/^\d{6}$/.test(code))) errors.push('Postal codes are six digits.');
+  if (postalFrom && postalTo && postalFrom > postalTo) errors.push('The postal range ends before it starts.');
+  if (!Number.isInteger(minBoxes) || minBoxes < 1) errors.push('The minimum boxes must be a whole number of 1 or more.');
+  if (!Number.isInteger(maxBoxes) || maxBoxes < 0) errors.push('The maximum boxes must be a whole number of 0 or more.');
+  if (maxBoxes && maxBoxes < minBoxes) errors.push('The maximum boxes is below the minimum.');
+  if ([fee, perBoxFee, freeOver].some((value) => !(value >= 0))) errors.push('Fees and the free threshold must be S$0 or more.');
+  if (errors.length) return { errors };
+  return {
+    rule: {
+      service,
+      zone,
+      postalFrom,
+      postalTo,
+      minBoxes,
+      maxBoxes,
+      fee: sgdToCents(fee),
+      perBoxFee: sgdToCents(perBoxFee),
+      freeOver: sgdToCents(freeOver),
+      eta: String(body.eta || '').trim()
     }
-  })();
+  };
+}
+
+app.get('/admin/shipping', requireRole('admin'), (_req, res) => renderAdminShipping(res));
+
+app.post('/admin/shipping', requireRole('admin'), (req, res) => {
+  const { rule, errors } = parseShippingRuleForm(req.body);
+  if (errors) return renderAdminShipping(res, { errorMessages: errors, form: req.body, status: 400 });
+  store.shippingRules.add(rule);
+  return renderAdminShipping(res, { successMessages: [`${SHIPPING_SERVICES[rule.service]} rule for ${rule.zone} added.`] });
+});
+
+// Orders already placed keep the fee they were quoted
+app.post('/admin/shipping/:id/active', requireRole('admin'), (req, res) => {
+  const rule = store.shippingRules.get(Number(req.params.id));
+  if (!rule) return renderAdminShipping(res, { errorMessages: ['Shipping rule not found.'], status: 404 });
+  const active = req.body?.active === 'true';
+  store.shippingRules.setActive(rule.id, active);
+  return renderAdminShipping(res, { successMessages: [`${rule.zone} ${rule.service} rule ${active ? 'resumed' : 'paused'}.`] });
+});
+
+app.post('/admin/shipping/:id/delete', requireRole('admin'), (req, res) => {
+  const rule = store.shippingRules.get(Number(req.params.id));
+  if (!rule) return renderAdminShipping(res, { errorMessages: ['Shipping rule not found.'], status: 404 });
+  store.shippingRules.remove(rule.id);
+  return renderAdminShipping(res, { successMessages: [`${rule.zone} ${rule.service} rule deleted.`] });
 });
 
 // Admin product deactivate/reactivate
 
-app.post('/admin/deactivate-product/:id', (req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
-  const id = req.params.id;
-  const product = products.find((p) => String(p.id) === String(id));
-  if (product) {
-    product.active = false;
-    listOfProducts = [...products];
+async function setProductActiveOnChain(req, res, active) {
+  await syncProductsFromChain();
+  const product = products.find((p) => String(p.id) === String(req.params.id));
+  if (!product) return res.status(404).send('Product not found');
+
+  const contract = await getContractInstanceAsync();
+  if (!contract) {
+    return renderInventory(res, { errorMessages: ['Smart contract is not configured.'], status: 500 });
   }
-  res.redirect('/admin/inventory');
-});
 
-app.post('/admin/reactivate-product/:id', (req, res) => {
-  if (!currentUser || currentUser.role !== 'admin') return res.redirect('/login');
-  const id = req.params.id;
-  const product = products.find((p) => String(p.id) === String(id));
-  if (product) {
-    product.active = true;
-    listOfProducts = [...products];
+  try {
+    const from = await resolveAdminAccount(contract, req.user);
+    const method = active
+      ? contract.methods.reactivateProduct(product.id)
+      : contract.methods.deactivateProduct(product.id);
+    const receipt = await sendContractMethod(method, { from });
+    return renderInventory(res, {
+      successMessages: [`${product.name} ${active ? 'reactivated' : 'deactivated'} on-chain (tx ${receipt.transactionHash}).`]
+    });
+  } catch (error) {
+    console.error(`Error ${active ? 'reactivating' : 'deactivating'} product on-chain:`, error);
+    const message = describeContractError(error, `Unable to ${active ? 'reactivate' : 'deactivate'} product on-chain.`);
+    return renderInventory(res, { errorMessages: [`${product.name}: ${message}`], status: 500 });
   }
-  res.redirect('/admin/inventory');
-});
+}
+
+app.post('/admin/deactivate-product/:id', requireRole('admin'), (req, res) => setProductActiveOnChain(req, res, false));
+
+app.post('/admin/reactivate-product/:id', requireRole('admin'), (req, res) => setProductActiveOnChain(req, res, true));
 
 // Product detail
-app.get('/product', (req, res) => {
-  if (!currentUser) return res.redirect('/login');
-  if (isDeliveryUser(currentUser)) return res.redirect('/delivery/dashboard');
+app.get('/product', requireLogin, async (req, res) => {
+  if (isDeliveryUser(req.user)) return res.redirect('/delivery/dashboard');
   const id = req.query.id;
   const product = products.find((p) => String(p.id) === String(id));
   if (!product) return res.status(404).send('Product not found');
-  const cart = carts[currentUser.walletAddress?.toLowerCase()] || [];
+  const cart = carts[req.user.walletAddress?.toLowerCase()] || [];
   const cartCount = cart.reduce((sum, item) => sum + Number(item.qty || 0), 0);
   res.render('user-product', {
-    user: currentUser,
+    user: req.user,
     product,
+    series: await getBlindBoxSeries(product.id),
+    imageCheck: await checkProductImages(product),
+    dropStatus: await getDropStatus(product, req.user.walletAddress),
+    history: (await getProductHistory(product.id))[String(product.id)] || [],
     cartCount,
-    catalog: products.filter((p) => p.id !== product.id),
+    related: relatedProducts(product),
+    sellerShop: product.seller ? sellerName(product.seller) : '',
     errorMessages: [],
     successMessages: []
   });
 });
 
+// Allowlist spots are proved by the buyer's own wallet: hand back joinAllowlist() with its Merkle proof
+app.post('/products/:id/allowlist/prepare', requireRole('user', 'admin'), async (req, res) => {
+  const wallet = String(req.user.walletAddress || '');
+  const list = store.dropAllowlists.get(req.params.id);
+  const proof = list ? createMerkleTree(list.addresses).proof(wallet) : null;
+  if (!proof) {
+    return res.status(403).json({ success: false, message: 'Your wallet is not on the allowlist for this drop.' });
+  }
+  const drops = await getDropsInstanceAsync(await getContractInstanceAsync());
+  if (!drops) {
+    return res.status(500).json({ success: false, message: 'The drops contract is not deployed.' });
+  }
+  const method = drops.methods.joinAllowlist(req.params.id, proof);
+  try {
+    await method.call({ from: wallet });
+  } catch (error) {
+    return res.status(400).json({ success: false, message: describeContractError(error, 'Unable to verify the allowlist spot.') });
+  }
+  return res.json({
+    success: true,
+    transaction: { to: drops.options.address, data: method.encodeABI() }
+  });
+});
+
+// Certificates held by the signed-in wallet
+app.get('/certificates', requireRole('user', 'admin'), async (req, res) => {
+  const wallet = String(req.user.walletAddress || '');
+  const errorMessages = [];
+  let certificates = [];
+  let pending = [];
+  const contract = await getCertificatesInstanceAsync(await getContractInstanceAsync());
+  if (!contract) {
+    errorMessages.push('The certificates contract is not deployed.');
+  } else if (wallet) {
+    try {
+      const tokenIds = await contract.methods.tokensOfOwner(wallet).call();
+      certificates = (await Promise.all(tokenIds.map((id) => readCertificate(contract, String(id))))).filter(Boolean);
+      // Large orders get the rest of their certificates by claim, see RepublicSurpriseCertificates
+      const completed = store.chainIndex.listOrders({ buyer: wallet, statuses: [CHAIN_ORDER_STATUS.COMPLETED] });
+      const counts = await Promise.all(completed.map((order) => contract.methods.pendingCertificates(order.orderId).call()));
+      pending = completed
+        .map((order, idx) => ({ orderId: String(order.orderId), count: Number(counts[idx]) }))
+        .filter((order) => order.count > 0);
+    } catch (error) {
+      errorMessages.push(describeContractError(error, 'Unable to read your certificates.'));
+    }
+  }
+  res.render('user-certificates', {
+    user: req.user,
+    certificates,
+    pending,
+    claimBatch: CERTIFICATE_CLAIM_BATCH,
+    errorMessages,
+    successMessages: []
+  });
+});
+
+// The buyer signs the claim; the contract mints to the order's buyer whoever sends it
+app.post('/certificates/:orderId/claim/prepare', requireRole('user', 'admin'), async (req, res) => {
+  const wallet = String(req.user.walletAddress || '');
+  const order = store.chainIndex.getOrder(req.params.orderId);
+  if (!order || order.buyer !== wallet.toLowerCase()) {
+    return res.status(404).json({ success: false, message: 'Order not found.' });
+  }
+  const contract = await getCertificatesInstanceAsync(await getContractInstanceAsync());
+  if (!contract) return res.status(500).json({ success: false, message: 'The certificates contract is not deployed.' });
+  const method = contract.methods.claim(order.orderId, CERTIFICATE_CLAIM_BATCH);
+  try {
+    await method.call({ from: wallet });
+  } catch (error) {
+    return res.status(400).json({ success: false, message: describeContractError(error, 'Unable to claim the certificates.') });
+  }
+  return res.json({ success: true, transaction: { to: contract.options.address, data: method.encodeABI() } });
+});
+
+// Public verification page: anyone with the link can check who holds a certificate and whether it is valid
+app.get('/certificates/:tokenId', async (req, res) => {
+  const contract = await getCertificatesInstanceAsync(await getContractInstanceAsync());
+  const certificate = contract ? await readCertificate(contract, req.params.tokenId) : null;
+  res.status(certificate ? 200 : 404).render('certificate-verify', {
+    user: req.user,
+    tokenId: req.params.tokenId,
+    certificate,
+    errorMessages: contract ? [] : ['The certificates contract is not deployed.'],
+    successMessages: []
+  });
+});
+
+// Token metadata; the contract's tokenURI points here
+app.get('/api/certificates/:tokenId', async (req, res) => {
+  const contract = await getCertificatesInstanceAsync(await getContractInstanceAsync());
+  const certificate = contract ? await readCertificate(contract, req.params.tokenId) : null;
+  if (!certificate) return res.status(404).json({ success: false, message: 'Certificate not found.' });
+  return res.json(toCertificateMetadata(certificate, `${req.protocol}://${req.get('host')}`));
+});
+
 // Provide contract config for the frontend Web3 instance
 app.get('/contract-config', async (_req, res) => {
   await resolveContractAddress();
@@ -1615,33 +4548,13 @@ app.get('/contract-config', async (_req, res) => {
   });
 });
 
-// Receive product data fetched from smart contract via frontend Web3
-app.post('/web3/products', (req, res) => {
-  loading = true;
-  try {
-    const { products: contractProducts = [], contractAddress: clientAddress, syncedAt } = req.body || {};
-    if (clientAddress && !contractAddress) contractAddress = clientAddress;
-    if (!Array.isArray(contractProducts)) {
-      return res.status(400).json({ success: false, message: 'products must be an array' });
-    }
-
-    products.length = 0;
-    contractProducts.forEach((p, idx) => {
-      const normalized = normalizeProductPayload(p, idx);
-      products.push(normalized);
-      rememberProductImages(normalized.id, normalized.image, normalized.images);
-    });
-
-    listOfProducts = [...products];
-    catalogSyncedAt = syncedAt || new Date().toISOString();
-    loading = false;
-
-    return res.json({ success: true, count: products.length, syncedAt: catalogSyncedAt });
-  } catch (error) {
-    loading = false;
-    console.error('Error syncing products from contract:', error);
-    return res.status(500).json({ success: false, message: error.message });
+// Reload the catalog from the contract. The product list is always read from the chain, never taken
+// from the request: the catalog sync drops search rows (and their attributes) missing from it.
+app.post('/web3/products', requireRole('admin'), async (_req, res) => {
+  if (!(await syncProductsFromChain())) {
+    return res.status(500).json({ success: false, message: 'Unable to read the products from the contract.' });
   }
+  return res.json({ success: true, count: products.length, syncedAt: catalogSyncedAt });
 });
 
 // Expose loading flag for polling from frontend
@@ -1652,17 +4565,61 @@ app.get('/loading-status', (_req, res) => {
 function toDisplayPrice(value) {
   if (value === undefined || value === null) return 0;
   const raw = typeof value === 'string' ? value : value.toString?.() || String(value);
-  if (/^\d+$/.test(raw) && raw.length > 9) {
-    try {
-      return Number(web3.utils.fromWei(raw, 'ether'));
-    } catch (_err) {
-      return Number(raw) || 0;
-    }
-  }
   const num = Number(raw);
   return Number.isFinite(num) ? num : 0;
 }
 
+// Product edit history, rebuilt from the contract's product events and grouped by product id
+const PRODUCT_HISTORY_EVENTS = [
+  'ProductAdded',
+  'ProductStatusChanged',
+  'ProductDetailsUpdated',
+  'ProductPriceChanged',
+  'ProductTokenPriceChanged',
+  'ProductRestocked'
+];
+
+function describeProductEvent(event) {
+  const values = event.args;
+  const sgd = (cents) => `S$${centsToSgd(cents).toFixed(2)}`;
+  switch (event.event) {
+    case 'ProductAdded':
+      return `Added at ${sgd(values.priceCents)}`;
+    case 'ProductDetailsUpdated':
+      return `Details changed, name "${values.name}"`;
+    case 'ProductPriceChanged':
+      return `Price ${sgd(values.oldPriceCents)} → ${sgd(values.newPriceCents)}`;
+    case 'ProductTokenPriceChanged': {
+      const token = findCurrency(values.token);
+      const amount = (units) => (token ? `${fromCurrencyUnits(units, token)} ${token.symbol}` : `${units} token units`);
+      return `Price ${amount(values.oldPrice)} → ${amount(values.newPrice)}`;
+    }
+    case 'ProductRestocked':
+      return `Restocked +${values.added} (stock ${values.stock})`;
+    case 'ProductStatusChanged':
+      return Number(values.status) === 0 ? 'Activated' : 'Deactivated';
+    default:
+      return event.event;
+  }
+}
+
+// Product history comes from the chain index rather than a getPastEvents scan per request
+async function getProductHistory(productId) {
+  await refreshChainIndex();
+  return store.chainIndex.getProductEvents(PRODUCT_HISTORY_EVENTS).reduce((history, event) => {
+    const key = String(event.productId);
+    if (productId !== undefined && key !== String(productId)) return history;
+    history[key] = history[key] || [];
+    history[key].push({
+      label: describeProductEvent(event),
+      actor: event.args.actor || '',
+      time: event.timestamp,
+      txHash: event.txHash
+    });
+    return history;
+  }, {});
+}
+
 async function syncProductsFromChain() {
   const contract = await getContractInstanceAsync();
   if (!contract) return false;
@@ -1671,13 +4628,41 @@ async function syncProductsFromChain() {
     const count = Number(await contract.methods.productCount().call()) || 0;
     const calls = Array.from({ length: count }, (_, idx) => contract.methods.products(idx + 1).call());
     const chainProducts = await Promise.all(calls);
+    const drops = await getDropsInstanceAsync(contract);
+    if (drops) {
+      const schedules = await Promise.all(chainProducts.map((p) => drops.methods.drops(p.id).call()));
+      chainProducts.forEach((p, idx) => { dropSchedules[String(p.id)] = toDropSchedule(schedules[idx]); });
+    }
+    const marketplace = await getMarketplaceInstanceAsync(contract);
+    if (marketplace) {
+      const sellers = await Promise.all(chainProducts.map((p) => marketplace.methods.productSeller(p.id).call()));
+      chainProducts.forEach((p, idx) => {
+        productSellers[String(p.id)] = /^0x0{40}$/i.test(sellers[idx]) ? '' : String(sellers[idx]).toLowerCase();
+      });
+    }
+    paymentTokens = await getPaymentTokens(contract);
+    const accepted = paymentTokens.filter((token) => token.accepted);
+    // token address => price in whole tokens, for the tokens the product can be paid with
+    const tokenPriceLists = await Promise.all(chainProducts.map(async (p) => {
+      const prices = await Promise.all(
+        accepted.map((token) => contract.methods.tokenPrices(p.id, token.address).call())
+      );
+      return Object.fromEntries(
+        accepted
+          .map((token, idx) => [token.address, BigInt(prices[idx])])
+          .filter(([, units]) => units > 0n)
+          .map(([address, units]) => [address, fromCurrencyUnits(units, findCurrency(address))])
+      );
+    }));
     products.length = 0;
     chainProducts.forEach((p, idx) => {
       if (!p || Number(p.id || 0) === 0) return;
       const normalized = normalizeProductPayload(p, idx);
+      normalized.tokenPrices = tokenPriceLists[idx];
       products.push(normalized);
       rememberProductImages(normalized.id, normalized.image, normalized.images);
     });
+    indexCatalog();
     listOfProducts = [...products];
     catalogSyncedAt = new Date().toISOString();
     loading = false;
@@ -1689,9 +4674,119 @@ async function syncProductsFromChain() {
   }
 }
 
+// Copy the synced products into the catalog search table and give them the attributes kept there
+function indexCatalog() {
+  store.catalog.syncFromChain(products
+    .filter((product) => Number.isInteger(Number(product.id)))
+    .map((product) => ({
+      id: Number(product.id),
+      name: product.name,
+      description: product.productDescription,
+      priceCents: sgdToCents(product.price),
+      stock: product.stock,
+      active: product.active
+    })));
+  const attributes = store.catalog.attributes();
+  products.forEach((product) => Object.assign(product, {
+    series: '',
+    category: '',
+    tags: [],
+    releaseDate: '',
+    ...attributes[product.id]
+  }));
+}
+
+// Series, category, tags and release date from the add/edit product forms
+function readCatalogAttributes(body = {}) {
+  const clean = (value, max) => String(value || '').trim().replace(/\s+/g, ' ').slice(0, max);
+  const tags = [...new Set(String(body.tags || '')
+    .split(',')
+    .map((tag) => clean(tag, 32).toLowerCase())
+    .filter(Boolean))];
+  const releaseDate = String(body.releaseDate || '').trim();
+  const errors = [];
+  if (tags.length > 10) errors.push('A product can have at most 10 tags.');
+  if (releaseDate && (!/^\d{4}-\d{2}-\d{2}$/.test(releaseDate) || Number.isNaN(Date.parse(releaseDate)))) {
+    errors.push('Release date must be a date (YYYY-MM-DD).');
+  }
+  return {
+    attributes: { series: clean(body.series, 80), category: clean(body.category, 80), tags, releaseDate },
+    errors
+  };
+}
+
+// Query string of /api/products (and the inventory filters) to catalog search options
+function readCatalogQuery(query = {}, { admin = false } = {}) {
+  const list = (value) => [].concat(value ?? []).map((item) => String(item).trim()).filter(Boolean);
+  const cents = (value) => (value === undefined || value === '' || !Number.isFinite(Number(value))
+    ? null
+    : sgdToCents(value));
+  return {
+    q: String(query.q || '').trim().slice(0, 200),
+    categories: list(query.category),
+    series: list(query.series),
+    tags: list(query.tag).map((tag) => tag.toLowerCase()),
+    availability: ['in', 'out'].includes(query.availability) ? query.availability : 'all',
+    minCents: cents(query.minPrice),
+    maxCents: cents(query.maxPrice),
+    includeInactive: admin && String(query.includeInactive) === 'true',
+    sort: String(query.sort || ''),
+    cursor: String(query.cursor || ''),
+    limit: Number(query.limit) || 12
+  };
+}
+
+// A search hit with the parts of the product that live outside the catalog table (images, token prices)
+function toCatalogItem(item) {
+  const product = products.find((p) => String(p.id) === String(item.id)) || {};
+  return {
+    id: item.id,
+    name: item.name,
+    description: item.description,
+    price: centsToSgd(item.priceCents),
+    stock: item.stock,
+    active: item.active,
+    series: item.series,
+    category: item.category,
+    tags: item.tags,
+    releaseDate: item.releaseDate,
+    badge: product.badge || '',
+    image: product.image || '',
+    thumbnail: product.thumbnail || product.image || '',
+    tokenPrices: product.tokenPrices || {},
+    drop: product.drop || null
+  };
+}
+
+function searchCatalog(options) {
+  const result = store.catalog.search(options);
+  return { ...result, items: result.items.map(toCatalogItem) };
+}
+
+// Same category first, then same series, topped up with featured picks
+function relatedProducts(product, limit = 3) {
+  const related = [];
+  const lookups = [
+    product.category ? { categories: [product.category] } : null,
+    product.series ? { series: [product.series] } : null,
+    {}
+  ].filter(Boolean);
+  for (const filter of lookups) {
+    if (related.length >= limit) break;
+    related.push(...searchCatalog({
+      ...filter,
+      excludeIds: [product.id, ...related.map((item) => item.id)],
+      limit: limit - related.length
+    }).items);
+  }
+  return related;
+}
+
 // Helper to normalize contract payload into UI-friendly product shape
 function normalizeProductPayload(raw, idx = 0) {
-  const id = raw.id || raw.productId || `prod-${idx + 1}`;
+  // web3 returns uint256 ids as BigInt, which JSON.stringify (used by the views) cannot handle
+  const rawId = raw.id || raw.productId;
+  const id = typeof rawId === 'bigint' ? Number(rawId) : rawId || `prod-${idx + 1}`;
   const active = raw.active !== undefined
     ? !!raw.active
     : raw.status !== undefined
@@ -1699,16 +4794,16 @@ function normalizeProductPayload(raw, idx = 0) {
       : true;
   const badge = raw.badge || '';
 
-  const price = toDisplayPrice(
-    raw.price ?? raw.priceWei ?? raw.individualPrice ?? raw.individualPriceWei ?? 0
-  );
+  const price = raw.priceCents !== undefined
+    ? centsToSgd(raw.priceCents)
+    : toDisplayPrice(raw.price ?? raw.individualPrice ?? 0);
   const stock = Number(raw.stock ?? raw.individualStock ?? 0) || 0;
   const image = raw.image || productImageMap[String(id)] || '';
   const images = Array.isArray(raw.images) && raw.images.length
     ? raw.images
     : productGalleryMap[String(id)] || (image ? [image] : []);
 
-  return seedProduct(
+  const product = seedProduct(
     id,
     raw.name || raw.productName || '',
     price,
@@ -1719,19 +4814,11 @@ function normalizeProductPayload(raw, idx = 0) {
     active,
     images
   );
-}
-
-function adjustProductStock(items = [], deltaSign = -1) {
-  if (!Array.isArray(items)) return;
-  items.forEach((it) => {
-    const pid = it.id || it.productId || it.product || it.name;
-    const qty = Number(it.qty || it.quantity || 1) || 1;
-    const product = products.find((p) => String(p.id) === String(pid));
-    if (!product) return;
-    const delta = deltaSign * qty;
-    product.stock = Math.max(0, Number(product.stock || 0) + delta);
-  });
-  listOfProducts = [...products];
+  product.thumbnail = imageStore.thumbnailUrl(image);
+  product.thumbnails = images.map((url) => imageStore.thumbnailUrl(url));
+  product.drop = dropSchedules[String(id)] || null;
+  product.seller = productSellers[String(id)] || '';
+  return product;
 }
 
 // Start server
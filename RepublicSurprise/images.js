@@ -0,0 +1,115 @@
+// Content-addressed storage for uploaded images.
+//
+// A file is stored as <sha256>.<ext>, so two uploads can never overwrite each other and the
+// same picture uploaded twice is kept once. Every image also gets a WebP thumbnail under
+// thumbs/<sha256>.webp. The type is read from the file's own bytes, never from the name or
+// the browser's mimetype, and the image has to decode before anything is written.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+const THUMB_SIZE = 400;
+
+// Leading bytes of the formats we accept
+const SIGNATURES = [
+  { type: 'image/png', ext: 'png', test: (b) => b.subarray(0, 8).equals(Buffer.from('89504e470d0a1a0a', 'hex')) },
+  { type: 'image/jpeg', ext: 'jpg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'image/gif', ext: 'gif', test: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)) },
+  { type: 'image/webp', ext: 'webp', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+function sniffImageType(buffer) {
+  return SIGNATURES.find((signature) => buffer.length >= 12 && signature.test(buffer)) || null;
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Write through a temporary file so a crash never leaves half an image under its final name
+async function writeOnce(file, data) {
+  if (fs.existsSync(file)) return false;
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tmp, data);
+  await fs.promises.rename(tmp, file);
+  return true;
+}
+
+function createImageStore({ dir, urlPrefix, maxBytes = MAX_IMAGE_BYTES, thumbSize = THUMB_SIZE }) {
+  const thumbDir = path.join(dir, 'thumbs');
+  fs.mkdirSync(thumbDir, { recursive: true });
+  const prefix = urlPrefix.replace(/\/$/, '');
+  const escapedPrefix = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const hashedUrl = new RegExp(`^${escapedPrefix}/([0-9a-f]{64})\\.(png|jpg|gif|webp)$`);
+
+  const fileFor = (hash, ext) => path.join(dir, `${hash}.${ext}`);
+
+  // Validates, stores and thumbnails one upload; resolves to its hash and URLs
+  async function save(buffer, originalName = '') {
+    const label = originalName ? `"${originalName}"` : 'The image';
+    if (!Buffer.isBuffer(buffer) || !buffer.length) throw new Error(`${label} is empty.`);
+    if (buffer.length > maxBytes) {
+      throw new Error(`${label} is larger than ${Math.floor(maxBytes / (1024 * 1024))} MB.`);
+    }
+    const kind = sniffImageType(buffer);
+    if (!kind) throw new Error(`${label} is not a PNG, JPEG, GIF or WebP image.`);
+
+    let meta;
+    try {
+      meta = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).metadata();
+    } catch (_error) {
+      throw new Error(`${label} could not be read as an image.`);
+    }
+    if (!meta.width || !meta.height) throw new Error(`${label} could not be read as an image.`);
+
+    const hash = sha256(buffer);
+    await writeOnce(fileFor(hash, kind.ext), buffer);
+    const thumbFile = path.join(thumbDir, `${hash}.webp`);
+    if (!fs.existsSync(thumbFile)) {
+      const thumb = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS })
+        .rotate()
+        .resize(thumbSize, thumbSize, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+      await writeOnce(thumbFile, thumb);
+    }
+    return {
+      hash,
+      type: kind.type,
+      width: meta.width,
+      height: meta.height,
+      bytes: buffer.length,
+      url: `${prefix}/${hash}.${kind.ext}`,
+      thumbUrl: `${prefix}/thumbs/${hash}.webp`
+    };
+  }
+
+  // '' for images that were not stored here (older uploads kept under their original names)
+  function hashFromUrl(url) {
+    const match = hashedUrl.exec(String(url || ''));
+    return match ? match[1] : '';
+  }
+
+  function thumbnailUrl(url) {
+    const hash = hashFromUrl(url);
+    return hash ? `${prefix}/thumbs/${hash}.webp` : String(url || '');
+  }
+
+  // True when the stored file still hashes to the name it was saved under
+  async function verify(url) {
+    const match = hashedUrl.exec(String(url || ''));
+    if (!match) return false;
+    try {
+      return sha256(await fs.promises.readFile(fileFor(match[1], match[2]))) === match[1];
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  return { save, hashFromUrl, thumbnailUrl, verify, maxBytes };
+}
+
+module.exports = { createImageStore, sniffImageType, MAX_IMAGE_BYTES };
@@ -0,0 +1,173 @@
+// Follows the shop contract's events into the read model in storage (chainIndex).
+//
+// Logs are replayed from the stored checkpoint block in batches; each batch is written together
+// with the new checkpoint, so a crash never leaves half a batch behind. Before every run the
+// checkpoint's block hash is compared with the node: if the chain was rolled back (a reorg, or a
+// Ganache snapshot revert) the index is cut back to the last block both chains share and the
+// projections are rebuilt from the remaining events.
+
+// Events that feed the read model; anything else the contract emits is skipped
+const INDEXED_EVENTS = [
+  'OrderCreated',
+  'DeliveryLogAdded',
+  'DeliveryAssigned',
+  'RoleChanged',
+  'ProductAdded',
+  'ProductStatusChanged',
+  'ProductDetailsUpdated',
+  'ProductPriceChanged',
+  'ProductTokenPriceChanged',
+  'ProductRestocked'
+];
+const BATCH_BLOCKS = 2000;
+
+// returnValues without the positional duplicates, with BigInts turned into strings
+function plainArgs(returnValues = {}) {
+  return Object.fromEntries(
+    Object.entries(returnValues)
+      .filter(([key]) => Number.isNaN(Number(key)) && key !== '__length__')
+      .map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value])
+  );
+}
+
+function createChainIndexer({ web3, getContract, index, pollMs = 3000, startBlock = 0 }) {
+  let running = null;
+  let again = false;
+  let timer = null;
+  let subscription = null;
+  let lastError = '';
+
+  const getBlock = (number) => web3.eth.getBlock(number).catch(() => null);
+
+  // Walk back through the remembered blocks until one still matches the node
+  async function rollBack(contractAddress) {
+    for (const block of index.recentBlocks()) {
+      const live = await getBlock(block.number);
+      if (live && live.hash === block.hash) {
+        console.warn(`Chain index: rolled back to block ${block.number} after a reorg.`);
+        index.rollbackTo(block, contractAddress);
+        return;
+      }
+    }
+    console.warn('Chain index: no common block with the node, re-indexing from the start.');
+    index.reset();
+  }
+
+  async function toIndexedEvent(event, blocks) {
+    const blockNumber = Number(event.blockNumber);
+    if (!blocks.has(blockNumber)) blocks.set(blockNumber, await getBlock(blockNumber));
+    const block = blocks.get(blockNumber);
+    // the block changed between reading the logs and the block; try again on the next run
+    if (!block || block.hash !== event.blockHash) throw new Error(`block ${blockNumber} changed while indexing`);
+    const args = plainArgs(event.returnValues);
+    return {
+      event: event.event,
+      blockNumber,
+      logIndex: Number(event.logIndex),
+      blockHash: event.blockHash,
+      txHash: event.transactionHash,
+      orderId: args.orderId !== undefined ? Number(args.orderId) : null,
+      productId: event.event.startsWith('Product') ? Number(args.id) : null,
+      account: (args.account || args.deliveryMan || args.buyer || '').toLowerCase() || null,
+      args,
+      timestamp: new Date(Number(block.timestamp) * 1000).toISOString()
+    };
+  }
+
+  async function syncOnce() {
+    const contract = await getContract();
+    if (!contract) return;
+    const contractAddress = contract.options.address.toLowerCase();
+
+    let checkpoint = index.getCheckpoint();
+    if (checkpoint && checkpoint.contractAddress !== contractAddress) {
+      console.warn('Chain index: contract address changed, re-indexing from the start.');
+      index.reset();
+      checkpoint = null;
+    }
+    if (checkpoint) {
+      const live = await getBlock(checkpoint.blockNumber);
+      if (!live || live.hash !== checkpoint.blockHash) {
+        await rollBack(contractAddress);
+        checkpoint = index.getCheckpoint();
+      }
+    }
+
+    const head = Number(await web3.eth.getBlockNumber());
+    let from = checkpoint ? checkpoint.blockNumber + 1 : startBlock;
+    while (from <= head) {
+      const to = Math.min(head, from + BATCH_BLOCKS - 1);
+      const logs = await contract.getPastEvents('allEvents', { fromBlock: from, toBlock: to });
+      const blocks = new Map();
+      const events = [];
+      for (const log of logs) {
+        if (INDEXED_EVENTS.includes(log.event)) events.push(await toIndexedEvent(log, blocks));
+      }
+      const last = blocks.get(to) || await getBlock(to);
+      if (!last) throw new Error(`block ${to} is not available`);
+      blocks.set(to, last);
+      index.applyBatch({
+        events,
+        blocks: [...blocks.values()].map((block) => ({ number: Number(block.number), hash: block.hash })),
+        checkpoint: { contractAddress, blockNumber: to, blockHash: last.hash }
+      });
+      from = to + 1;
+    }
+  }
+
+  // Runs are serialised; a call during a run schedules one more pass so the caller sees
+  // everything up to the moment it asked
+  function sync() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = (async () => {
+      try {
+        do {
+          again = false;
+          await syncOnce();
+        } while (again);
+        lastError = '';
+      } finally {
+        running = null;
+      }
+    })();
+    return running;
+  }
+
+  function syncInBackground() {
+    sync().catch((error) => {
+      const message = error?.message || String(error);
+      if (message !== lastError) console.warn('Chain index: sync failed:', message);
+      lastError = message;
+    });
+  }
+
+  // WebSocket providers push new block headers; HTTP providers are polled
+  async function start() {
+    syncInBackground();
+    if (web3.currentProvider?.supportsSubscriptions?.()) {
+      try {
+        subscription = await web3.eth.subscribe('newBlockHeaders');
+        subscription.on('data', syncInBackground);
+        subscription.on('error', (error) => console.warn('Chain index: subscription error:', error?.message || error));
+        return;
+      } catch (error) {
+        console.warn('Chain index: cannot subscribe to new blocks, polling instead:', error?.message || error);
+      }
+    }
+    timer = setInterval(syncInBackground, pollMs);
+  }
+
+  async function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    if (subscription) await subscription.unsubscribe().catch(() => {});
+    subscription = null;
+  }
+
+  return { start, stop, sync };
+}
+
+module.exports = { createChainIndexer, INDEXED_EVENTS };
@@ -0,0 +1,59 @@
+// Merkle allowlists for timed drops.
+//
+// Leaves are keccak256 of the 20 address bytes and every pair is hashed in sorted order,
+// which is what RepublicSurpriseDrops.joinAllowlist recomputes on-chain. Sorted pairs mean a
+// proof is just the list of sibling hashes, with no left/right flags.
+const { utils } = require('web3');
+
+function leafFor(address) {
+  return utils.soliditySha3({ type: 'address', value: address });
+}
+
+function hashPair(a, b) {
+  const [first, second] = BigInt(a) < BigInt(b) ? [a, b] : [b, a];
+  return utils.keccak256(`0x${first.slice(2)}${second.slice(2)}`);
+}
+
+// Lowercased, de-duplicated addresses; throws on the first entry that is not an address
+function normalizeAllowlist(addresses) {
+  const list = [];
+  for (const entry of addresses) {
+    const address = String(entry || '').trim();
+    if (!address) continue;
+    if (!utils.isAddress(address)) throw new Error(`${address} is not a wallet address.`);
+    list.push(address.toLowerCase());
+  }
+  return [...new Set(list)].sort();
+}
+
+function createMerkleTree(addresses) {
+  const members = normalizeAllowlist(addresses);
+  if (!members.length) throw new Error('An allowlist needs at least one address.');
+  const levels = [members.map(leafFor)];
+  while (levels[levels.length - 1].length > 1) {
+    const below = levels[levels.length - 1];
+    const level = [];
+    // an odd node out is carried up unchanged
+    for (let i = 0; i < below.length; i += 2) {
+      level.push(i + 1 < below.length ? hashPair(below[i], below[i + 1]) : below[i]);
+    }
+    levels.push(level);
+  }
+
+  // Sibling hashes from the leaf up; null when the address is not on the list
+  function proof(address) {
+    let index = members.indexOf(String(address || '').toLowerCase());
+    if (index < 0) return null;
+    const siblings = [];
+    for (const level of levels.slice(0, -1)) {
+      const sibling = index % 2 ? index - 1 : index + 1;
+      if (sibling < level.length) siblings.push(level[sibling]);
+      index = Math.floor(index / 2);
+    }
+    return siblings;
+  }
+
+  return { root: levels[levels.length - 1][0], members, proof };
+}
+
+module.exports = { createMerkleTree, normalizeAllowlist };
@@ -0,0 +1,88 @@
+// ETH/SGD exchange rates for checkout quotes.
+//
+// The source is chosen with RATE_SOURCE:
+//   fixed      ETH_SGD_RATE from the environment, or the bundled fixture rate (default; no network needed)
+//   file       a JSON file at RATE_FILE, e.g. { "ethSgd": 4521.37, "asOf": "2026-01-01T00:00:00Z" },
+//              re-read whenever it changes so an operator or a cron job can update it
+//   coingecko  CoinGecko's simple price API
+// Every source resolves to { ethSgd, source, asOf }.
+const fs = require('fs');
+
+const FIXTURE_ETH_SGD = 4500;
+const COINGECKO_URL = 'https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=sgd';
+
+function assertRate(value, source) {
+  const ethSgd = Number(value);
+  if (!Number.isFinite(ethSgd) || ethSgd <= 0) throw new Error(`${source} rate source returned no ETH/SGD rate.`);
+  return ethSgd;
+}
+
+function fixedRateSource(rate = FIXTURE_ETH_SGD) {
+  const ethSgd = assertRate(rate, 'fixed');
+  return async () => ({ ethSgd, source: 'fixed', asOf: null });
+}
+
+function fileRateSource(file) {
+  if (!file) throw new Error('RATE_FILE is required for the file rate source.');
+  let cached = null;
+  return async () => {
+    const { mtimeMs } = await fs.promises.stat(file);
+    if (!cached || cached.mtimeMs !== mtimeMs) {
+      const body = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      cached = {
+        mtimeMs,
+        rate: {
+          ethSgd: assertRate(body.ethSgd, 'file'),
+          source: 'file',
+          asOf: body.asOf || new Date(mtimeMs).toISOString()
+        }
+      };
+    }
+    return cached.rate;
+  };
+}
+
+function coingeckoRateSource(url = COINGECKO_URL) {
+  return async () => {
+    const res = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    if (!res.ok) throw new Error(`CoinGecko answered ${res.status}.`);
+    const body = await res.json();
+    return { ethSgd: assertRate(body?.ethereum?.sgd, 'coingecko'), source: 'coingecko', asOf: new Date().toISOString() };
+  };
+}
+
+function rateSourceFromEnv(env = process.env) {
+  const name = String(env.RATE_SOURCE || 'fixed').toLowerCase();
+  if (name === 'fixed') return fixedRateSource(env.ETH_SGD_RATE || FIXTURE_ETH_SGD);
+  if (name === 'file') return fileRateSource(env.RATE_FILE);
+  if (name === 'coingecko') return coingeckoRateSource(env.COINGECKO_URL || COINGECKO_URL);
+  throw new Error(`Unknown RATE_SOURCE "${name}".`);
+}
+
+// Keeps the last good rate for maxAgeMs so a checkout burst does not hit the source every time
+function createRateService({ source, maxAgeMs = 60 * 1000 }) {
+  let last = null;
+  return {
+    async current() {
+      if (last && Date.now() - last.fetchedAt < maxAgeMs) return last.rate;
+      const rate = await source();
+      last = { rate, fetchedAt: Date.now() };
+      return rate;
+    }
+  };
+}
+
+// Wei paid per 1 SGD at a rate of ethSgd SGD per ETH (rounded down, in the buyer's favour)
+function weiPerSgd(ethSgd) {
+  const scaled = BigInt(Math.round(Number(ethSgd) * 1e6));
+  return (10n ** 18n * 1000000n) / scaled;
+}
+
+module.exports = {
+  createRateService,
+  rateSourceFromEnv,
+  fixedRateSource,
+  fileRateSource,
+  coingeckoRateSource,
+  weiPerSgd
+};
@@ -0,0 +1,88 @@
+// Shipping rates by destination, cart size and order value.
+//
+// Admins keep a list of rules. A rule offers one service level to the postal codes from postalFrom
+// to postalTo (Singapore's six digits; an empty end is open) for carts of minBoxes to maxBoxes boxes
+// (0: no maximum). It costs fee for the first box and perBoxFee for each further one, and nothing
+// once the items, after discounts, come to freeOver (0: never free). When several rules of a
+// service fit, the one with the narrowest postal range wins, so an outlying-islands rule can sit
+// on top of an island-wide one. Amounts are SGD cents.
+const SHIPPING_SERVICES = {
+  standard: 'Standard',
+  express: 'Express'
+};
+
+// Used until admins add rules: the flat S$5 the shop always charged
+const DEFAULT_RULE = {
+  id: 0,
+  service: 'standard',
+  zone: 'Singapore',
+  postalFrom: '',
+  postalTo: '',
+  minBoxes: 1,
+  maxBoxes: 0,
+  fee: 500,
+  perBoxFee: 0,
+  freeOver: 0,
+  eta: '',
+  active: true
+};
+
+const POSTAL_MIN = 0;
+const POSTAL_MAX = 999999;
+
+// The last six-digit group of an address, where Singapore addresses keep their postal code
+function findPostalCode(address) {
+  const matches = String(address || '').match(/\b\d{6}\b/g);
+  return matches ? matches[matches.length - 1] : '';
+}
+
+function postalRange(rule) {
+  return [
+    rule.postalFrom ? Number(rule.postalFrom) : POSTAL_MIN,
+    rule.postalTo ? Number(rule.postalTo) : POSTAL_MAX
+  ];
+}
+
+function ruleFits(rule, postalCode, boxes) {
+  if (boxes < rule.minBoxes || (rule.maxBoxes && boxes > rule.maxBoxes)) return false;
+  const [from, to] = postalRange(rule);
+  // a rule limited to some postal codes needs one to compare against
+  if ((rule.postalFrom || rule.postalTo) && !postalCode) return false;
+  return !postalCode || (Number(postalCode) >= from && Number(postalCode) <= to);
+}
+
+function ruleFee(rule, boxes, itemsCents) {
+  if (rule.freeOver && itemsCents >= rule.freeOver) return 0;
+  return rule.fee + rule.perBoxFee * Math.max(0, boxes - 1);
+}
+
+// One option per service the address can get, standard first:
+// { service, label, zone, ruleId, fee, eta, postalCode }
+// Paused rules are left out before the fallback, so pausing every rule brings back the flat fee.
+function quoteShipping(rules, { address, boxes, itemsCents }) {
+  const postalCode = findPostalCode(address);
+  const active = rules.filter((rule) => rule.active);
+  const candidates = active.length ? active : [DEFAULT_RULE];
+  return Object.entries(SHIPPING_SERVICES).flatMap(([service, label]) => {
+    const fitting = candidates
+      .filter((rule) => rule.service === service && ruleFits(rule, postalCode, boxes))
+      .sort((a, b) => {
+        const [aFrom, aTo] = postalRange(a);
+        const [bFrom, bTo] = postalRange(b);
+        return (aTo - aFrom) - (bTo - bFrom) || a.id - b.id;
+      });
+    const rule = fitting[0];
+    if (!rule) return [];
+    return [{
+      service,
+      label,
+      zone: rule.zone,
+      ruleId: rule.id,
+      fee: ruleFee(rule, boxes, itemsCents),
+      eta: rule.eta,
+      postalCode
+    }];
+  });
+}
+
+module.exports = { SHIPPING_SERVICES, findPostalCode, quoteShipping };
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const migrations = require('./migrations');
+
+// Open (or create) the SQLite file and bring its schema up to date
+function openDatabase(filename) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  runMigrations(db);
+  return db;
+}
+
+// Each pending migration runs in its own transaction and is recorded in schema_migrations
+function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').pluck().all());
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  migrations
+    .filter((migration) => !applied.has(migration.version))
+    .sort((a, b) => a.version - b.version)
+    .forEach((migration) => {
+      db.transaction(() => {
+        db.exec(migration.up);
+        record.run(migration.version, migration.name, new Date().toISOString());
+      })();
+    });
+}
+
+module.exports = { openDatabase, runMigrations };
@@ -0,0 +1,41 @@
+const { openDatabase } = require('./database');
+const { SqliteSessionStore } = require('./sessionStore');
+const {
+  createUserRepository,
+  createCartRepository,
+  createOrderRepository,
+  createDeliveryRepository,
+  createTicketRepository,
+  createProductImageRepository,
+  createCatalogRepository,
+  createDropAllowlistRepository,
+  createSellerApplicationRepository,
+  createPromoCodeRepository,
+  createShippingRuleRepository,
+  createSettingRepository,
+  createChainIndexRepository
+} = require('./repositories');
+
+// Everything app.js keeps off-chain, backed by a single SQLite file
+function createStorage(filename) {
+  const db = openDatabase(filename);
+  return {
+    db,
+    users: createUserRepository(db),
+    carts: createCartRepository(db),
+    orders: createOrderRepository(db),
+    deliveries: createDeliveryRepository(db),
+    tickets: createTicketRepository(db),
+    productImages: createProductImageRepository(db),
+    catalog: createCatalogRepository(db),
+    dropAllowlists: createDropAllowlistRepository(db),
+    sellerApplications: createSellerApplicationRepository(db),
+    promoCodes: createPromoCodeRepository(db),
+    shippingRules: createShippingRuleRepository(db),
+    settings: createSettingRepository(db),
+    chainIndex: createChainIndexRepository(db),
+    sessions: new SqliteSessionStore(db)
+  };
+}
+
+module.exports = { createStorage };
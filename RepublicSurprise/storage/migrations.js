@@ -0,0 +1,260 @@
+// Schema migrations, applied in order by openDatabase(). Never edit a migration that has
+// shipped; add a new one with the next version number instead.
+//
+// Off-chain records are stored as JSON documents next to a few columns used for lookups,
+// so new fields on an order or delivery do not need a migration.
+module.exports = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up: `
+      CREATE TABLE users (
+        wallet TEXT PRIMARY KEY,
+        role TEXT NOT NULL DEFAULT 'user',
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE carts (
+        wallet TEXT PRIMARY KEY,
+        items TEXT NOT NULL DEFAULT '[]',
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE orders (
+        id TEXT PRIMARY KEY,
+        customer TEXT NOT NULL DEFAULT '',
+        chain_order_id TEXT,
+        status TEXT NOT NULL DEFAULT '',
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX orders_customer ON orders (customer);
+      CREATE INDEX orders_chain_order_id ON orders (chain_order_id);
+
+      CREATE TABLE deliveries (
+        id TEXT PRIMARY KEY,
+        order_number TEXT NOT NULL DEFAULT '',
+        assigned_to TEXT NOT NULL DEFAULT '',
+        status TEXT NOT NULL DEFAULT '',
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX deliveries_order_number ON deliveries (order_number);
+
+      CREATE TABLE tickets (
+        id TEXT PRIMARY KEY,
+        order_id TEXT NOT NULL DEFAULT '',
+        customer TEXT NOT NULL DEFAULT '',
+        status TEXT NOT NULL DEFAULT '',
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX tickets_order_id ON tickets (order_id);
+
+      CREATE TABLE product_images (
+        product_id TEXT PRIMARY KEY,
+        image TEXT NOT NULL DEFAULT '',
+        gallery TEXT NOT NULL DEFAULT '[]',
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE sessions (
+        sid TEXT PRIMARY KEY,
+        sess TEXT NOT NULL,
+        expires INTEGER NOT NULL
+      );
+      CREATE INDEX sessions_expires ON sessions (expires);
+    `
+  },
+  {
+    version: 2,
+    name: 'contract event index',
+    up: `
+      CREATE TABLE chain_checkpoints (
+        name TEXT PRIMARY KEY,
+        contract_address TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      -- hashes of recently indexed blocks, used to find the common ancestor after a reorg
+      CREATE TABLE chain_blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL
+      );
+
+      CREATE TABLE chain_events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        tx_hash TEXT NOT NULL,
+        event TEXT NOT NULL,
+        order_id INTEGER,
+        product_id INTEGER,
+        account TEXT,
+        args TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+      );
+      CREATE INDEX chain_events_order_id ON chain_events (order_id);
+      CREATE INDEX chain_events_product_id ON chain_events (product_id);
+
+      -- projections rebuilt from chain_events whenever the chain rolls back
+      CREATE TABLE chain_orders (
+        order_id INTEGER PRIMARY KEY,
+        tx_hash TEXT NOT NULL,
+        buyer TEXT NOT NULL,
+        product_id INTEGER NOT NULL,
+        qty INTEGER NOT NULL,
+        paid_wei TEXT NOT NULL,
+        status INTEGER NOT NULL,
+        delivery_man TEXT NOT NULL DEFAULT '',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX chain_orders_buyer ON chain_orders (buyer);
+      CREATE INDEX chain_orders_delivery_man ON chain_orders (delivery_man);
+
+      CREATE TABLE chain_roles (
+        account TEXT PRIMARY KEY,
+        role INTEGER NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 3,
+    name: 'catalog search',
+    up: `
+      -- searchable copy of the on-chain products, plus attributes only the shop keeps
+      CREATE TABLE catalog_products (
+        product_id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL DEFAULT '',
+        description TEXT NOT NULL DEFAULT '',
+        price_cents INTEGER NOT NULL DEFAULT 0,
+        stock INTEGER NOT NULL DEFAULT 0,
+        active INTEGER NOT NULL DEFAULT 1,
+        series TEXT NOT NULL DEFAULT '',
+        category TEXT NOT NULL DEFAULT '',
+        tags TEXT NOT NULL DEFAULT '[]',
+        release_date TEXT NOT NULL DEFAULT '',
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX catalog_products_category ON catalog_products (category);
+      CREATE INDEX catalog_products_series ON catalog_products (series);
+
+      -- full-text index over name and description, kept in step by the triggers below
+      CREATE VIRTUAL TABLE catalog_search USING fts5(
+        name,
+        description,
+        content = 'catalog_products',
+        content_rowid = 'product_id',
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+      CREATE TRIGGER catalog_products_ai AFTER INSERT ON catalog_products BEGIN
+        INSERT INTO catalog_search (rowid, name, description) VALUES (new.product_id, new.name, new.description);
+      END;
+      CREATE TRIGGER catalog_products_ad AFTER DELETE ON catalog_products BEGIN
+        INSERT INTO catalog_search (catalog_search, rowid, name, description)
+        VALUES ('delete', old.product_id, old.name, old.description);
+      END;
+      CREATE TRIGGER catalog_products_au AFTER UPDATE OF name, description ON catalog_products BEGIN
+        INSERT INTO catalog_search (catalog_search, rowid, name, description)
+        VALUES ('delete', old.product_id, old.name, old.description);
+        INSERT INTO catalog_search (rowid, name, description) VALUES (new.product_id, new.name, new.description);
+      END;
+    `
+  },
+  {
+    version: 4,
+    name: 'drop allowlists',
+    up: `
+      -- the addresses behind each drop's Merkle root, needed to hand wallets their proofs
+      CREATE TABLE drop_allowlists (
+        product_id INTEGER PRIMARY KEY,
+        merkle_root TEXT NOT NULL,
+        addresses TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 5,
+    name: 'seller applications',
+    up: `
+      -- seller onboarding; approval itself is Role.Seller on the shop contract
+      CREATE TABLE seller_applications (
+        wallet TEXT PRIMARY KEY,
+        shop_name TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        status TEXT NOT NULL DEFAULT 'pending',
+        reviewed_by TEXT NOT NULL DEFAULT '',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX seller_applications_status ON seller_applications (status);
+    `
+  },
+  {
+    version: 6,
+    name: 'promo codes',
+    up: `
+      -- promo code rules; uses are counted on-chain by the promotions contract
+      CREATE TABLE promo_codes (
+        code TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        amount INTEGER NOT NULL,
+        product_ids TEXT NOT NULL DEFAULT '[]',
+        series TEXT NOT NULL DEFAULT '[]',
+        expires_at TEXT NOT NULL DEFAULT '',
+        usage_limit INTEGER NOT NULL DEFAULT 0,
+        wallet_limit INTEGER NOT NULL DEFAULT 0,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_by TEXT NOT NULL DEFAULT '',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 7,
+    name: 'shipping rules',
+    up: `
+      -- shipping rates admins edit; see shipping.js for how a rule is picked
+      CREATE TABLE shipping_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        service TEXT NOT NULL,
+        zone TEXT NOT NULL DEFAULT '',
+        postal_from TEXT NOT NULL DEFAULT '',
+        postal_to TEXT NOT NULL DEFAULT '',
+        min_boxes INTEGER NOT NULL DEFAULT 1,
+        max_boxes INTEGER NOT NULL DEFAULT 0,
+        fee_cents INTEGER NOT NULL,
+        per_box_cents INTEGER NOT NULL DEFAULT 0,
+        free_over_cents INTEGER NOT NULL DEFAULT 0,
+        eta TEXT NOT NULL DEFAULT '',
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 8,
+    name: 'settings',
+    up: `
+      -- values the server generates once and must keep, such as the blind-box secret
+      CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+    `
+  }
+];
@@ -0,0 +1,744 @@
+// One repository per off-chain entity. Records are plain objects (the same shape app.js has
+// always used); save() upserts the whole record and keeps the lookup columns in step.
+
+const now = () => new Date().toISOString();
+const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+function createUserRepository(db) {
+  const selectAll = db.prepare('SELECT data FROM users ORDER BY rowid');
+  const selectOne = db.prepare('SELECT data FROM users WHERE wallet = ?');
+  const upsert = db.prepare(`
+    INSERT INTO users (wallet, role, data, created_at, updated_at)
+    VALUES (@wallet, @role, @data, @now, @now)
+    ON CONFLICT (wallet) DO UPDATE SET role = excluded.role, data = excluded.data, updated_at = excluded.updated_at
+  `);
+  return {
+    all: () => selectAll.all().map(parse),
+    findByWallet: (wallet) => parse(selectOne.get(String(wallet || '').toLowerCase())),
+    save(user) {
+      upsert.run({
+        wallet: String(user.walletAddress || '').toLowerCase(),
+        role: user.role || 'user',
+        data: JSON.stringify(user),
+        now: now()
+      });
+      return user;
+    }
+  };
+}
+
+function createCartRepository(db) {
+  const selectAll = db.prepare('SELECT wallet, items FROM carts');
+  const upsert = db.prepare(`
+    INSERT INTO carts (wallet, items, updated_at) VALUES (@wallet, @items, @now)
+    ON CONFLICT (wallet) DO UPDATE SET items = excluded.items, updated_at = excluded.updated_at
+  `);
+  return {
+    // { wallet: items[] }, the shape of the carts map in app.js
+    all: () => Object.fromEntries(selectAll.all().map((row) => [row.wallet, JSON.parse(row.items)])),
+    save(wallet, items) {
+      upsert.run({ wallet: String(wallet || '').toLowerCase(), items: JSON.stringify(items || []), now: now() });
+      return items;
+    }
+  };
+}
+
+function createOrderRepository(db) {
+  const selectAll = db.prepare('SELECT data FROM orders ORDER BY rowid');
+  const selectOne = db.prepare('SELECT data FROM orders WHERE id = ?');
+  const upsert = db.prepare(`
+    INSERT INTO orders (id, customer, chain_order_id, status, data, created_at, updated_at)
+    VALUES (@id, @customer, @chainOrderId, @status, @data, @now, @now)
+    ON CONFLICT (id) DO UPDATE SET
+      customer = excluded.customer,
+      chain_order_id = excluded.chain_order_id,
+      status = excluded.status,
+      data = excluded.data,
+      updated_at = excluded.updated_at
+  `);
+  return {
+    all: () => selectAll.all().map(parse),
+    findById: (id) => parse(selectOne.get(String(id))),
+    save(order) {
+      upsert.run({
+        id: String(order.id),
+        customer: String(order.customer || '').toLowerCase(),
+        chainOrderId: order.chainOrderId ? String(order.chainOrderId) : null,
+        status: order.status || '',
+        data: JSON.stringify(order),
+        now: now()
+      });
+      return order;
+    }
+  };
+}
+
+function createDeliveryRepository(db) {
+  const selectAll = db.prepare('SELECT data FROM deliveries ORDER BY rowid');
+  const upsert = db.prepare(`
+    INSERT INTO deliveries (id, order_number, assigned_to, status, data, created_at, updated_at)
+    VALUES (@id, @orderNumber, @assignedTo, @status, @data, @now, @now)
+    ON CONFLICT (id) DO UPDATE SET
+      order_number = excluded.order_number,
+      assigned_to = excluded.assigned_to,
+      status = excluded.status,
+      data = excluded.data,
+      updated_at = excluded.updated_at
+  `);
+  return {
+    all: () => selectAll.all().map(parse),
+    save(delivery) {
+      upsert.run({
+        id: String(delivery.id),
+        orderNumber: String(delivery.orderNumber || ''),
+        assignedTo: String(delivery.assignedTo || '').toLowerCase(),
+        status: delivery.status || '',
+        data: JSON.stringify(delivery),
+        now: now()
+      });
+      return delivery;
+    }
+  };
+}
+
+function createTicketRepository(db) {
+  const selectAll = db.prepare('SELECT data FROM tickets ORDER BY rowid');
+  const upsert = db.prepare(`
+    INSERT INTO tickets (id, order_id, customer, status, data, created_at, updated_at)
+    VALUES (@id, @orderId, @customer, @status, @data, @now, @now)
+    ON CONFLICT (id) DO UPDATE SET
+      order_id = excluded.order_id,
+      customer = excluded.customer,
+      status = excluded.status,
+      data = excluded.data,
+      updated_at = excluded.updated_at
+  `);
+  return {
+    all: () => selectAll.all().map(parse),
+    save(ticket) {
+      upsert.run({
+        id: String(ticket.id),
+        orderId: String(ticket.orderId || ''),
+        customer: String(ticket.customer || '').toLowerCase(),
+        status: ticket.status || '',
+        data: JSON.stringify(ticket),
+        now: now()
+      });
+      return ticket;
+    }
+  };
+}
+
+// Uploaded image paths per product; the products themselves live on-chain
+function createProductImageRepository(db) {
+  const selectAll = db.prepare('SELECT product_id, image, gallery FROM product_images');
+  const upsert = db.prepare(`
+    INSERT INTO product_images (product_id, image, gallery, updated_at)
+    VALUES (@productId, @image, @gallery, @now)
+    ON CONFLICT (product_id) DO UPDATE SET
+      image = excluded.image,
+      gallery = excluded.gallery,
+      updated_at = excluded.updated_at
+  `);
+  return {
+    all: () => selectAll.all().map((row) => ({
+      productId: row.product_id,
+      image: row.image,
+      gallery: JSON.parse(row.gallery)
+    })),
+    save(productId, { image = '', gallery = [] } = {}) {
+      upsert.run({ productId: String(productId), image, gallery: JSON.stringify(gallery), now: now() });
+    }
+  };
+}
+
+// Allowlisted wallets of a drop; only the Merkle root goes on-chain
+function createDropAllowlistRepository(db) {
+  const select = db.prepare('SELECT merkle_root, addresses FROM drop_allowlists WHERE product_id = ?');
+  const upsert = db.prepare(`
+    INSERT INTO drop_allowlists (product_id, merkle_root, addresses, updated_at)
+    VALUES (@productId, @root, @addresses, @now)
+    ON CONFLICT (product_id) DO UPDATE SET
+      merkle_root = excluded.merkle_root,
+      addresses = excluded.addresses,
+      updated_at = excluded.updated_at
+  `);
+  return {
+    get(productId) {
+      const row = select.get(Number(productId));
+      return row ? { root: row.merkle_root, addresses: JSON.parse(row.addresses) } : null;
+    },
+    save(productId, { root, addresses }) {
+      upsert.run({ productId: Number(productId), root, addresses: JSON.stringify(addresses), now: now() });
+    }
+  };
+}
+
+// status is pending, approved or rejected; a rejected wallet may apply again
+function createSellerApplicationRepository(db) {
+  const toApplication = (row) => row && {
+    wallet: row.wallet,
+    shopName: row.shop_name,
+    description: row.description,
+    status: row.status,
+    reviewedBy: row.reviewed_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  const statements = {
+    select: db.prepare('SELECT * FROM seller_applications WHERE wallet = ?'),
+    all: db.prepare('SELECT * FROM seller_applications ORDER BY created_at DESC'),
+    upsert: db.prepare(`
+      INSERT INTO seller_applications (wallet, shop_name, description, status, reviewed_by, created_at, updated_at)
+      VALUES (@wallet, @shopName, @description, @status, @reviewedBy, @now, @now)
+      ON CONFLICT (wallet) DO UPDATE SET
+        shop_name = excluded.shop_name,
+        description = excluded.description,
+        status = excluded.status,
+        reviewed_by = excluded.reviewed_by,
+        updated_at = excluded.updated_at
+    `)
+  };
+  return {
+    get: (wallet) => toApplication(statements.select.get(String(wallet).toLowerCase())),
+    list: () => statements.all.all().map(toApplication),
+    save(application) {
+      statements.upsert.run({
+        wallet: String(application.wallet).toLowerCase(),
+        shopName: application.shopName,
+        description: application.description || '',
+        status: application.status || 'pending',
+        reviewedBy: application.reviewedBy || '',
+        now: now()
+      });
+      return this.get(application.wallet);
+    }
+  };
+}
+
+// kind is percent (amount in basis points) or fixed (amount in SGD cents). An empty product and
+// series scope covers the whole cart; limits of 0 mean no limit and an empty expiry never expires.
+function createPromoCodeRepository(db) {
+  const toPromoCode = (row) => row && {
+    code: row.code,
+    kind: row.kind,
+    amount: row.amount,
+    productIds: JSON.parse(row.product_ids),
+    series: JSON.parse(row.series),
+    expiresAt: row.expires_at,
+    usageLimit: row.usage_limit,
+    walletLimit: row.wallet_limit,
+    active: Boolean(row.active),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  const statements = {
+    select: db.prepare('SELECT * FROM promo_codes WHERE code = ?'),
+    all: db.prepare('SELECT * FROM promo_codes ORDER BY created_at DESC'),
+    upsert: db.prepare(`
+      INSERT INTO promo_codes (code, kind, amount, product_ids, series, expires_at, usage_limit, wallet_limit,
+        active, created_by, created_at, updated_at)
+      VALUES (@code, @kind, @amount, @productIds, @series, @expiresAt, @usageLimit, @walletLimit,
+        @active, @createdBy, @now, @now)
+      ON CONFLICT (code) DO UPDATE SET
+        kind = excluded.kind,
+        amount = excluded.amount,
+        product_ids = excluded.product_ids,
+        series = excluded.series,
+        expires_at = excluded.expires_at,
+        usage_limit = excluded.usage_limit,
+        wallet_limit = excluded.wallet_limit,
+        active = excluded.active,
+        updated_at = excluded.updated_at
+    `)
+  };
+  return {
+    get: (code) => toPromoCode(statements.select.get(String(code).trim().toUpperCase())),
+    list: () => statements.all.all().map(toPromoCode),
+    save(promo) {
+      statements.upsert.run({
+        code: String(promo.code).trim().toUpperCase(),
+        kind: promo.kind,
+        amount: promo.amount,
+        productIds: JSON.stringify(promo.productIds || []),
+        series: JSON.stringify(promo.series || []),
+        expiresAt: promo.expiresAt || '',
+        usageLimit: promo.usageLimit || 0,
+        walletLimit: promo.walletLimit || 0,
+        active: promo.active === false ? 0 : 1,
+        createdBy: promo.createdBy || '',
+        now: now()
+      });
+      return this.get(promo.code);
+    }
+  };
+}
+
+// Shipping rules, oldest first; amounts are SGD cents
+function createShippingRuleRepository(db) {
+  const toRule = (row) => row && {
+    id: row.id,
+    service: row.service,
+    zone: row.zone,
+    postalFrom: row.postal_from,
+    postalTo: row.postal_to,
+    minBoxes: row.min_boxes,
+    maxBoxes: row.max_boxes,
+    fee: row.fee_cents,
+    perBoxFee: row.per_box_cents,
+    freeOver: row.free_over_cents,
+    eta: row.eta,
+    active: Boolean(row.active)
+  };
+  const statements = {
+    select: db.prepare('SELECT * FROM shipping_rules WHERE id = ?'),
+    all: db.prepare('SELECT * FROM shipping_rules ORDER BY id'),
+    insert: db.prepare(`
+      INSERT INTO shipping_rules (service, zone, postal_from, postal_to, min_boxes, max_boxes, fee_cents,
+        per_box_cents, free_over_cents, eta, active, created_at, updated_at)
+      VALUES (@service, @zone, @postalFrom, @postalTo, @minBoxes, @maxBoxes, @fee,
+        @perBoxFee, @freeOver, @eta, 1, @now, @now)
+    `),
+    setActive: db.prepare('UPDATE shipping_rules SET active = ?, updated_at = ? WHERE id = ?'),
+    remove: db.prepare('DELETE FROM shipping_rules WHERE id = ?')
+  };
+  return {
+    get: (id) => toRule(statements.select.get(Number(id))),
+    list: () => statements.all.all().map(toRule),
+    add(rule) {
+      const { lastInsertRowid } = statements.insert.run({ ...rule, now: now() });
+      return this.get(lastInsertRowid);
+    },
+    setActive: (id, active) => statements.setActive.run(active ? 1 : 0, now(), Number(id)).changes > 0,
+    remove: (id) => statements.remove.run(Number(id)).changes > 0
+  };
+}
+
+// Searchable copy of the catalog. The chain fields (name, description, price, stock, status)
+// are rewritten on every catalog sync; series, category, tags and release date are set by admins.
+// Pages are cut with keyset cursors: a cursor holds the sort keys of the last row it returned.
+const CATALOG_SORTS = {
+  featured: [['product_id', 'ASC']],
+  newest: [['release_date', 'DESC'], ['product_id', 'DESC']],
+  'price-asc': [['price_cents', 'ASC'], ['product_id', 'ASC']],
+  'price-desc': [['price_cents', 'DESC'], ['product_id', 'ASC']],
+  name: [['name COLLATE NOCASE', 'ASC'], ['product_id', 'ASC']],
+  relevance: [['rank', 'ASC'], ['product_id', 'ASC']] // bm25 ranks better matches lower
+};
+const CATALOG_PAGE_MAX = 48;
+
+// Free text to an FTS5 query: every word has to match, as a prefix
+function toMatchQuery(text) {
+  const words = String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map((word) => `"${word}"*`).join(' ');
+}
+
+function encodeCursor(sort, keys) {
+  return Buffer.from(JSON.stringify({ sort, keys })).toString('base64url');
+}
+
+// Cursors only make sense for the sort they were issued for; anything else is a RangeError
+function decodeCursor(cursor, sort) {
+  if (!cursor) return null;
+  let parsed = null;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (_error) {
+    parsed = null;
+  }
+  if (parsed?.sort !== sort || !Array.isArray(parsed.keys) || parsed.keys.length !== CATALOG_SORTS[sort].length) {
+    throw new RangeError('The cursor does not belong to this search.');
+  }
+  return parsed.keys;
+}
+
+function createCatalogRepository(db) {
+  const upsertChainFields = db.prepare(`
+    INSERT INTO catalog_products (product_id, name, description, price_cents, stock, active, updated_at)
+    VALUES (@id, @name, @description, @priceCents, @stock, @active, @now)
+    ON CONFLICT (product_id) DO UPDATE SET
+      name = excluded.name,
+      description = excluded.description,
+      price_cents = excluded.price_cents,
+      stock = excluded.stock,
+      active = excluded.active,
+      updated_at = excluded.updated_at
+  `);
+  const dropMissing = db.prepare('DELETE FROM catalog_products WHERE product_id NOT IN (SELECT value FROM json_each(?))');
+  // a product added a moment ago may not have been synced yet; its chain fields follow with the next sync
+  const upsertAttributes = db.prepare(`
+    INSERT INTO catalog_products (product_id, series, category, tags, release_date, updated_at)
+    VALUES (@id, @series, @category, @tags, @releaseDate, @now)
+    ON CONFLICT (product_id) DO UPDATE SET
+      series = excluded.series,
+      category = excluded.category,
+      tags = excluded.tags,
+      release_date = excluded.release_date,
+      updated_at = excluded.updated_at
+  `);
+  const selectAttributes = db.prepare('SELECT product_id, series, category, tags, release_date FROM catalog_products');
+
+  const toAttributes = (row) => ({
+    series: row.series,
+    category: row.category,
+    tags: JSON.parse(row.tags),
+    releaseDate: row.release_date
+  });
+  const toItem = (row) => ({
+    id: row.product_id,
+    name: row.name,
+    description: row.description,
+    priceCents: row.price_cents,
+    stock: row.stock,
+    active: !!row.active,
+    ...toAttributes(row)
+  });
+
+  return {
+    // Products are never deleted on-chain, so an id missing from the list belongs to an older contract
+    syncFromChain: db.transaction((products) => {
+      products.forEach((product) => upsertChainFields.run({
+        id: Number(product.id),
+        name: product.name || '',
+        description: product.description || '',
+        priceCents: Number(product.priceCents || 0),
+        stock: Number(product.stock || 0),
+        active: product.active === false ? 0 : 1,
+        now: now()
+      }));
+      dropMissing.run(JSON.stringify(products.map((product) => Number(product.id))));
+    }),
+
+    saveAttributes(productId, { series = '', category = '', tags = [], releaseDate = '' } = {}) {
+      upsertAttributes.run({
+        id: Number(productId),
+        series,
+        category,
+        tags: JSON.stringify(tags),
+        releaseDate,
+        now: now()
+      });
+    },
+
+    // { productId: { series, category, tags, releaseDate } }
+    attributes: () => Object.fromEntries(selectAttributes.all().map((row) => [row.product_id, toAttributes(row)])),
+
+    // One page of products plus facet counts. Each facet is counted with every other filter
+    // applied but not its own, so picking a category still shows what the other categories hold.
+    search({
+      q = '',
+      categories = [],
+      series = [],
+      tags = [],
+      availability = 'all',
+      minCents = null,
+      maxCents = null,
+      includeInactive = false,
+      excludeIds = [],
+      sort = '',
+      cursor = '',
+      limit = 12
+    } = {}) {
+      const match = toMatchQuery(q);
+      const order = CATALOG_SORTS[sort] && (sort !== 'relevance' || match) ? sort : match ? 'relevance' : 'featured';
+      const size = Math.min(Math.max(Number(limit) || 12, 1), CATALOG_PAGE_MAX);
+      const params = {
+        match,
+        categories: JSON.stringify(categories),
+        series: JSON.stringify(series),
+        tags: JSON.stringify(tags),
+        tagCount: new Set(tags).size,
+        minCents,
+        maxCents,
+        excludeIds: JSON.stringify(excludeIds.map(Number))
+      };
+      const matched = match
+        ? `SELECT p.*, bm25(catalog_search) AS rank FROM catalog_search
+           JOIN catalog_products p ON p.product_id = catalog_search.rowid
+           WHERE catalog_search MATCH @match`
+        : 'SELECT p.*, 0 AS rank FROM catalog_products p';
+      const base = `WITH matched AS (${matched})`;
+
+      const filters = {
+        active: includeInactive ? '' : 'active = 1',
+        category: categories.length ? 'category IN (SELECT value FROM json_each(@categories))' : '',
+        series: series.length ? 'series IN (SELECT value FROM json_each(@series))' : '',
+        tags: tags.length
+          ? '(SELECT COUNT(DISTINCT value) FROM json_each(tags) WHERE value IN (SELECT value FROM json_each(@tags))) = @tagCount'
+          : '',
+        availability: { in: 'stock > 0', out: 'stock <= 0' }[availability] || '',
+        minPrice: minCents !== null ? 'price_cents >= @minCents' : '',
+        maxPrice: maxCents !== null ? 'price_cents <= @maxCents' : '',
+        exclude: excludeIds.length ? 'product_id NOT IN (SELECT value FROM json_each(@excludeIds))' : ''
+      };
+      const where = (except, ...extra) => {
+        const clauses = [...Object.entries(filters).filter(([name, sql]) => sql && name !== except).map(([, sql]) => sql), ...extra];
+        return clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+      };
+
+      const keys = CATALOG_SORTS[order];
+      const after = decodeCursor(cursor, order);
+      let keyset = '';
+      if (after) {
+        keyset = `(${keys.map(([expr, dir], i) => `(${[
+          ...keys.slice(0, i).map(([prev], j) => `${prev} = @k${j}`),
+          `${expr} ${dir === 'ASC' ? '>' : '<'} @k${i}`
+        ].join(' AND ')})`).join(' OR ')})`;
+        after.forEach((value, i) => { params[`k${i}`] = value; });
+      }
+
+      const rows = db.prepare(`
+        ${base}
+        SELECT *, ${keys.map(([expr], i) => `${expr} AS sort_key_${i}`).join(', ')} FROM matched
+        ${where(null, ...(keyset ? [keyset] : []))}
+        ORDER BY ${keys.map(([expr, dir]) => `${expr} ${dir}`).join(', ')}
+        LIMIT @limit
+      `).all({ ...params, limit: size + 1 });
+      const page = rows.slice(0, size);
+      const last = page[page.length - 1];
+
+      const countBy = (column, except) => db.prepare(`
+        ${base}
+        SELECT ${column} AS value, COUNT(*) AS count FROM matched
+        ${where(except, `${column} <> ''`)}
+        GROUP BY ${column} ORDER BY count DESC, value
+      `).all(params);
+      const availabilityCounts = db.prepare(`
+        ${base}
+        SELECT COALESCE(SUM(stock > 0), 0) AS inStock, COALESCE(SUM(stock <= 0), 0) AS outOfStock FROM matched
+        ${where('availability')}
+      `).get(params);
+
+      return {
+        items: page.map(toItem),
+        sort: order,
+        total: db.prepare(`${base} SELECT COUNT(*) FROM matched ${where(null)}`).pluck().get(params),
+        nextCursor: rows.length > size ? encodeCursor(order, keys.map((_key, i) => last[`sort_key_${i}`])) : null,
+        facets: {
+          categories: countBy('category', 'category'),
+          series: countBy('series', 'series'),
+          tags: db.prepare(`
+            ${base}
+            SELECT tag.value AS value, COUNT(*) AS count FROM matched, json_each(matched.tags) AS tag
+            ${where('tags')}
+            GROUP BY tag.value ORDER BY count DESC, tag.value
+          `).all(params),
+          availability: { in: availabilityCounts.inStock, out: availabilityCounts.outOfStock }
+        }
+      };
+    }
+  };
+}
+
+// Read model built from the shop contract's events by indexer.js. chain_events keeps every
+// indexed log; chain_orders and chain_roles are projections of it and can always be rebuilt.
+const ORDER_STATUS_PAID = 1; // RepublicSurpriseContract.OrderStatus.Paid
+const RECENT_BLOCKS_KEPT = 128;
+
+function createSettingRepository(db) {
+  const select = db.prepare('SELECT value FROM settings WHERE key = ?').pluck();
+  const insert = db.prepare('INSERT OR IGNORE INTO settings (key, value, created_at) VALUES (?, ?, ?)');
+  return {
+    // The stored value, or create()'s result stored on first use; an existing value is never replaced
+    ensure(key, create) {
+      const stored = select.get(key);
+      if (stored !== undefined) return stored;
+      insert.run(key, String(create()), now());
+      return select.get(key);
+    }
+  };
+}
+
+function createChainIndexRepository(db) {
+  const statements = {
+    checkpoint: db.prepare("SELECT contract_address, block_number, block_hash FROM chain_checkpoints WHERE name = 'shop'"),
+    saveCheckpoint: db.prepare(`
+      INSERT INTO chain_checkpoints (name, contract_address, block_number, block_hash, updated_at)
+      VALUES ('shop', @contractAddress, @blockNumber, @blockHash, @now)
+      ON CONFLICT (name) DO UPDATE SET
+        contract_address = excluded.contract_address,
+        block_number = excluded.block_number,
+        block_hash = excluded.block_hash,
+        updated_at = excluded.updated_at
+    `),
+    rememberBlock: db.prepare('INSERT OR REPLACE INTO chain_blocks (number, hash) VALUES (?, ?)'),
+    recentBlocks: db.prepare('SELECT number, hash FROM chain_blocks ORDER BY number DESC'),
+    pruneBlocks: db.prepare(`
+      DELETE FROM chain_blocks WHERE number NOT IN (
+        SELECT number FROM chain_blocks ORDER BY number DESC LIMIT ${RECENT_BLOCKS_KEPT}
+      )
+    `),
+    insertEvent: db.prepare(`
+      INSERT OR IGNORE INTO chain_events
+        (block_number, log_index, block_hash, tx_hash, event, order_id, product_id, account, args, timestamp)
+      VALUES (@blockNumber, @logIndex, @blockHash, @txHash, @event, @orderId, @productId, @account, @args, @timestamp)
+    `),
+    allEvents: db.prepare('SELECT * FROM chain_events ORDER BY block_number, log_index'),
+    dropEventsAfter: db.prepare('DELETE FROM chain_events WHERE block_number > ?'),
+    dropBlocksAfter: db.prepare('DELETE FROM chain_blocks WHERE number > ?'),
+    createOrder: db.prepare(`
+      INSERT OR REPLACE INTO chain_orders
+        (order_id, tx_hash, buyer, product_id, qty, paid_wei, status, delivery_man, created_at, updated_at)
+      VALUES (@orderId, @txHash, @buyer, @productId, @qty, @paidWei, ${ORDER_STATUS_PAID}, '', @timestamp, @timestamp)
+    `),
+    setOrderStatus: db.prepare('UPDATE chain_orders SET status = ?, updated_at = ? WHERE order_id = ?'),
+    setDeliveryMan: db.prepare('UPDATE chain_orders SET delivery_man = ?, updated_at = ? WHERE order_id = ?'),
+    setRole: db.prepare(`
+      INSERT INTO chain_roles (account, role, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (account) DO UPDATE SET role = excluded.role, updated_at = excluded.updated_at
+    `),
+    order: db.prepare('SELECT * FROM chain_orders WHERE order_id = ?'),
+    roles: db.prepare('SELECT account, role FROM chain_roles'),
+    orderEvents: db.prepare('SELECT * FROM chain_events WHERE order_id = ? AND event = ? ORDER BY block_number, log_index'),
+    productEvents: db.prepare('SELECT * FROM chain_events WHERE product_id IS NOT NULL AND event IN (SELECT value FROM json_each(?)) ORDER BY block_number, log_index')
+  };
+
+  const toEvent = (row) => ({
+    event: row.event,
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    txHash: row.tx_hash,
+    orderId: row.order_id,
+    productId: row.product_id,
+    account: row.account,
+    args: JSON.parse(row.args),
+    timestamp: row.timestamp
+  });
+  const toOrder = (row) => row && {
+    orderId: row.order_id,
+    txHash: row.tx_hash,
+    buyer: row.buyer,
+    productId: row.product_id,
+    qty: row.qty,
+    paidWei: row.paid_wei,
+    status: row.status,
+    deliveryMan: row.delivery_man,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+
+  // Projections: how each indexed event changes chain_orders / chain_roles
+  function project(event) {
+    const { args, timestamp } = event;
+    switch (event.event) {
+      case 'OrderCreated':
+        statements.createOrder.run({
+          orderId: event.orderId,
+          txHash: event.txHash,
+          buyer: String(args.buyer).toLowerCase(),
+          productId: Number(args.productId),
+          qty: Number(args.qty),
+          paidWei: String(args.paid),
+          timestamp
+        });
+        break;
+      case 'DeliveryLogAdded':
+        statements.setOrderStatus.run(Number(args.status), timestamp, event.orderId);
+        break;
+      case 'DeliveryAssigned':
+        statements.setDeliveryMan.run(String(args.deliveryMan).toLowerCase(), timestamp, event.orderId);
+        break;
+      case 'RoleChanged':
+        statements.setRole.run(String(args.account).toLowerCase(), Number(args.newRole), timestamp);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function rebuildProjections() {
+    db.exec('DELETE FROM chain_orders; DELETE FROM chain_roles;');
+    statements.allEvents.all().map(toEvent).forEach(project);
+  }
+
+  return {
+    getCheckpoint() {
+      const row = statements.checkpoint.get();
+      return row && {
+        contractAddress: row.contract_address,
+        blockNumber: row.block_number,
+        blockHash: row.block_hash
+      };
+    },
+    recentBlocks: () => statements.recentBlocks.all(),
+
+    // Store one batch of logs, project them and move the checkpoint, all or nothing
+    applyBatch: db.transaction(({ events, blocks, checkpoint }) => {
+      events.forEach((event) => {
+        const inserted = statements.insertEvent.run({
+          ...event,
+          orderId: event.orderId ?? null,
+          productId: event.productId ?? null,
+          account: event.account ?? null,
+          args: JSON.stringify(event.args)
+        });
+        if (inserted.changes) project(event);
+      });
+      blocks.forEach(({ number, hash }) => statements.rememberBlock.run(number, hash));
+      statements.saveCheckpoint.run({ ...checkpoint, now: now() });
+      statements.pruneBlocks.run();
+    }),
+
+    // Drop everything indexed after `block` (the last block both chains share) and rebuild
+    rollbackTo: db.transaction((block, contractAddress) => {
+      statements.dropEventsAfter.run(block.number);
+      statements.dropBlocksAfter.run(block.number);
+      statements.saveCheckpoint.run({
+        contractAddress,
+        blockNumber: block.number,
+        blockHash: block.hash,
+        now: now()
+      });
+      rebuildProjections();
+    }),
+
+    reset: db.transaction(() => {
+      db.exec(`
+        DELETE FROM chain_checkpoints; DELETE FROM chain_blocks; DELETE FROM chain_events;
+        DELETE FROM chain_orders; DELETE FROM chain_roles;
+      `);
+    }),
+
+    // ---- queries used by the pages ----
+    listOrders({ buyer, deliveryMan, statuses } = {}) {
+      const where = [];
+      const params = [];
+      if (buyer) {
+        where.push('buyer = ?');
+        params.push(String(buyer).toLowerCase());
+      }
+      if (deliveryMan !== undefined) {
+        where.push('delivery_man = ?');
+        params.push(String(deliveryMan).toLowerCase());
+      }
+      if (statuses?.length) {
+        where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+      }
+      const sql = `SELECT * FROM chain_orders ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY order_id DESC`;
+      return db.prepare(sql).all(...params).map(toOrder);
+    },
+    getOrder: (orderId) => toOrder(statements.order.get(Number(orderId))),
+    getOrderLog: (orderId) => statements.orderEvents.all(Number(orderId), 'DeliveryLogAdded').map(toEvent),
+    getProductEvents: (eventNames) => statements.productEvents.all(JSON.stringify(eventNames)).map(toEvent),
+    // { wallet: RepublicSurpriseContract.Role }
+    getRoles: () => Object.fromEntries(statements.roles.all().map((row) => [row.account, row.role]))
+  };
+}
+
+module.exports = {
+  createUserRepository,
+  createCartRepository,
+  createOrderRepository,
+  createDeliveryRepository,
+  createTicketRepository,
+  createProductImageRepository,
+  createCatalogRepository,
+  createDropAllowlistRepository,
+  createSellerApplicationRepository,
+  createPromoCodeRepository,
+  createShippingRuleRepository,
+  createSettingRepository,
+  createChainIndexRepository
+};
@@ -0,0 +1,91 @@
+const session = require('express-session');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+// express-session store backed by the sessions table, so logins survive a restart.
+// Sessions without a cookie expiry are kept for DEFAULT_TTL_MS after their last use.
+class SqliteSessionStore extends session.Store {
+  constructor(db, { ttlMs = DEFAULT_TTL_MS } = {}) {
+    super();
+    this.ttlMs = ttlMs;
+    this.statements = {
+      get: db.prepare('SELECT sess FROM sessions WHERE sid = ? AND expires > ?'),
+      set: db.prepare(`
+        INSERT INTO sessions (sid, sess, expires) VALUES (@sid, @sess, @expires)
+        ON CONFLICT (sid) DO UPDATE SET sess = excluded.sess, expires = excluded.expires
+      `),
+      touch: db.prepare('UPDATE sessions SET expires = ? WHERE sid = ?'),
+      destroy: db.prepare('DELETE FROM sessions WHERE sid = ?'),
+      all: db.prepare('SELECT sid, sess FROM sessions WHERE expires > ?'),
+      length: db.prepare('SELECT COUNT(*) FROM sessions WHERE expires > ?').pluck(),
+      clear: db.prepare('DELETE FROM sessions'),
+      prune: db.prepare('DELETE FROM sessions WHERE expires <= ?')
+    };
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  expiresAt(sess) {
+    const expires = sess?.cookie?.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + this.ttlMs;
+  }
+
+  run(callback, work) {
+    let result;
+    try {
+      result = work();
+    } catch (error) {
+      if (callback) callback(error);
+      return;
+    }
+    if (callback) callback(null, result);
+  }
+
+  get(sid, callback) {
+    this.run(callback, () => {
+      const row = this.statements.get.get(sid, Date.now());
+      return row ? JSON.parse(row.sess) : null;
+    });
+  }
+
+  set(sid, sess, callback) {
+    this.run(callback, () => {
+      this.statements.set.run({ sid, sess: JSON.stringify(sess), expires: this.expiresAt(sess) });
+    });
+  }
+
+  touch(sid, sess, callback) {
+    this.run(callback, () => {
+      this.statements.touch.run(this.expiresAt(sess), sid);
+    });
+  }
+
+  destroy(sid, callback) {
+    this.run(callback, () => {
+      this.statements.destroy.run(sid);
+    });
+  }
+
+  all(callback) {
+    this.run(callback, () => Object.fromEntries(
+      this.statements.all.all(Date.now()).map((row) => [row.sid, JSON.parse(row.sess)])
+    ));
+  }
+
+  length(callback) {
+    this.run(callback, () => this.statements.length.get(Date.now()));
+  }
+
+  clear(callback) {
+    this.run(callback, () => {
+      this.statements.clear.run();
+    });
+  }
+
+  prune() {
+    this.statements.prune.run(Date.now());
+  }
+}
+
+module.exports = { SqliteSessionStore };
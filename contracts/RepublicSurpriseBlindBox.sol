@@ -0,0 +1,313 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+interface IRepublicSurpriseShop {
+    function isAdmin(address account) external view returns (bool);
+}
+
+// Blind-box series for shop products.
+//
+// Each series commits to the tail of a hash chain (H^L(seed)) before any box is sold.
+// Every box gets its own entropy, and boxes are revealed strictly in purchase order with the
+// next preimage of the chain, so the admin cannot choose which preimage lands on which box.
+// roll = keccak256(preimage, entropy) picks the figure by weight.
+//
+// The entropy comes from the hash of the block the box was bought in, which nobody knows when
+// the purchase is sent, so neither the buyer nor the admin (who knows the preimages) can work
+// out the figure in advance. It is sealed from a later block: by reveal(), or by anyone through
+// seal(). A hash is only readable for 256 blocks; a box sealed after that is moved to the
+// sealing block, and since the buyer can seal it in time, the admin cannot re-roll a box by
+// letting its block expire.
+contract RepublicSurpriseBlindBox {
+    IRepublicSurpriseShop public shop;
+
+    struct Variant {
+        string name;
+        uint256 weight;
+        uint256 supply;
+        uint256 remaining; // figures not yet assigned to a revealed box
+    }
+
+    struct Series {
+        bool exists;
+        bytes32 initialCommitment;
+        bytes32 head; // last revealed preimage, starts at initialCommitment
+        uint256 chainLength;
+        uint256 available; // figures not yet promised to a sold box
+        uint256 boxesSold;
+        uint256 boxesRevealed;
+    }
+
+    struct Box {
+        uint256 id;
+        uint256 productId;
+        uint256 orderId;
+        address buyer;
+        uint256 index; // position in the series reveal queue
+        bytes32 entropy; // zero until sealed
+        bytes32 preimage;
+        bytes32 roll;
+        uint256 variant;
+        bool revealed;
+        bool voided;
+        uint256 entropyBlock; // the block whose hash seals the entropy
+    }
+
+    mapping(uint256 => Series) public series;
+    mapping(uint256 => Variant[]) private variants;
+    mapping(uint256 => uint256[]) private revealQueue;
+    mapping(uint256 => Box) public boxes;
+    mapping(uint256 => uint256[]) private boxesByOrder;
+    uint256 public boxCount;
+
+    event SeriesCreated(
+        uint256 indexed productId,
+        bytes32 commitment,
+        uint256 chainLength,
+        uint256 totalSupply
+    );
+    event BoxPurchased(
+        uint256 indexed boxId,
+        uint256 indexed productId,
+        uint256 indexed orderId,
+        address buyer,
+        uint256 entropyBlock
+    );
+    event BoxSealed(uint256 indexed boxId, uint256 entropyBlock, bytes32 entropy);
+    event BoxEntropyMoved(uint256 indexed boxId, uint256 entropyBlock);
+    event BoxRevealed(
+        uint256 indexed boxId,
+        uint256 indexed productId,
+        uint256 indexed orderId,
+        uint256 variant,
+        bytes32 roll,
+        bytes32 preimage
+    );
+    event BoxVoided(uint256 indexed boxId, uint256 indexed orderId, address cancelledBy);
+
+    modifier onlyShop() {
+        require(msg.sender == address(shop), "shop only");
+        _;
+    }
+
+    modifier onlyAdmin() {
+        require(shop.isAdmin(msg.sender), "admin only");
+        _;
+    }
+
+    constructor(address shopAddress) {
+        require(shopAddress != address(0), "shop required");
+        shop = IRepublicSurpriseShop(shopAddress);
+    }
+
+    // The commitment must be published before the first box of the series is sold
+    function createSeries(
+        uint256 productId,
+        string[] calldata names,
+        uint256[] calldata weights,
+        uint256[] calldata supplies,
+        bytes32 commitment,
+        uint256 chainLength
+    ) external onlyAdmin {
+        require(!series[productId].exists, "series exists");
+        require(names.length > 0, "variants required");
+        require(
+            names.length == weights.length && names.length == supplies.length,
+            "length mismatch"
+        );
+        require(commitment != bytes32(0), "commitment required");
+
+        uint256 totalSupply;
+        for (uint256 i = 0; i < names.length; i++) {
+            require(bytes(names[i]).length > 0, "name required");
+            require(weights[i] > 0, "weight > 0");
+            require(supplies[i] > 0, "supply > 0");
+            variants[productId].push(
+                Variant(names[i], weights[i], supplies[i], supplies[i])
+            );
+            totalSupply += supplies[i];
+        }
+        require(chainLength >= totalSupply, "chain too short");
+
+        series[productId] = Series({
+            exists: true,
+            initialCommitment: commitment,
+            head: commitment,
+            chainLength: chainLength,
+            available: totalSupply,
+            boxesSold: 0,
+            boxesRevealed: 0
+        });
+
+        emit SeriesCreated(productId, commitment, chainLength, totalSupply);
+    }
+
+    // Called by the shop for every order line; products without a series are ignored
+    function onPurchase(
+        uint256 orderId,
+        uint256 productId,
+        uint256 qty,
+        address buyer
+    ) external onlyShop {
+        Series storage s = series[productId];
+        if (!s.exists) return;
+        require(s.available >= qty, "series sold out");
+        require(s.boxesSold + qty <= s.chainLength, "commitment exhausted");
+
+        s.available -= qty;
+        for (uint256 i = 0; i < qty; i++) {
+            uint256 boxId = ++boxCount;
+            boxes[boxId] = Box({
+                id: boxId,
+                productId: productId,
+                orderId: orderId,
+                buyer: buyer,
+                index: s.boxesSold++,
+                entropy: bytes32(0),
+                preimage: bytes32(0),
+                roll: bytes32(0),
+                variant: 0,
+                revealed: false,
+                voided: false,
+                entropyBlock: block.number
+            });
+            revealQueue[productId].push(boxId);
+            boxesByOrder[orderId].push(boxId);
+            emit BoxPurchased(boxId, productId, orderId, buyer, block.number);
+        }
+    }
+
+    // Seals the entropy of boxes whose block has passed; sealed and unknown boxes are skipped
+    function seal(uint256[] calldata boxIds) external {
+        for (uint256 i = 0; i < boxIds.length; i++) {
+            Box storage b = boxes[boxIds[i]];
+            if (b.id != 0) _seal(b);
+        }
+    }
+
+    // Returns whether the box has its entropy
+    function _seal(Box storage b) internal returns (bool) {
+        if (b.entropy != bytes32(0)) return true;
+        if (block.number <= b.entropyBlock) return false;
+
+        bytes32 hash = blockhash(b.entropyBlock);
+        if (hash == bytes32(0)) {
+            b.entropyBlock = block.number;
+            emit BoxEntropyMoved(b.id, block.number);
+            return false;
+        }
+        b.entropy = keccak256(abi.encodePacked(hash, b.orderId, b.id, b.buyer));
+        emit BoxSealed(b.id, b.entropyBlock, b.entropy);
+        return true;
+    }
+
+    // Reveals the next boxes in the queue, one preimage per box, stopping at the first box whose
+    // entropy cannot be sealed yet; a later call carries on from there.
+    // Voided boxes still consume their preimage so the chain stays in step with the queue.
+    function reveal(
+        uint256 productId,
+        bytes32[] calldata preimages
+    ) external onlyAdmin {
+        Series storage s = series[productId];
+        require(s.exists, "series not found");
+        require(
+            s.boxesRevealed + preimages.length <= s.boxesSold,
+            "nothing to reveal"
+        );
+
+        for (uint256 i = 0; i < preimages.length; i++) {
+            Box storage b = boxes[revealQueue[productId][s.boxesRevealed]];
+            if (!b.voided && !_seal(b)) break;
+            require(
+                keccak256(abi.encodePacked(preimages[i])) == s.head,
+                "bad preimage"
+            );
+            s.head = preimages[i];
+            s.boxesRevealed++;
+
+            b.preimage = preimages[i];
+            b.roll = keccak256(abi.encodePacked(preimages[i], b.entropy));
+            b.revealed = true;
+            if (b.voided) continue;
+
+            b.variant = _pickVariant(productId, uint256(b.roll));
+            variants[productId][b.variant].remaining -= 1;
+            emit BoxRevealed(b.id, productId, b.orderId, b.variant, b.roll, b.preimage);
+        }
+    }
+
+    // Weighted pick over the variants that still have figures left
+    function _pickVariant(
+        uint256 productId,
+        uint256 roll
+    ) internal view returns (uint256) {
+        Variant[] storage list = variants[productId];
+        uint256 totalWeight;
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i].remaining > 0) totalWeight += list[i].weight;
+        }
+
+        uint256 target = roll % totalWeight;
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i].remaining == 0) continue;
+            if (target < list[i].weight) return i;
+            target -= list[i].weight;
+        }
+        revert("no figures left");
+    }
+
+    // Cancelled orders give their unrevealed boxes back to the series. A revealed figure is retired
+    // instead of returned, so cancelling a rare pull cannot put it back in play for a later box.
+    // The shop does not pass on who cancelled, so the sender of the transaction is recorded.
+    function onCancel(uint256 orderId) external onlyShop {
+        uint256[] storage ids = boxesByOrder[orderId];
+        for (uint256 i = 0; i < ids.length; i++) {
+            Box storage b = boxes[ids[i]];
+            if (b.voided) continue;
+            b.voided = true;
+            if (!b.revealed) series[b.productId].available += 1;
+            emit BoxVoided(b.id, orderId, tx.origin);
+        }
+    }
+
+    // Completion changes nothing for a series
+    function onComplete(uint256) external onlyShop {}
+
+    // Nor do refunds: a refund that cancels the order voids its boxes through onCancel
+    function onRefund(uint256, uint256) external onlyShop {}
+
+    // Anyone can re-check a revealed box: its preimage must link to the previous one
+    // in the chain (or to the published commitment) and the roll must match the entropy.
+    function verifyBox(uint256 boxId) external view returns (bool) {
+        Box storage b = boxes[boxId];
+        if (!b.revealed) return false;
+
+        bytes32 link = b.index == 0
+            ? series[b.productId].initialCommitment
+            : boxes[revealQueue[b.productId][b.index - 1]].preimage;
+        return
+            keccak256(abi.encodePacked(b.preimage)) == link &&
+            keccak256(abi.encodePacked(b.preimage, b.entropy)) == b.roll;
+    }
+
+    function getVariants(
+        uint256 productId
+    ) external view returns (Variant[] memory) {
+        return variants[productId];
+    }
+
+    function getOrderBoxes(
+        uint256 orderId
+    ) external view returns (Box[] memory list) {
+        uint256[] storage ids = boxesByOrder[orderId];
+        list = new Box[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            list[i] = boxes[ids[i]];
+        }
+    }
+
+    function pendingReveals(uint256 productId) external view returns (uint256) {
+        Series storage s = series[productId];
+        return s.boxesSold - s.boxesRevealed;
+    }
+}
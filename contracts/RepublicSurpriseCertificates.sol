@@ -0,0 +1,381 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// The parts of the shop the certificates read; Order and OrderLine mirror the shop's structs
+interface IRepublicSurpriseCertificateShop {
+    struct Order {
+        uint256 id;
+        address buyer;
+        uint256 productId;
+        uint256 qty;
+        uint256 paid;
+        uint8 status;
+        string deliveryId;
+        string proofImage;
+    }
+
+    struct OrderLine {
+        uint256 productId;
+        uint256 qty;
+        uint256 unitPrice;
+    }
+
+    function isAdmin(address account) external view returns (bool);
+
+    function products(
+        uint256 id
+    ) external view returns (uint256, string memory, string memory, uint256, uint256, uint8);
+
+    function orders(
+        uint256 orderId
+    ) external view returns (uint256, address, uint256, uint256, uint256, uint8, string memory, string memory);
+
+    function getOrderDetail(
+        uint256 orderId
+    ) external view returns (Order memory order, OrderLine[] memory lines);
+}
+
+// The parts of the blind-box contract the certificates read; structs mirror RepublicSurpriseBlindBox
+interface IRepublicSurpriseCertificateBoxes {
+    struct Variant {
+        string name;
+        uint256 weight;
+        uint256 supply;
+        uint256 remaining;
+    }
+
+    struct Box {
+        uint256 id;
+        uint256 productId;
+        uint256 orderId;
+        address buyer;
+        uint256 index;
+        bytes32 entropy;
+        bytes32 preimage;
+        bytes32 roll;
+        uint256 variant;
+        bool revealed;
+        bool voided;
+        uint256 entropyBlock;
+    }
+
+    function getVariants(uint256 productId) external view returns (Variant[] memory);
+
+    function getOrderBoxes(uint256 orderId) external view returns (Box[] memory);
+}
+
+interface IERC721Receiver {
+    function onERC721Received(
+        address operator,
+        address from,
+        uint256 tokenId,
+        bytes calldata data
+    ) external returns (bytes4);
+}
+
+// ERC-721 certificates of authenticity.
+//
+// The shop calls onComplete when confirmDelivery() completes an order, and the buyer is owed one
+// certificate for every unit in it. The first ISSUED_ON_COMPLETE are minted right away; the rest
+// of a large order are minted by claim(), in batches anyone can send, so completing an order
+// costs a bounded amount of gas whatever its quantity. Each certificate keeps the product name,
+// the blind box and figure it came from (when the product is a blind-box series), the order id
+// and the delivery proof hash and time of completion. A certificate stays valid while its order
+// is Completed; a full refund afterwards cancels the order and with it the certificate.
+contract RepublicSurpriseCertificates {
+    string public constant name = "Republic Surprise Certificate of Authenticity";
+    string public constant symbol = "RSCOA";
+    uint8 private constant ORDER_COMPLETED = 4; // RepublicSurpriseContract.OrderStatus.Completed
+    uint256 public constant ISSUED_ON_COMPLETE = 5;
+
+    struct Certificate {
+        uint256 orderId;
+        uint256 productId;
+        string productName;
+        uint256 boxId; // 0 when the product is not a blind-box series
+        string variantName; // the figure; "" when there is no box or it was not revealed yet
+        string proofHash;
+        uint64 issuedAt;
+    }
+
+    // How far an order's certificates have been minted
+    struct Issue {
+        address buyer;
+        uint64 completedAt; // 0 until the order completes
+        uint32 line; // next order line to mint for
+        uint32 unit; // next unit of that line
+        uint32 box; // next of the order's blind boxes
+        bool done;
+        string proofHash;
+    }
+
+    IRepublicSurpriseCertificateShop public shop;
+    IRepublicSurpriseCertificateBoxes public blindBox;
+    string public baseURI;
+    uint256 public totalSupply;
+
+    mapping(uint256 => Certificate) private certificates;
+    mapping(uint256 => uint256[]) private orderCertificates;
+    mapping(uint256 => Issue) private issues;
+    mapping(uint256 => address) private owners;
+    mapping(address => uint256[]) private ownedTokens;
+    mapping(uint256 => uint256) private ownedIndex; // position in the owner's ownedTokens
+    mapping(address => uint256) private balances;
+    mapping(uint256 => address) private tokenApprovals;
+    mapping(address => mapping(address => bool)) private operatorApprovals;
+
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+    event CertificateIssued(
+        uint256 indexed tokenId,
+        uint256 indexed orderId,
+        uint256 indexed productId,
+        address owner
+    );
+    event BaseURISet(string baseURI);
+    event BlindBoxSet(address indexed blindBox);
+
+    modifier onlyShop() {
+        require(msg.sender == address(shop), "shop only");
+        _;
+    }
+
+    modifier onlyAdmin() {
+        require(shop.isAdmin(msg.sender), "admin only");
+        _;
+    }
+
+    // tokenURI is baseURI followed by the token id, e.g. https://shop.example/api/certificates/
+    constructor(address shopAddress, address blindBoxAddress, string memory uri) {
+        require(shopAddress != address(0), "shop required");
+        shop = IRepublicSurpriseCertificateShop(shopAddress);
+        blindBox = IRepublicSurpriseCertificateBoxes(blindBoxAddress);
+        baseURI = uri;
+    }
+
+    function setBaseURI(string calldata uri) external onlyAdmin {
+        baseURI = uri;
+        emit BaseURISet(uri);
+    }
+
+    function setBlindBox(address blindBoxAddress) external onlyAdmin {
+        blindBox = IRepublicSurpriseCertificateBoxes(blindBoxAddress);
+        emit BlindBoxSet(blindBoxAddress);
+    }
+
+    // ---------- Shop hooks ----------
+    // Purchases and cancellations do not concern certificates
+    function onPurchase(uint256, uint256, uint256, address) external onlyShop {}
+
+    function onCancel(uint256) external onlyShop {}
+
+    // Validity follows the order's status, so a refund needs no bookkeeping here
+    function onRefund(uint256, uint256) external onlyShop {}
+
+    function onComplete(uint256 orderId) external onlyShop {
+        Issue storage issue = issues[orderId];
+        require(issue.completedAt == 0, "certificates already issued");
+        (, address buyer, , , , , , string memory proofImage) = shop.orders(orderId);
+        issue.buyer = buyer;
+        issue.completedAt = uint64(block.timestamp);
+        issue.proofHash = proofImage;
+        _issue(orderId, ISSUED_ON_COMPLETE);
+    }
+
+    // Mints up to count more of a completed order's certificates, always to its buyer
+    function claim(uint256 orderId, uint256 count) external {
+        Issue storage issue = issues[orderId];
+        require(issue.completedAt != 0 && !issue.done, "nothing to claim");
+        (, , , , , uint8 status, , ) = shop.orders(orderId);
+        require(status == ORDER_COMPLETED, "order not completed");
+        _issue(orderId, count);
+    }
+
+    // Certificates the order is still owed
+    function pendingCertificates(uint256 orderId) external view returns (uint256 pending) {
+        Issue storage issue = issues[orderId];
+        if (issue.completedAt == 0 || issue.done) return 0;
+        (, IRepublicSurpriseCertificateShop.OrderLine[] memory lines) = shop.getOrderDetail(orderId);
+        for (uint256 i = issue.line; i < lines.length; i++) pending += lines[i].qty;
+        pending -= issue.unit;
+    }
+
+    function _issue(uint256 orderId, uint256 count) internal {
+        Issue storage issue = issues[orderId];
+        (, IRepublicSurpriseCertificateShop.OrderLine[] memory lines) = shop.getOrderDetail(orderId);
+        IRepublicSurpriseCertificateBoxes.Box[] memory boxes = address(blindBox) == address(0)
+            ? new IRepublicSurpriseCertificateBoxes.Box[](0)
+            : blindBox.getOrderBoxes(orderId);
+        Certificate memory certificate = Certificate(orderId, 0, "", 0, "", issue.proofHash, issue.completedAt);
+
+        // boxes are created line by line as the order is placed, so one cursor walks them in step
+        uint256 line = issue.line;
+        uint256 unit = issue.unit;
+        uint256 nextBox = issue.box;
+        for (; line < lines.length && count > 0; line++) {
+            certificate.productId = lines[line].productId;
+            (, certificate.productName, , , , ) = shop.products(certificate.productId);
+            IRepublicSurpriseCertificateBoxes.Variant[] memory variants;
+            if (nextBox < boxes.length && boxes[nextBox].productId == certificate.productId) {
+                variants = blindBox.getVariants(certificate.productId);
+            }
+            for (; unit < lines[line].qty && count > 0; unit++) {
+                count--;
+                certificate.boxId = 0;
+                certificate.variantName = "";
+                if (nextBox < boxes.length && boxes[nextBox].productId == certificate.productId) {
+                    IRepublicSurpriseCertificateBoxes.Box memory box = boxes[nextBox++];
+                    certificate.boxId = box.id;
+                    if (box.revealed) certificate.variantName = variants[box.variant].name;
+                }
+                _mint(issue.buyer, certificate);
+            }
+            if (unit < lines[line].qty) break;
+            unit = 0;
+        }
+        issue.line = uint32(line);
+        issue.unit = uint32(unit);
+        issue.box = uint32(nextBox);
+        issue.done = line == lines.length;
+    }
+
+    function _mint(address to, Certificate memory certificate) internal {
+        uint256 tokenId = ++totalSupply;
+        certificates[tokenId] = certificate;
+        orderCertificates[certificate.orderId].push(tokenId);
+        _addOwned(to, tokenId);
+        emit Transfer(address(0), to, tokenId);
+        emit CertificateIssued(tokenId, certificate.orderId, certificate.productId, to);
+    }
+
+    // ---------- Certificates ----------
+    function getCertificate(uint256 tokenId) external view returns (Certificate memory) {
+        require(owners[tokenId] != address(0), "certificate not found");
+        return certificates[tokenId];
+    }
+
+    function getOrderCertificates(uint256 orderId) external view returns (uint256[] memory) {
+        return orderCertificates[orderId];
+    }
+
+    // Every token the account holds, in no particular order once some have been transferred
+    function tokensOfOwner(address account) external view returns (uint256[] memory) {
+        return ownedTokens[account];
+    }
+
+    function isValid(uint256 tokenId) external view returns (bool) {
+        if (owners[tokenId] == address(0)) return false;
+        (, , , , , uint8 status, , ) = shop.orders(certificates[tokenId].orderId);
+        return status == ORDER_COMPLETED;
+    }
+
+    // ---------- ERC-721 ----------
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return
+            interfaceId == 0x01ffc9a7 || // ERC-165
+            interfaceId == 0x80ac58cd || // ERC-721
+            interfaceId == 0x5b5e139f; // ERC-721 metadata
+    }
+
+    function balanceOf(address account) external view returns (uint256) {
+        require(account != address(0), "zero address");
+        return balances[account];
+    }
+
+    function ownerOf(uint256 tokenId) public view returns (address) {
+        address owner = owners[tokenId];
+        require(owner != address(0), "certificate not found");
+        return owner;
+    }
+
+    function tokenURI(uint256 tokenId) external view returns (string memory) {
+        ownerOf(tokenId);
+        return string.concat(baseURI, _toString(tokenId));
+    }
+
+    function approve(address to, uint256 tokenId) external {
+        address owner = ownerOf(tokenId);
+        require(msg.sender == owner || operatorApprovals[owner][msg.sender], "not owner or operator");
+        tokenApprovals[tokenId] = to;
+        emit Approval(owner, to, tokenId);
+    }
+
+    function getApproved(uint256 tokenId) external view returns (address) {
+        ownerOf(tokenId);
+        return tokenApprovals[tokenId];
+    }
+
+    function setApprovalForAll(address operator, bool approved) external {
+        operatorApprovals[msg.sender][operator] = approved;
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+
+    function isApprovedForAll(address owner, address operator) external view returns (bool) {
+        return operatorApprovals[owner][operator];
+    }
+
+    function transferFrom(address from, address to, uint256 tokenId) public {
+        address owner = ownerOf(tokenId);
+        require(owner == from, "wrong owner");
+        require(to != address(0), "zero address");
+        require(
+            msg.sender == owner ||
+                tokenApprovals[tokenId] == msg.sender ||
+                operatorApprovals[owner][msg.sender],
+            "not approved"
+        );
+        delete tokenApprovals[tokenId];
+        _removeOwned(from, tokenId);
+        _addOwned(to, tokenId);
+        emit Transfer(from, to, tokenId);
+    }
+
+    function _addOwned(address to, uint256 tokenId) internal {
+        owners[tokenId] = to;
+        balances[to] += 1;
+        ownedIndex[tokenId] = ownedTokens[to].length;
+        ownedTokens[to].push(tokenId);
+    }
+
+    // The last token takes the place of the one leaving
+    function _removeOwned(address from, uint256 tokenId) internal {
+        uint256[] storage owned = ownedTokens[from];
+        uint256 last = owned[owned.length - 1];
+        owned[ownedIndex[tokenId]] = last;
+        ownedIndex[last] = ownedIndex[tokenId];
+        owned.pop();
+        balances[from] -= 1;
+    }
+
+    function safeTransferFrom(address from, address to, uint256 tokenId) external {
+        safeTransferFrom(from, to, tokenId, "");
+    }
+
+    function safeTransferFrom(
+        address from,
+        address to,
+        uint256 tokenId,
+        bytes memory data
+    ) public {
+        transferFrom(from, to, tokenId);
+        if (to.code.length > 0) {
+            require(
+                IERC721Receiver(to).onERC721Received(msg.sender, from, tokenId, data) ==
+                    IERC721Receiver.onERC721Received.selector,
+                "receiver rejected the certificate"
+            );
+        }
+    }
+
+    function _toString(uint256 value) internal pure returns (string memory) {
+        if (value == 0) return "0";
+        uint256 digits;
+        for (uint256 rest = value; rest != 0; rest /= 10) digits++;
+        bytes memory text = new bytes(digits);
+        for (; value != 0; value /= 10) {
+            text[--digits] = bytes1(uint8(48 + (value % 10)));
+        }
+        return string(text);
+    }
+}
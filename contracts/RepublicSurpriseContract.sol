@@ -1,6 +1,52 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+// Satellite contracts (blind-box series, timed drops, certificates) notified about every
+// order line, cancellation, completion and refund; a hook may reject a purchase by reverting
+interface IRepublicSurpriseOrderHook {
+    function onPurchase(
+        uint256 orderId,
+        uint256 productId,
+        uint256 qty,
+        address buyer
+    ) external;
+
+    function onCancel(uint256 orderId) external;
+
+    function onComplete(uint256 orderId) external;
+
+    // amount is this refund alone; refundedAmount(orderId) already includes it
+    function onRefund(uint256 orderId, uint256 amount) external;
+}
+
+// Hooks that take part in pricing (loyalty points, ...) also implement onCheckout. The shop only
+// calls it when the buyer passes data for that hook, and takes the returned discount off the total,
+// which is in the order's currency (SGD cents for ETH orders). The delivery id and the lines are
+// passed as the buyer sent them, so a hook can tie its data to this one checkout.
+interface IRepublicSurpriseCheckoutHook {
+    function onCheckout(
+        uint256 orderId,
+        address buyer,
+        uint256 total,
+        address currency,
+        string calldata deliveryId,
+        uint256[] calldata productIds,
+        uint256[] calldata qtys,
+        bytes calldata data
+    ) external returns (uint256 discount);
+}
+
+// The part of ERC-20 the shop needs to take and return stablecoin payments
+interface IERC20Payment {
+    function transferFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) external returns (bool);
+
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
 contract RepublicSurpriseContract {
     // ---------- Roles ----------
     address public owner;
@@ -132,7 +178,7 @@ contract RepublicSurpriseContract {
         uint256 id;
         string name;
         string description;
-        uint256 priceWei;
+        uint256 priceCents; // list price in SGD cents, paid in wei through a PriceQuote
         uint256 stock;
         ProductStatus status;
     }
@@ -143,14 +189,32 @@ contract RepublicSurpriseContract {
     mapping(uint256 => Product) public products;
 
     // ---------- Product Events ----------
-    event ProductAdded(uint256 indexed id, string name, uint256 priceWei);
+    event ProductAdded(uint256 indexed id, string name, uint256 priceCents);
     event ProductStatusChanged(uint256 indexed id, ProductStatus status);
+    event ProductRestocked(
+        uint256 indexed id,
+        uint256 added,
+        uint256 stock,
+        address indexed actor
+    );
+    event ProductPriceChanged(
+        uint256 indexed id,
+        uint256 oldPriceCents,
+        uint256 newPriceCents,
+        address indexed actor
+    );
+    event ProductDetailsUpdated(
+        uint256 indexed id,
+        string name,
+        string description,
+        address indexed actor
+    );
 
     function _validateProductConfig(
-        uint256 priceWei,
+        uint256 priceCents,
         uint256 stock
     ) internal pure {
-        require(priceWei > 0, "Price required");
+        require(priceCents > 0, "Price required");
         require(stock > 0, "Stock required");
     }
 
@@ -162,12 +226,12 @@ contract RepublicSurpriseContract {
     function addProduct(
         string calldata name,
         string calldata description,
-        uint256 priceWei,
+        uint256 priceCents,
         uint256 stock
     ) public onlyAdmin {
         require(bytes(name).length > 0, "name required");
 
-        _validateProductConfig(priceWei, stock);
+        _validateProductConfig(priceCents, stock);
 
         uint256 id = ++productCount;
 
@@ -175,14 +239,48 @@ contract RepublicSurpriseContract {
             id: id,
             name: name,
             description: description,
-            priceWei: priceWei,
+            priceCents: priceCents,
             stock: stock,
             status: ProductStatus.Active
         });
 
         RepublicSurpriseCount = productCount;
 
-        emit ProductAdded(id, name, priceWei);
+        emit ProductAdded(id, name, priceCents);
+    }
+
+    function restockProduct(uint256 id, uint256 added) external onlyAdmin {
+        Product storage p = products[id];
+        require(p.id != 0, "Product not found");
+        require(added > 0, "Stock required");
+
+        p.stock += added;
+        emit ProductRestocked(id, added, p.stock, msg.sender);
+    }
+
+    // Only new orders pay the new price; existing order lines keep their unitPrice
+    function updateProductPrice(uint256 id, uint256 priceCents) external onlyAdmin {
+        Product storage p = products[id];
+        require(p.id != 0, "Product not found");
+        require(priceCents > 0, "Price required");
+
+        uint256 oldPriceCents = p.priceCents;
+        p.priceCents = priceCents;
+        emit ProductPriceChanged(id, oldPriceCents, priceCents, msg.sender);
+    }
+
+    function updateProductDetails(
+        uint256 id,
+        string calldata name,
+        string calldata description
+    ) external onlyAdmin {
+        Product storage p = products[id];
+        require(p.id != 0, "Product not found");
+        require(bytes(name).length > 0, "name required");
+
+        p.name = name;
+        p.description = description;
+        emit ProductDetailsUpdated(id, name, description, msg.sender);
     }
 
     function deactivateProduct(uint256 id) public onlyAdmin {
@@ -199,6 +297,86 @@ contract RepublicSurpriseContract {
         emit ProductStatusChanged(id, ProductStatus.Active);
     }
 
+    // ---------- Order hooks ----------
+    // Called in list order; the owner replaces the whole list, so hooks can be reordered too
+    address[] private orderHooks;
+
+    event OrderHooksSet(address[] hooks);
+
+    function setOrderHooks(address[] calldata hooks) external onlyOwner {
+        orderHooks = hooks;
+        emit OrderHooksSet(hooks);
+    }
+
+    function getOrderHooks() external view returns (address[] memory) {
+        return orderHooks;
+    }
+
+    // Calls every hook with the same payload; a hook's revert reason is passed through unchanged
+    function _notifyHooks(bytes memory payload) internal {
+        for (uint256 i = 0; i < orderHooks.length; i++) {
+            _callHook(i, payload);
+        }
+    }
+
+    function _callHook(uint256 i, bytes memory payload) internal returns (bytes memory result) {
+        bool ok;
+        (ok, result) = orderHooks[i].call(payload);
+        if (!ok) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    function _notifyPurchase(uint256 orderId, uint256 productId, uint256 qty) internal {
+        _notifyHooks(abi.encodeCall(IRepublicSurpriseOrderHook.onPurchase, (orderId, productId, qty, msg.sender)));
+    }
+
+    // ---------- Payment tokens ----------
+    // Wherever a currency is stored, address(0) stands for native ETH
+    mapping(address => bool) public acceptedTokens;
+    address[] private tokenList; // every token ever accepted, in the order it was added
+    mapping(address => bool) private listedTokens;
+    // product id => token => price in the token's smallest unit (0: not sold for that token)
+    mapping(uint256 => mapping(address => uint256)) public tokenPrices;
+
+    event TokenAccepted(address indexed token, bool accepted, address indexed actor);
+    event ProductTokenPriceChanged(
+        uint256 indexed id,
+        address indexed token,
+        uint256 oldPrice,
+        uint256 newPrice,
+        address indexed actor
+    );
+
+    function setAcceptedToken(address token, bool accepted) external onlyAdmin {
+        require(token.code.length > 0, "not a token contract");
+        acceptedTokens[token] = accepted;
+        if (!listedTokens[token]) {
+            listedTokens[token] = true;
+            tokenList.push(token);
+        }
+        emit TokenAccepted(token, accepted, msg.sender);
+    }
+
+    function getTokens() external view returns (address[] memory) {
+        return tokenList;
+    }
+
+    function setTokenPrice(
+        uint256 id,
+        address token,
+        uint256 price
+    ) external onlyAdmin {
+        require(products[id].id != 0, "Product not found");
+        require(acceptedTokens[token], "token not accepted");
+
+        uint256 oldPrice = tokenPrices[id][token];
+        tokenPrices[id][token] = price;
+        emit ProductTokenPriceChanged(id, token, oldPrice, price, msg.sender);
+    }
+
     // ---------- Users (on-chain status only) ----------
     struct UserProfile {
         uint256 id;
@@ -222,6 +400,13 @@ contract RepublicSurpriseContract {
         emit UserRegistered(user, profileHash);
     }
 
+    // Users change their own profile; only the hash of the details is kept on-chain
+    function updateProfile(bytes32 profileHash) external {
+        require(users[msg.sender].exists, "User not found");
+        users[msg.sender].profileHash = profileHash;
+        emit UserProfileUpdated(msg.sender, profileHash);
+    }
+
     // ---------- Orders / Delivery (Merged main flow) ----------
     enum OrderStatus {
         Pending,
@@ -237,14 +422,30 @@ contract RepublicSurpriseContract {
         address buyer;
         uint256 productId;
         uint256 qty;
-        uint256 paid; // wei
+        uint256 paid; // in the order's currency: wei, or token units
         OrderStatus status;
         string deliveryId;
         string proofImage; // base64 hash/URI if needed
     }
 
+    // one entry per product in the order, priced at the time of purchase
+    struct OrderLine {
+        uint256 productId;
+        uint256 qty;
+        uint256 unitPrice; // SGD cents for ETH orders, token units for token orders
+    }
+
     uint256 public orderCount;
     mapping(uint256 => Order) public orders;
+    mapping(uint256 => OrderLine[]) private orderLines;
+    mapping(uint256 => uint256) public refundedAmount; // already returned per order, in its currency
+    mapping(uint256 => address) public orderCurrency; // payment token, address(0) for ETH
+
+    // Escrow: payments stay locked per order until the order is settled.
+    // Totals are kept per currency so ETH and every token are accounted for separately.
+    mapping(uint256 => uint256) public escrowBalance;
+    mapping(address => uint256) public lockedFunds; // sum of escrowBalance
+    mapping(address => uint256) public releasableFunds; // settled, withdrawable by admins
     mapping(uint256 => address) public orderDeliveryMan;
     mapping(address => uint256[]) private ordersByDeliveryMan;
 
@@ -266,6 +467,13 @@ contract RepublicSurpriseContract {
         uint256 paid
     );
 
+    event OrderLineAdded(
+        uint256 indexed orderId,
+        uint256 productId,
+        uint256 qty,
+        uint256 unitPrice
+    );
+
     event DeliveryStatus(
         uint256 indexed orderId,
         string deliveryId,
@@ -274,6 +482,22 @@ contract RepublicSurpriseContract {
     );
 
     event OrderStatusChanged(uint256 indexed orderId, OrderStatus status);
+    event EscrowReleased(uint256 indexed orderId, uint256 amount);
+    event Withdrawn(address indexed to, uint256 amount, address indexed actor);
+    event TokenWithdrawn(
+        address indexed token,
+        address indexed to,
+        uint256 amount,
+        address indexed actor
+    );
+    event OrderCancelled(uint256 indexed orderId, address indexed actor);
+    event Refunded(
+        uint256 indexed orderId,
+        address indexed buyer,
+        uint256 amount,
+        uint256 totalRefunded,
+        address indexed actor
+    );
     event DeliveryAssigned(
         uint256 indexed orderId,
         address indexed deliveryMan,
@@ -305,52 +529,245 @@ contract RepublicSurpriseContract {
         emit DeliveryLogAdded(orderId, status, msg.sender, note, proofImage);
     }
 
+    // Order status state machine; every status change after payment goes through here.
+    //   Paid                -> OutForDelivery       delivery man (claim) or admin
+    //   OutForDelivery      -> PendingConfirmation  assigned delivery man or admin
+    //   PendingConfirmation -> OutForDelivery       admin (proof rejected, deliver again)
+    //   PendingConfirmation -> Completed            admin
+    //   Pending, Paid       -> Cancelled            buyer or admin
+    //   OutForDelivery,
+    //   PendingConfirmation -> Cancelled            admin
+    //   Completed           -> Cancelled            admin, through a full refund only
+    // Pending -> Paid only happens inside the payment functions and Cancelled is final.
+    // Callers check the role (buyer, assigned delivery man); this checks the edge itself.
+    function _moveTo(Order storage o, OrderStatus to) internal {
+        OrderStatus from = o.status;
+        bool byAdmin = admins[msg.sender];
+        bool allowed;
+        if (to == OrderStatus.OutForDelivery) {
+            allowed =
+                from == OrderStatus.Paid ||
+                (from == OrderStatus.PendingConfirmation && byAdmin);
+        } else if (to == OrderStatus.PendingConfirmation) {
+            allowed = from == OrderStatus.OutForDelivery;
+        } else if (to == OrderStatus.Completed) {
+            allowed = from == OrderStatus.PendingConfirmation && byAdmin;
+        } else if (to == OrderStatus.Cancelled) {
+            allowed =
+                from == OrderStatus.Pending ||
+                from == OrderStatus.Paid ||
+                (from != OrderStatus.Cancelled && byAdmin);
+        }
+        require(allowed, "invalid status transition");
+        o.status = to;
+    }
+
+    // Prices are in SGD cents
     function productPrice(
         uint256 productId,
         uint256 qty
     ) external view returns (uint256) {
         Product memory p = products[productId];
-        uint256 unit = p.priceWei;
+        uint256 unit = p.priceCents;
         require(unit > 0, "price missing");
         return unit * qty;
     }
 
+    function cartPrice(
+        uint256[] calldata productIds,
+        uint256[] calldata qtys
+    ) external view returns (uint256 total) {
+        require(productIds.length == qtys.length, "length mismatch");
+        for (uint256 i = 0; i < productIds.length; i++) {
+            uint256 unit = products[productIds[i]].priceCents;
+            require(unit > 0, "price missing");
+            total += unit * qtys[i];
+        }
+    }
+
+    // ETH/SGD rate locked for one checkout. An admin (the shop server) signs
+    // keccak256(abi.encode(shop, chainid, buyer, keccak256(deliveryId), weiPerSgd, expiresAt))
+    // as an Ethereum signed message; the buyer pays priceCents * weiPerSgd / 100 before expiresAt.
+    struct PriceQuote {
+        uint256 weiPerSgd;
+        uint256 expiresAt;
+        bytes signature;
+    }
+
+    function quoteTotal(
+        uint256 cents,
+        uint256 weiPerSgd
+    ) public pure returns (uint256) {
+        return (cents * weiPerSgd) / 100;
+    }
+
+    function _checkQuote(
+        PriceQuote memory quote,
+        string memory deliveryId
+    ) internal view {
+        require(block.timestamp <= quote.expiresAt, "quote expired");
+        require(quote.weiPerSgd > 0, "quote rate missing");
+        require(quote.signature.length == 65, "bad quote signature");
+
+        bytes32 digest = keccak256(
+            abi.encode(
+                address(this),
+                block.chainid,
+                msg.sender,
+                keccak256(bytes(deliveryId)),
+                quote.weiPerSgd,
+                quote.expiresAt
+            )
+        );
+        bytes32 signed = keccak256(
+            abi.encodePacked("\x19Ethereum Signed Message:\n32", digest)
+        );
+        bytes memory sig = quote.signature;
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(sig, 32))
+            s := mload(add(sig, 64))
+            v := byte(0, mload(add(sig, 96)))
+        }
+        if (v < 27) v += 27;
+        address signer = ecrecover(signed, v, r, s);
+        require(signer != address(0) && admins[signer], "bad quote signature");
+    }
+
     function buy(
         uint256 productId,
         uint256 qty,
-        string calldata deliveryId
+        string calldata deliveryId,
+        PriceQuote calldata quote
     ) external payable returns (uint256 orderId) {
-        require(qty > 0, "qty > 0");
+        uint256[] memory productIds = new uint256[](1);
+        uint256[] memory qtys = new uint256[](1);
+        productIds[0] = productId;
+        qtys[0] = qty;
+        return _placeOrder(productIds, qtys, deliveryId, quote, new bytes[](0));
+    }
 
-        Product storage p = products[productId];
-        require(p.id != 0, "product not found");
-        require(p.status == ProductStatus.Active, "inactive product");
-        require(p.priceWei > 0, "mode disabled");
-        require(p.stock > 0, "Out of stock");
-        require(p.stock >= qty, "insufficient stock");
+    // Multi-item checkout: all lines are paid and debited in one transaction.
+    // hookData[i] goes to orderHooks[i].onCheckout; leave it empty (or shorter) to skip a hook.
+    function buyCart(
+        uint256[] calldata productIds,
+        uint256[] calldata qtys,
+        string calldata deliveryId,
+        PriceQuote calldata quote,
+        bytes[] calldata hookData
+    ) external payable returns (uint256 orderId) {
+        return _placeOrder(productIds, qtys, deliveryId, quote, hookData);
+    }
 
-        uint256 unit = p.priceWei;
-        require(unit > 0, "price missing");
-        uint256 totalPrice = unit * qty;
+    function _placeOrder(
+        uint256[] memory productIds,
+        uint256[] memory qtys,
+        string memory deliveryId,
+        PriceQuote memory quote,
+        bytes[] memory hookData
+    ) internal returns (uint256 orderId) {
+        _checkQuote(quote, deliveryId);
+        uint256 totalCents;
+        (orderId, totalCents) = _addOrder(productIds, qtys, deliveryId, address(0), hookData);
+        require(msg.value == quoteTotal(totalCents, quote.weiPerSgd), "wrong payment");
+        _openOrder(orderId, msg.value);
+    }
 
-        require(msg.value == totalPrice, "wrong payment");
+    // Token checkout at the product's token prices; the buyer approves the total beforehand
+    function buyCartWithToken(
+        uint256[] calldata productIds,
+        uint256[] calldata qtys,
+        string calldata deliveryId,
+        address token,
+        bytes[] calldata hookData
+    ) external returns (uint256 orderId) {
+        require(acceptedTokens[token], "token not accepted");
+        uint256 total;
+        (orderId, total) = _addOrder(productIds, qtys, deliveryId, token, hookData);
+        require(
+            IERC20Payment(token).transferFrom(msg.sender, address(this), total),
+            "token transfer failed"
+        );
+        _openOrder(orderId, total);
+    }
 
-        // debit stock
-        p.stock -= qty;
+    // Debits stock and records the lines; returns the total after checkout discounts, in the
+    // order's currency (SGD cents for ETH orders, which are converted through the quote)
+    function _addOrder(
+        uint256[] memory productIds,
+        uint256[] memory qtys,
+        string memory deliveryId,
+        address currency,
+        bytes[] memory hookData
+    ) internal returns (uint256 orderId, uint256 total) {
+        require(productIds.length > 0, "empty order");
+        require(productIds.length == qtys.length, "length mismatch");
 
         orderId = ++orderCount;
+        uint256 totalQty;
+
+        for (uint256 i = 0; i < productIds.length; i++) {
+            uint256 qty = qtys[i];
+            require(qty > 0, "qty > 0");
+
+            Product storage p = products[productIds[i]];
+            require(p.id != 0, "product not found");
+            require(p.status == ProductStatus.Active, "inactive product");
+            uint256 unit = currency == address(0)
+                ? p.priceCents
+                : tokenPrices[p.id][currency];
+            require(unit > 0, "mode disabled");
+            require(p.stock > 0, "Out of stock");
+            require(p.stock >= qty, "insufficient stock");
+
+            // debit stock
+            p.stock -= qty;
+
+            total += unit * qty;
+            totalQty += qty;
+            orderLines[orderId].push(OrderLine(p.id, qty, unit));
+            emit OrderLineAdded(orderId, p.id, qty, unit);
+
+            _notifyPurchase(orderId, p.id, qty);
+        }
+
+        for (uint256 i = 0; i < hookData.length; i++) {
+            if (hookData[i].length == 0) continue;
+            total -= abi.decode(
+                _callHook(
+                    i,
+                    abi.encodeCall(
+                        IRepublicSurpriseCheckoutHook.onCheckout,
+                        (orderId, msg.sender, total, currency, deliveryId, productIds, qtys, hookData[i])
+                    )
+                ),
+                (uint256)
+            );
+        }
+
         orders[orderId] = Order({
             id: orderId,
             buyer: msg.sender,
-            productId: productId,
-            qty: qty,
-            paid: msg.value,
+            productId: productIds[0],
+            qty: totalQty,
+            paid: 0,
             status: OrderStatus.Paid,
             deliveryId: deliveryId,
             proofImage: ""
         });
+        if (currency != address(0)) {
+            orderCurrency[orderId] = currency;
+        }
+    }
+
+    function _openOrder(uint256 orderId, uint256 paid) internal {
+        Order storage o = orders[orderId];
+        o.paid = paid;
+        _lockEscrow(orderId, paid);
 
-        emit OrderCreated(orderId, productId, msg.sender, qty, msg.value);
+        emit OrderCreated(orderId, o.productId, msg.sender, o.qty, paid);
         _logDelivery(orderId, OrderStatus.Paid, "ORDER_PAID", "");
     }
 
@@ -360,9 +777,25 @@ contract RepublicSurpriseContract {
     ) external onlyAdmin {
         Order storage o = orders[orderId];
         require(o.id != 0, "order not found");
-        require(o.status == OrderStatus.Paid, "not paid");
 
-        o.status = OrderStatus.OutForDelivery;
+        _moveTo(o, OrderStatus.OutForDelivery);
+        o.deliveryId = deliveryId;
+
+        emit DeliveryStatus(orderId, deliveryId, o.status, "");
+        _logDelivery(orderId, o.status, "OUT_FOR_DELIVERY", "");
+    }
+
+    // Delivery men pick up paid orders themselves: the claim assigns them and dispatches the order
+    function claimDelivery(
+        uint256 orderId,
+        string calldata deliveryId
+    ) external onlyDelivery {
+        Order storage o = orders[orderId];
+        require(o.id != 0, "order not found");
+        require(orderDeliveryMan[orderId] == address(0), "already claimed");
+
+        _moveTo(o, OrderStatus.OutForDelivery);
+        _assignDeliveryMan(orderId, msg.sender);
         o.deliveryId = deliveryId;
 
         emit DeliveryStatus(orderId, deliveryId, o.status, "");
@@ -376,10 +809,10 @@ contract RepublicSurpriseContract {
     ) external onlyDeliveryOrAdmin {
         Order storage o = orders[orderId];
         require(o.id != 0, "order not found");
-        require(o.status == OrderStatus.OutForDelivery, "wrong state");
+        _requireAssignedOrAdmin(orderId);
 
+        _moveTo(o, OrderStatus.PendingConfirmation);
         o.proofImage = proofImage;
-        o.status = OrderStatus.PendingConfirmation;
 
         emit DeliveryStatus(orderId, o.deliveryId, o.status, proofImage);
         _logDelivery(orderId, o.status, "PROOF_SUBMITTED", proofImage);
@@ -388,11 +821,128 @@ contract RepublicSurpriseContract {
     function confirmDelivery(uint256 orderId) external onlyAdmin {
         Order storage o = orders[orderId];
         require(o.id != 0, "order not found");
-        require(o.status == OrderStatus.PendingConfirmation, "wrong state");
 
-        o.status = OrderStatus.Completed;
+        _moveTo(o, OrderStatus.Completed);
+        _releaseEscrow(orderId);
         emit OrderStatusChanged(orderId, o.status);
         _logDelivery(orderId, o.status, "DELIVERY_CONFIRMED", o.proofImage);
+        _notifyHooks(abi.encodeCall(IRepublicSurpriseOrderHook.onComplete, (orderId)));
+    }
+
+    function _lockEscrow(uint256 orderId, uint256 amount) internal {
+        escrowBalance[orderId] += amount;
+        lockedFunds[orderCurrency[orderId]] += amount;
+    }
+
+    function _releaseEscrow(uint256 orderId) internal {
+        uint256 amount = escrowBalance[orderId];
+        if (amount == 0) return;
+        address currency = orderCurrency[orderId];
+        escrowBalance[orderId] = 0;
+        lockedFunds[currency] -= amount;
+        releasableFunds[currency] += amount;
+        emit EscrowReleased(orderId, amount);
+    }
+
+    // Refunds come out of the order's escrow; once settled they come out of released funds
+    function _debitRefund(uint256 orderId, uint256 amount) internal {
+        address currency = orderCurrency[orderId];
+        if (escrowBalance[orderId] >= amount) {
+            escrowBalance[orderId] -= amount;
+            lockedFunds[currency] -= amount;
+        } else {
+            require(releasableFunds[currency] >= amount, "insufficient released funds");
+            releasableFunds[currency] -= amount;
+        }
+    }
+
+    // currency: a payment token, or address(0) for ETH
+    function getEscrowTotals(
+        address currency
+    ) external view returns (uint256 locked, uint256 releasable) {
+        return (lockedFunds[currency], releasableFunds[currency]);
+    }
+
+    function _sendFunds(address currency, address to, uint256 amount) internal {
+        if (currency == address(0)) {
+            payable(to).transfer(amount);
+        } else {
+            require(IERC20Payment(currency).transfer(to, amount), "token transfer failed");
+        }
+    }
+
+    // Full or partial refund to the buyer, capped at what is still unrefunded.
+    // A full refund cancels the order the way cancelOrder() does.
+    function refund(uint256 orderId, uint256 amount) external onlyAdmin {
+        Order storage o = orders[orderId];
+        require(o.id != 0, "order not found");
+        require(amount > 0, "amount > 0");
+
+        if (amount == o.paid - refundedAmount[orderId]) {
+            _cancel(o);
+            _logDelivery(orderId, o.status, "REFUNDED", "");
+        } else {
+            _logDelivery(orderId, o.status, "PARTIALLY_REFUNDED", "");
+        }
+        _payRefund(o, amount);
+    }
+
+    // Buyers may cancel until the order ships; admins any time before completion.
+    // Stock goes back to the shelf and whatever is still unrefunded goes back to the buyer.
+    function cancelOrder(uint256 orderId) external {
+        Order storage o = orders[orderId];
+        require(o.id != 0, "order not found");
+        require(
+            o.status != OrderStatus.Completed &&
+                o.status != OrderStatus.Cancelled,
+            "cannot cancel"
+        );
+        if (!admins[msg.sender]) {
+            require(msg.sender == o.buyer, "buyer/admin only");
+            require(o.status == OrderStatus.Paid, "already dispatched");
+        }
+
+        _cancel(o);
+        emit OrderCancelled(orderId, msg.sender);
+        _logDelivery(orderId, o.status, "ORDER_CANCELLED", "");
+
+        uint256 remaining = o.paid - refundedAmount[orderId];
+        if (remaining > 0) {
+            _payRefund(o, remaining);
+        }
+    }
+
+    // Undelivered goods go back on the shelf and the hooks undo their side of the order;
+    // a completed order was delivered, so only its status changes.
+    function _cancel(Order storage o) internal {
+        if (o.status != OrderStatus.Completed) {
+            OrderLine[] storage lines = orderLines[o.id];
+            for (uint256 i = 0; i < lines.length; i++) {
+                products[lines[i].productId].stock += lines[i].qty;
+            }
+            _notifyHooks(abi.encodeCall(IRepublicSurpriseOrderHook.onCancel, (o.id)));
+        }
+
+        _moveTo(o, OrderStatus.Cancelled);
+        emit OrderStatusChanged(o.id, o.status);
+    }
+
+    function _payRefund(
+        Order storage o,
+        uint256 amount
+    ) internal returns (uint256 totalRefunded) {
+        require(
+            amount <= o.paid - refundedAmount[o.id],
+            "exceeds refundable"
+        );
+
+        refundedAmount[o.id] += amount;
+        totalRefunded = refundedAmount[o.id];
+        _debitRefund(o.id, amount);
+        _notifyHooks(abi.encodeCall(IRepublicSurpriseOrderHook.onRefund, (o.id, amount)));
+
+        emit Refunded(o.id, o.buyer, amount, totalRefunded, msg.sender);
+        _sendFunds(orderCurrency[o.id], o.buyer, amount);
     }
 
     function assignDeliveryManToOrder(
@@ -400,14 +950,24 @@ contract RepublicSurpriseContract {
         address deliveryMan
     ) external onlyAdmin {
         require(deliveryMen[deliveryMan], "not delivery");
-        Order storage o = orders[orderId];
-        require(o.id != 0, "order not found");
+        require(orders[orderId].id != 0, "order not found");
 
+        _assignDeliveryMan(orderId, deliveryMan);
+    }
+
+    function _assignDeliveryMan(uint256 orderId, address deliveryMan) internal {
         orderDeliveryMan[orderId] = deliveryMan;
         ordersByDeliveryMan[deliveryMan].push(orderId);
         emit DeliveryAssigned(orderId, deliveryMan, msg.sender);
     }
 
+    // Delivery men may only touch the orders assigned to them
+    function _requireAssignedOrAdmin(uint256 orderId) internal view {
+        if (!admins[msg.sender]) {
+            require(orderDeliveryMan[orderId] == msg.sender, "not assigned");
+        }
+    }
+
     function deliveryAddStatus(
         uint256 orderId,
         OrderStatus status,
@@ -434,16 +994,13 @@ contract RepublicSurpriseContract {
     ) internal {
         Order storage o = orders[orderId];
         require(o.id != 0, "order not found");
+        _requireAssignedOrAdmin(orderId);
+        // cancelling has to restock and refund, which only cancelOrder() does; completing has to
+        // release the escrow and notify the hooks, which only confirmDelivery() does
+        require(status != OrderStatus.Cancelled, "use cancelOrder");
+        require(status != OrderStatus.Completed, "use confirmDelivery");
 
-        if (!admins[msg.sender]) {
-            require(
-                status == OrderStatus.OutForDelivery ||
-                    status == OrderStatus.PendingConfirmation,
-                "admin only status"
-            );
-        }
-
-        o.status = status;
+        _moveTo(o, status);
         if (bytes(proofImage).length > 0) {
             o.proofImage = proofImage;
         }
@@ -460,8 +1017,8 @@ contract RepublicSurpriseContract {
 
     function getOrderDetail(
         uint256 orderId
-    ) external view returns (Order memory) {
-        return orders[orderId];
+    ) external view returns (Order memory order, OrderLine[] memory lines) {
+        return (orders[orderId], orderLines[orderId]);
     }
 
     function getOrdersForDelivery(
@@ -539,7 +1096,8 @@ contract RepublicSurpriseContract {
     event Paid(uint256 orderId, address buyer, uint256 amountPaid);
     function paywithMetamask(
         uint256 orderId,
-        uint256 productId
+        uint256 productId,
+        PriceQuote calldata quote
     ) public payable {
         require(msg.value > 0, "pay > 0");
         require(orders[orderId].id == 0, "order exists");
@@ -550,8 +1108,9 @@ contract RepublicSurpriseContract {
         require(p.stock > 0, "Out of stock");
         require(p.stock >= 1, "insufficient stock");
 
-        require(p.priceWei > 0, "price missing");
-        require(msg.value == p.priceWei, "incorrect amount");
+        require(p.priceCents > 0, "price missing");
+        _checkQuote(quote, "");
+        require(msg.value == quoteTotal(p.priceCents, quote.weiPerSgd), "incorrect amount");
 
         // debit 1 box
         p.stock -= 1;
@@ -571,6 +1130,10 @@ contract RepublicSurpriseContract {
             proofImage: ""
         });
 
+        orderLines[orderId].push(OrderLine(productId, 1, p.priceCents));
+        _lockEscrow(orderId, msg.value);
+        _notifyPurchase(orderId, productId, 1);
+
         // keep orderCount consistent (optional)
         if (orderId > orderCount) orderCount = orderId;
 
@@ -579,11 +1142,29 @@ contract RepublicSurpriseContract {
     }
 
     // ---------- Treasury ----------
+    // Only settled order funds can leave the contract; escrow stays locked
     function withdraw(address payable to, uint256 amount) external onlyAdmin {
-        require(amount <= address(this).balance, "exceeds balance");
+        require(amount <= releasableFunds[address(0)], "exceeds releasable");
+        releasableFunds[address(0)] -= amount;
+        emit Withdrawn(to, amount, msg.sender);
         to.transfer(amount);
     }
 
+    function withdrawToken(
+        address token,
+        address to,
+        uint256 amount
+    ) external onlyAdmin {
+        require(token != address(0), "use withdraw for ETH");
+        require(amount <= releasableFunds[token], "exceeds releasable");
+        releasableFunds[token] -= amount;
+        emit TokenWithdrawn(token, to, amount, msg.sender);
+        _sendFunds(token, to, amount);
+    }
+
     // ---------- Safety ----------
-    receive() external payable {}
+    // Plain transfers are not tied to an order, so they are releasable straight away
+    receive() external payable {
+        releasableFunds[address(0)] += msg.value;
+    }
 }
@@ -0,0 +1,157 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+interface IRepublicSurpriseDropShop {
+    function isAdmin(address account) external view returns (bool);
+    function productCount() external view returns (uint256);
+}
+
+// Timed, capped launches for shop products.
+//
+// A drop opens at startsAt, closes at endsAt (0: stays open), limits how many units one wallet
+// may buy (0: no limit) and may be restricted to an allowlist published as a Merkle root of
+// keccak256(wallet) leaves. Wallets prove their spot once with joinAllowlist. The shop asks this
+// contract about every order line, so every checkout path is covered, and cancelled orders give
+// their units back to the wallet's allowance.
+contract RepublicSurpriseDrops {
+    IRepublicSurpriseDropShop public shop;
+
+    struct Drop {
+        bool exists;
+        uint64 startsAt;
+        uint64 endsAt;
+        uint256 walletCap;
+        bytes32 allowlistRoot;
+    }
+
+    struct Purchase {
+        uint256 productId;
+        address buyer;
+        uint256 qty;
+    }
+
+    mapping(uint256 => Drop) public drops;
+    // productId => wallet => units bought while the product was a drop
+    mapping(uint256 => mapping(address => uint256)) public purchased;
+    // allowlist root => wallet => proved; a new root starts a new list
+    mapping(bytes32 => mapping(address => bool)) private joined;
+    mapping(uint256 => Purchase[]) private orderPurchases;
+
+    event DropScheduled(
+        uint256 indexed productId,
+        uint64 startsAt,
+        uint64 endsAt,
+        uint256 walletCap,
+        bytes32 allowlistRoot,
+        address indexed actor
+    );
+    event DropCleared(uint256 indexed productId, address indexed actor);
+    event AllowlistJoined(uint256 indexed productId, address indexed account, bytes32 root);
+
+    modifier onlyShop() {
+        require(msg.sender == address(shop), "shop only");
+        _;
+    }
+
+    modifier onlyAdmin() {
+        require(shop.isAdmin(msg.sender), "admin only");
+        _;
+    }
+
+    constructor(address shopAddress) {
+        require(shopAddress != address(0), "shop required");
+        shop = IRepublicSurpriseDropShop(shopAddress);
+    }
+
+    function setDrop(
+        uint256 productId,
+        uint64 startsAt,
+        uint64 endsAt,
+        uint256 walletCap,
+        bytes32 allowlistRoot
+    ) external onlyAdmin {
+        require(productId > 0 && productId <= shop.productCount(), "Product not found");
+        require(endsAt == 0 || endsAt > startsAt, "drop ends before it starts");
+        drops[productId] = Drop(true, startsAt, endsAt, walletCap, allowlistRoot);
+        emit DropScheduled(productId, startsAt, endsAt, walletCap, allowlistRoot, msg.sender);
+    }
+
+    function clearDrop(uint256 productId) external onlyAdmin {
+        require(drops[productId].exists, "no drop");
+        delete drops[productId];
+        emit DropCleared(productId, msg.sender);
+    }
+
+    // Proof of sorted-pair hashes from the wallet's leaf up to the drop's allowlist root
+    function joinAllowlist(uint256 productId, bytes32[] calldata proof) external {
+        bytes32 root = drops[productId].allowlistRoot;
+        require(root != bytes32(0), "no allowlist");
+        bytes32 node = keccak256(abi.encodePacked(msg.sender));
+        for (uint256 i = 0; i < proof.length; i++) {
+            node = node < proof[i]
+                ? keccak256(abi.encodePacked(node, proof[i]))
+                : keccak256(abi.encodePacked(proof[i], node));
+        }
+        require(node == root, "not on the allowlist");
+        joined[root][msg.sender] = true;
+        emit AllowlistJoined(productId, msg.sender, root);
+    }
+
+    function isAllowlisted(uint256 productId, address account) public view returns (bool) {
+        bytes32 root = drops[productId].allowlistRoot;
+        return root == bytes32(0) || joined[root][account];
+    }
+
+    // Why the wallet cannot buy qty units right now, or "" when it can
+    function purchaseBlocker(
+        uint256 productId,
+        address buyer,
+        uint256 qty
+    ) public view returns (string memory) {
+        Drop storage d = drops[productId];
+        if (!d.exists) return "";
+        if (block.timestamp < d.startsAt) return "drop not open yet";
+        if (d.endsAt != 0 && block.timestamp >= d.endsAt) return "drop has ended";
+        if (!isAllowlisted(productId, buyer)) return "not on the allowlist";
+        if (d.walletCap != 0 && purchased[productId][buyer] + qty > d.walletCap) {
+            return "wallet limit reached";
+        }
+        return "";
+    }
+
+    // Units the wallet may still buy; type(uint256).max when the drop has no cap
+    function remaining(uint256 productId, address buyer) external view returns (uint256) {
+        Drop storage d = drops[productId];
+        if (!d.exists || d.walletCap == 0) return type(uint256).max;
+        uint256 bought = purchased[productId][buyer];
+        return bought >= d.walletCap ? 0 : d.walletCap - bought;
+    }
+
+    // Called by the shop for every order line; products without a drop are ignored
+    function onPurchase(
+        uint256 orderId,
+        uint256 productId,
+        uint256 qty,
+        address buyer
+    ) external onlyShop {
+        if (!drops[productId].exists) return;
+        string memory blocker = purchaseBlocker(productId, buyer, qty);
+        require(bytes(blocker).length == 0, blocker);
+        purchased[productId][buyer] += qty;
+        orderPurchases[orderId].push(Purchase(productId, buyer, qty));
+    }
+
+    function onCancel(uint256 orderId) external onlyShop {
+        Purchase[] storage lines = orderPurchases[orderId];
+        for (uint256 i = 0; i < lines.length; i++) {
+            purchased[lines[i].productId][lines[i].buyer] -= lines[i].qty;
+        }
+        delete orderPurchases[orderId];
+    }
+
+    // Completed orders keep counting against the wallet's allowance
+    function onComplete(uint256) external onlyShop {}
+
+    // Refunded ones too, unless the refund cancels the order (see onCancel)
+    function onRefund(uint256, uint256) external onlyShop {}
+}
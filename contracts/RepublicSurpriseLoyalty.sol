@@ -0,0 +1,178 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// The parts of the shop the loyalty ledger reads
+interface IRepublicSurpriseLoyaltyShop {
+    function isAdmin(address account) external view returns (bool);
+
+    function orders(
+        uint256 orderId
+    ) external view returns (uint256, address, uint256, uint256, uint256, uint8, string memory, string memory);
+
+    function orderCurrency(uint256 orderId) external view returns (address);
+
+    function refundedAmount(uint256 orderId) external view returns (uint256);
+}
+
+// Loyalty points: a non-transferable balance per wallet.
+//
+// Completed orders earn points at the rate of their currency, on what the buyer paid less refunds.
+// Buyers redeem points at checkout by passing abi.encode(points) as this hook's entry in the
+// shop's hookData; the shop takes the points' value off the order total. Cancelled orders give
+// redeemed points back. On every refund the shop calls onRefund, which takes back what the refunded
+// order earned and, once a refund has cancelled the order, returns what it redeemed. Points taken
+// back after they were spent become owed and are settled from the next points earned.
+contract RepublicSurpriseLoyalty {
+    string public constant name = "Republic Surprise Points";
+    string public constant symbol = "RSP";
+    uint8 public constant decimals = 0;
+    uint8 private constant ORDER_COMPLETED = 4; // RepublicSurpriseContract.OrderStatus.Completed
+    uint8 private constant ORDER_CANCELLED = 5; // RepublicSurpriseContract.OrderStatus.Cancelled
+    uint256 private constant RATE_SCALE = 1e18;
+
+    IRepublicSurpriseLoyaltyShop public shop;
+
+    // currency (address(0) for ETH) => points per 10^18 of its smallest unit paid (per ETH for ETH)
+    mapping(address => uint256) public earnRates;
+    // currency => discount per point, in the currency's checkout unit (SGD cents for ETH orders)
+    mapping(address => uint256) public pointValues;
+
+    struct OrderPoints {
+        address buyer;
+        uint256 redeemed;
+        uint256 discount;
+        uint256 earned;
+        uint256 settledAmount; // paid less refunds when the order completed
+        bool completed;
+        bool restored;
+    }
+
+    mapping(address => uint256) public balanceOf;
+    mapping(address => uint256) public owed;
+    uint256 public totalSupply;
+    mapping(uint256 => OrderPoints) private orderPoints;
+
+    event RatesSet(address indexed currency, uint256 earnRate, uint256 pointValue, address indexed actor);
+    event PointsRedeemed(address indexed account, uint256 indexed orderId, uint256 points, uint256 discount);
+    event PointsEarned(address indexed account, uint256 indexed orderId, uint256 points);
+    event PointsRestored(address indexed account, uint256 indexed orderId, uint256 points);
+    event PointsReversed(address indexed account, uint256 indexed orderId, uint256 points);
+
+    modifier onlyShop() {
+        require(msg.sender == address(shop), "shop only");
+        _;
+    }
+
+    modifier onlyAdmin() {
+        require(shop.isAdmin(msg.sender), "admin only");
+        _;
+    }
+
+    // The ETH rates are set here, as the deployer is usually not a shop admin yet
+    constructor(address shopAddress, uint256 ethEarnRate, uint256 ethPointValue) {
+        require(shopAddress != address(0), "shop required");
+        shop = IRepublicSurpriseLoyaltyShop(shopAddress);
+        earnRates[address(0)] = ethEarnRate;
+        pointValues[address(0)] = ethPointValue;
+        emit RatesSet(address(0), ethEarnRate, ethPointValue, msg.sender);
+    }
+
+    // A zero point value stops redemption in that currency; a zero earn rate stops earning
+    function setRates(address currency, uint256 earnRate, uint256 pointValue) external onlyAdmin {
+        earnRates[currency] = earnRate;
+        pointValues[currency] = pointValue;
+        emit RatesSet(currency, earnRate, pointValue, msg.sender);
+    }
+
+    function getOrderPoints(uint256 orderId) external view returns (OrderPoints memory) {
+        return orderPoints[orderId];
+    }
+
+    // ---------- Shop hooks ----------
+    function onCheckout(
+        uint256 orderId,
+        address buyer,
+        uint256 total,
+        address currency,
+        string calldata,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata data
+    ) external onlyShop returns (uint256 discount) {
+        uint256 points = abi.decode(data, (uint256));
+        require(points > 0, "no points to redeem");
+        require(pointValues[currency] > 0, "points not redeemable in this currency");
+        require(balanceOf[buyer] >= points, "not enough points");
+        discount = points * pointValues[currency];
+        require(discount <= total, "points exceed the order total");
+
+        balanceOf[buyer] -= points;
+        totalSupply -= points;
+        orderPoints[orderId] = OrderPoints(buyer, points, discount, 0, 0, false, false);
+        emit PointsRedeemed(buyer, orderId, points, discount);
+    }
+
+    // Points are only earned on completion
+    function onPurchase(uint256, uint256, uint256, address) external onlyShop {}
+
+    function onCancel(uint256 orderId) external onlyShop {
+        _restore(orderId);
+    }
+
+    function onComplete(uint256 orderId) external onlyShop {
+        OrderPoints storage op = orderPoints[orderId];
+        require(!op.completed, "points already earned");
+        (, address buyer, , , uint256 paid, , , ) = shop.orders(orderId);
+        uint256 settled = paid - shop.refundedAmount(orderId);
+        uint256 points = (settled * earnRates[shop.orderCurrency(orderId)]) / RATE_SCALE;
+
+        op.buyer = buyer;
+        op.completed = true;
+        op.settledAmount = settled;
+        op.earned = points;
+        if (points > 0) {
+            _credit(buyer, points);
+            emit PointsEarned(buyer, orderId, points);
+        }
+    }
+
+    // ---------- Refunds ----------
+    // Brings an order's points in line with its refunds; does nothing when they already are
+    function onRefund(uint256 orderId, uint256) external onlyShop {
+        (, , , , uint256 paid, uint8 status, , ) = shop.orders(orderId);
+        OrderPoints storage op = orderPoints[orderId];
+        if (status == ORDER_CANCELLED) _restore(orderId);
+        if (!op.completed || op.earned == 0) return;
+
+        uint256 kept = status == ORDER_COMPLETED && op.settledAmount > 0
+            ? (op.earned * (paid - shop.refundedAmount(orderId))) / op.settledAmount
+            : 0;
+        if (kept >= op.earned) return;
+        uint256 reversed = op.earned - kept;
+        op.earned = kept;
+        _debit(op.buyer, reversed);
+        emit PointsReversed(op.buyer, orderId, reversed);
+    }
+
+    function _restore(uint256 orderId) internal {
+        OrderPoints storage op = orderPoints[orderId];
+        if (op.redeemed == 0 || op.restored) return;
+        op.restored = true;
+        _credit(op.buyer, op.redeemed);
+        emit PointsRestored(op.buyer, orderId, op.redeemed);
+    }
+
+    function _credit(address account, uint256 points) internal {
+        uint256 settles = points < owed[account] ? points : owed[account];
+        owed[account] -= settles;
+        balanceOf[account] += points - settles;
+        totalSupply += points - settles;
+    }
+
+    function _debit(address account, uint256 points) internal {
+        uint256 available = points < balanceOf[account] ? points : balanceOf[account];
+        balanceOf[account] -= available;
+        totalSupply -= available;
+        owed[account] += points - available;
+    }
+}
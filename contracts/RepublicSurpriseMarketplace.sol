@@ -0,0 +1,245 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// The parts of the shop the marketplace uses; Order and OrderLine mirror the shop's structs
+interface IRepublicSurpriseMarketShop {
+    struct Order {
+        uint256 id;
+        address buyer;
+        uint256 productId;
+        uint256 qty;
+        uint256 paid;
+        uint8 status;
+        string deliveryId;
+        string proofImage;
+    }
+
+    struct OrderLine {
+        uint256 productId;
+        uint256 qty;
+        uint256 unitPrice;
+    }
+
+    function isAdmin(address account) external view returns (bool);
+
+    function roles(address account) external view returns (uint8);
+
+    function productCount() external view returns (uint256);
+
+    function addProduct(
+        string calldata name,
+        string calldata description,
+        uint256 priceCents,
+        uint256 stock
+    ) external;
+
+    function restockProduct(uint256 id, uint256 added) external;
+
+    function updateProductPrice(uint256 id, uint256 priceCents) external;
+
+    function updateProductDetails(
+        uint256 id,
+        string calldata name,
+        string calldata description
+    ) external;
+
+    function orderCurrency(uint256 orderId) external view returns (address);
+
+    function refundedAmount(uint256 orderId) external view returns (uint256);
+
+    function getOrderDetail(
+        uint256 orderId
+    ) external view returns (Order memory order, OrderLine[] memory lines);
+
+    function withdraw(address payable to, uint256 amount) external;
+
+    function withdrawToken(address token, address to, uint256 amount) external;
+}
+
+interface IERC20Payout {
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+// Seller-owned products and payout splits.
+//
+// Admins approve sellers by giving them Role.Seller on the shop. Sellers add and edit their own
+// products through this contract, which is an admin of the shop and records who owns what;
+// activating and deactivating products stays with the shop's admins. When an order completes,
+// each seller line's share of the settled amount, less the platform commission recorded when the
+// order was placed, moves out of the shop's released funds into the seller's balance here.
+// Refunds after completion come out of the platform's released funds; seller balances are final.
+contract RepublicSurpriseMarketplace {
+    uint8 private constant ROLE_SELLER = 4; // RepublicSurpriseContract.Role.Seller
+    uint16 private constant MAX_BPS = 10000;
+
+    // immutable, so receive() can check the sender within the 2300 gas of the shop's transfer()
+    IRepublicSurpriseMarketShop public immutable shop;
+    uint16 public commissionBps;
+
+    struct Settlement {
+        bool recorded;
+        bool settled;
+        uint16 commissionBps;
+    }
+
+    mapping(uint256 => address) public productSeller;
+    mapping(address => uint256[]) private sellerProducts;
+    // seller => currency (address(0) for ETH) => withdrawable
+    mapping(address => mapping(address => uint256)) public balances;
+    // orderId => seller => amount credited when the order settled
+    mapping(uint256 => mapping(address => uint256)) public payouts;
+    mapping(uint256 => Settlement) public settlements;
+
+    event CommissionSet(uint16 commissionBps, address indexed actor);
+    event SellerProductAdded(uint256 indexed productId, address indexed seller);
+    event SaleSettled(
+        uint256 indexed orderId,
+        uint256 indexed productId,
+        address indexed seller,
+        address currency,
+        uint256 sellerAmount,
+        uint256 commission
+    );
+    event PayoutWithdrawn(address indexed seller, address indexed currency, uint256 amount);
+
+    modifier onlyShop() {
+        require(msg.sender == address(shop), "shop only");
+        _;
+    }
+
+    modifier onlyAdmin() {
+        require(shop.isAdmin(msg.sender), "admin only");
+        _;
+    }
+
+    modifier onlySeller() {
+        require(shop.roles(msg.sender) == ROLE_SELLER, "seller only");
+        _;
+    }
+
+    modifier onlyProductSeller(uint256 productId) {
+        require(shop.roles(msg.sender) == ROLE_SELLER, "seller only");
+        require(productSeller[productId] == msg.sender, "not your product");
+        _;
+    }
+
+    constructor(address shopAddress, uint16 initialCommissionBps) {
+        require(shopAddress != address(0), "shop required");
+        require(initialCommissionBps <= MAX_BPS, "commission above 100%");
+        shop = IRepublicSurpriseMarketShop(shopAddress);
+        commissionBps = initialCommissionBps;
+    }
+
+    // Applies to orders placed from now on
+    function setCommission(uint16 bps) external onlyAdmin {
+        require(bps <= MAX_BPS, "commission above 100%");
+        commissionBps = bps;
+        emit CommissionSet(bps, msg.sender);
+    }
+
+    // ---------- Seller products ----------
+    function addProduct(
+        string calldata name,
+        string calldata description,
+        uint256 priceCents,
+        uint256 stock
+    ) external onlySeller returns (uint256 productId) {
+        shop.addProduct(name, description, priceCents, stock);
+        productId = shop.productCount();
+        productSeller[productId] = msg.sender;
+        sellerProducts[msg.sender].push(productId);
+        emit SellerProductAdded(productId, msg.sender);
+    }
+
+    function restockProduct(uint256 productId, uint256 added) external onlyProductSeller(productId) {
+        shop.restockProduct(productId, added);
+    }
+
+    function updateProductPrice(
+        uint256 productId,
+        uint256 priceCents
+    ) external onlyProductSeller(productId) {
+        shop.updateProductPrice(productId, priceCents);
+    }
+
+    function updateProductDetails(
+        uint256 productId,
+        string calldata name,
+        string calldata description
+    ) external onlyProductSeller(productId) {
+        shop.updateProductDetails(productId, name, description);
+    }
+
+    function getSellerProducts(address seller) external view returns (uint256[] memory) {
+        return sellerProducts[seller];
+    }
+
+    // ---------- Shop hooks ----------
+    // The commission is fixed when the order is placed, so a later change never reprices it
+    function onPurchase(uint256 orderId, uint256, uint256, address) external onlyShop {
+        if (!settlements[orderId].recorded) {
+            settlements[orderId] = Settlement(true, false, commissionBps);
+        }
+    }
+
+    function onCancel(uint256 orderId) external onlyShop {
+        delete settlements[orderId];
+    }
+
+    // onComplete reads the refunds made before it; later ones leave seller balances alone
+    function onRefund(uint256, uint256) external onlyShop {}
+
+    function onComplete(uint256 orderId) external onlyShop {
+        Settlement storage s = settlements[orderId];
+        if (s.settled) return;
+        s.settled = true;
+
+        (
+            IRepublicSurpriseMarketShop.Order memory order,
+            IRepublicSurpriseMarketShop.OrderLine[] memory lines
+        ) = shop.getOrderDetail(orderId);
+        uint256 orderTotal;
+        for (uint256 i = 0; i < lines.length; i++) orderTotal += lines[i].unitPrice * lines[i].qty;
+        if (orderTotal == 0) return;
+
+        // what the escrow released: the payment less refunds made before completion
+        uint256 settledAmount = order.paid - shop.refundedAmount(orderId);
+        address currency = shop.orderCurrency(orderId);
+        uint256 owed;
+        for (uint256 i = 0; i < lines.length; i++) {
+            address seller = productSeller[lines[i].productId];
+            if (seller == address(0)) continue;
+            uint256 lineAmount = (settledAmount * lines[i].unitPrice * lines[i].qty) / orderTotal;
+            uint256 commission = (lineAmount * s.commissionBps) / MAX_BPS;
+            uint256 sellerAmount = lineAmount - commission;
+            balances[seller][currency] += sellerAmount;
+            payouts[orderId][seller] += sellerAmount;
+            owed += sellerAmount;
+            emit SaleSettled(orderId, lines[i].productId, seller, currency, sellerAmount, commission);
+        }
+        if (owed == 0) return;
+        if (currency == address(0)) {
+            shop.withdraw(payable(address(this)), owed);
+        } else {
+            shop.withdrawToken(currency, address(this), owed);
+        }
+    }
+
+    // ---------- Payouts ----------
+    function withdraw(address currency) external {
+        uint256 amount = balances[msg.sender][currency];
+        require(amount > 0, "nothing to withdraw");
+        balances[msg.sender][currency] = 0;
+        emit PayoutWithdrawn(msg.sender, currency, amount);
+        if (currency == address(0)) {
+            (bool ok, ) = payable(msg.sender).call{value: amount}("");
+            require(ok, "payout failed");
+        } else {
+            require(IERC20Payout(currency).transfer(msg.sender, amount), "token transfer failed");
+        }
+    }
+
+    receive() external payable {
+        require(msg.sender == address(shop), "shop only");
+    }
+}
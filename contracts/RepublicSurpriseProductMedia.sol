@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+interface IRepublicSurpriseCatalog {
+    function isAdmin(address account) external view returns (bool);
+    function productCount() external view returns (uint256);
+}
+
+// Image fingerprints for shop products.
+//
+// The images themselves live off-chain under their SHA-256; this contract records which
+// hashes make up each product's gallery (main image first), so a file swapped on the server
+// no longer matches what the shop published.
+contract RepublicSurpriseProductMedia {
+    uint256 public constant MAX_IMAGES = 12;
+
+    IRepublicSurpriseCatalog public shop;
+
+    mapping(uint256 => bytes32[]) private galleries;
+
+    event ProductImagesSet(uint256 indexed productId, bytes32[] hashes, address indexed actor);
+
+    modifier onlyAdmin() {
+        require(shop.isAdmin(msg.sender), "admin only");
+        _;
+    }
+
+    constructor(address shopAddress) {
+        require(shopAddress != address(0), "shop required");
+        shop = IRepublicSurpriseCatalog(shopAddress);
+    }
+
+    // Replaces the whole gallery; hashes[0] is the main image
+    function setImages(uint256 productId, bytes32[] calldata hashes) external onlyAdmin {
+        require(productId > 0 && productId <= shop.productCount(), "Product not found");
+        require(hashes.length > 0, "images required");
+        require(hashes.length <= MAX_IMAGES, "too many images");
+        for (uint256 i = 0; i < hashes.length; i++) {
+            require(hashes[i] != bytes32(0), "empty hash");
+        }
+        galleries[productId] = hashes;
+        emit ProductImagesSet(productId, hashes, msg.sender);
+    }
+
+    function getImages(uint256 productId) external view returns (bytes32[] memory) {
+        return galleries[productId];
+    }
+
+    function mainImage(uint256 productId) external view returns (bytes32) {
+        bytes32[] storage gallery = galleries[productId];
+        return gallery.length > 0 ? gallery[0] : bytes32(0);
+    }
+}
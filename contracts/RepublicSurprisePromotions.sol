@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+interface IRepublicSurprisePromotionShop {
+    function isAdmin(address account) external view returns (bool);
+}
+
+// Promo codes, redeemed through vouchers the shop server signs.
+//
+// Codes and their rules (amount, scope, expiry) live with the server, which works out the
+// discount for the buyer's cart and signs a voucher for that one checkout: its delivery id and
+// its lines, so the discount cannot be carried over to a different cart. Buyers pass
+// abi.encode(Voucher) as this hook's entry in the shop's hookData; the shop takes the discount
+// off the order total. The voucher carries the code's usage and per-wallet limits, which are
+// counted here, so they hold however many vouchers the server hands out. Cancelled orders give
+// their use back.
+contract RepublicSurprisePromotions {
+    IRepublicSurprisePromotionShop public shop;
+
+    struct Voucher {
+        bytes32 id; // keccak256 of the checkout's delivery id; a spent id is refused
+        bytes32 cart; // keccak256(abi.encode(productIds, qtys)) of the checkout
+        bytes32 code; // keccak256 of the code as admins entered it, upper-cased
+        uint256 discount; // in the order's checkout unit (SGD cents for ETH orders)
+        uint64 expiresAt;
+        uint32 usageLimit; // 0: no limit
+        uint32 walletLimit; // 0: no limit
+        bytes signature;
+    }
+
+    struct Redemption {
+        bytes32 code;
+        address buyer;
+        uint256 discount;
+        bool released;
+    }
+
+    // code => orders placed with it and not cancelled
+    mapping(bytes32 => uint256) public uses;
+    mapping(bytes32 => mapping(address => uint256)) public walletUses;
+    mapping(bytes32 => bool) public spentVouchers;
+    mapping(uint256 => Redemption) private orderRedemptions;
+
+    event PromotionRedeemed(bytes32 indexed code, uint256 indexed orderId, address indexed buyer, uint256 discount);
+    event PromotionReleased(bytes32 indexed code, uint256 indexed orderId, address indexed buyer);
+
+    modifier onlyShop() {
+        require(msg.sender == address(shop), "shop only");
+        _;
+    }
+
+    constructor(address shopAddress) {
+        require(shopAddress != address(0), "shop required");
+        shop = IRepublicSurprisePromotionShop(shopAddress);
+    }
+
+    function getOrderRedemption(uint256 orderId) external view returns (Redemption memory) {
+        return orderRedemptions[orderId];
+    }
+
+    // ---------- Shop hooks ----------
+    function onCheckout(
+        uint256 orderId,
+        address buyer,
+        uint256 total,
+        address currency,
+        string calldata deliveryId,
+        uint256[] calldata productIds,
+        uint256[] calldata qtys,
+        bytes calldata data
+    ) external onlyShop returns (uint256) {
+        Voucher memory v = abi.decode(data, (Voucher));
+        require(
+            v.id == keccak256(bytes(deliveryId)) && v.cart == keccak256(abi.encode(productIds, qtys)),
+            "voucher is for another checkout"
+        );
+        require(block.timestamp <= v.expiresAt, "voucher expired");
+        require(!spentVouchers[v.id], "voucher already used");
+        require(v.discount <= total, "discount exceeds the order total");
+        require(v.usageLimit == 0 || uses[v.code] < v.usageLimit, "promo code fully redeemed");
+        require(
+            v.walletLimit == 0 || walletUses[v.code][buyer] < v.walletLimit,
+            "promo code already used by this wallet"
+        );
+        _checkSigner(v, buyer, currency);
+
+        spentVouchers[v.id] = true;
+        uses[v.code] += 1;
+        walletUses[v.code][buyer] += 1;
+        orderRedemptions[orderId] = Redemption(v.code, buyer, v.discount, false);
+        emit PromotionRedeemed(v.code, orderId, buyer, v.discount);
+        return v.discount;
+    }
+
+    // Codes are only counted when the order is paid for
+    function onPurchase(uint256, uint256, uint256, address) external onlyShop {}
+
+    function onCancel(uint256 orderId) external onlyShop {
+        Redemption storage r = orderRedemptions[orderId];
+        if (r.code == bytes32(0) || r.released) return;
+        r.released = true;
+        uses[r.code] -= 1;
+        walletUses[r.code][r.buyer] -= 1;
+        emit PromotionReleased(r.code, orderId, r.buyer);
+    }
+
+    function onComplete(uint256) external onlyShop {}
+
+    function onRefund(uint256, uint256) external onlyShop {}
+
+    // The signature covers this contract, the chain, the buyer, the currency and every voucher field
+    function _checkSigner(Voucher memory v, address buyer, address currency) internal view {
+        require(v.signature.length == 65, "bad voucher signature");
+        bytes32 digest = keccak256(
+            abi.encode(
+                address(this),
+                block.chainid,
+                buyer,
+                currency,
+                v.id,
+                v.cart,
+                v.code,
+                v.discount,
+                v.expiresAt,
+                v.usageLimit,
+                v.walletLimit
+            )
+        );
+        bytes32 signed = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", digest));
+        bytes memory sig = v.signature;
+        bytes32 r;
+        bytes32 s;
+        uint8 sv;
+        assembly {
+            r := mload(add(sig, 32))
+            s := mload(add(sig, 64))
+            sv := byte(0, mload(add(sig, 96)))
+        }
+        if (sv < 27) sv += 27;
+        address signer = ecrecover(signed, sv, r, s);
+        require(signer != address(0) && shop.isAdmin(signer), "bad voucher signature");
+    }
+}
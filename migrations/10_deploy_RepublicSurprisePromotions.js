@@ -0,0 +1,8 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const RepublicSurprisePromotions = artifacts.require("RepublicSurprisePromotions");
+
+module.exports = async function(deployer) {
+  const shop = await RepublicSurpriseContract.deployed();
+  await deployer.deploy(RepublicSurprisePromotions, shop.address);
+  await shop.setOrderHooks([...(await shop.getOrderHooks()), RepublicSurprisePromotions.address]);
+};
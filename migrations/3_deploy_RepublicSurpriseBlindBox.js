@@ -0,0 +1,8 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const RepublicSurpriseBlindBox = artifacts.require("RepublicSurpriseBlindBox");
+
+module.exports = async function(deployer) {
+  const shop = await RepublicSurpriseContract.deployed();
+  await deployer.deploy(RepublicSurpriseBlindBox, shop.address);
+  await shop.setOrderHooks([...(await shop.getOrderHooks()), RepublicSurpriseBlindBox.address]);
+};
@@ -0,0 +1,22 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const RepublicSurpriseTestStablecoin = artifacts.require("RepublicSurpriseTestStablecoin");
+
+// Anyone can mint the test stablecoin, so only these networks deploy and accept it
+const TEST_NETWORKS = ["development", "test"];
+
+// Development chains only: a faucet stablecoin the shop accepts, with 10,000 tSGD for every unlocked account
+module.exports = async function(deployer, network, accounts) {
+  if (!TEST_NETWORKS.includes(network)) return;
+
+  const shop = await RepublicSurpriseContract.deployed();
+  await deployer.deploy(RepublicSurpriseTestStablecoin);
+  const token = await RepublicSurpriseTestStablecoin.deployed();
+  // accepting a token is an admin call, and the deploying owner is not an admin on a fresh shop
+  if (!(await shop.isAdmin(accounts[0]))) {
+    await shop.addAdmin(accounts[0]);
+  }
+  await shop.setAcceptedToken(token.address, true);
+  for (const account of accounts) {
+    await token.faucet(account, "10000000000");
+  }
+};
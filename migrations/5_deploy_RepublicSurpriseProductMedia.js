@@ -0,0 +1,7 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const RepublicSurpriseProductMedia = artifacts.require("RepublicSurpriseProductMedia");
+
+module.exports = async function(deployer) {
+  const shop = await RepublicSurpriseContract.deployed();
+  await deployer.deploy(RepublicSurpriseProductMedia, shop.address);
+};
@@ -0,0 +1,8 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const RepublicSurpriseDrops = artifacts.require("RepublicSurpriseDrops");
+
+module.exports = async function(deployer) {
+  const shop = await RepublicSurpriseContract.deployed();
+  await deployer.deploy(RepublicSurpriseDrops, shop.address);
+  await shop.setOrderHooks([...(await shop.getOrderHooks()), RepublicSurpriseDrops.address]);
+};
@@ -0,0 +1,13 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const RepublicSurpriseBlindBox = artifacts.require("RepublicSurpriseBlindBox");
+const RepublicSurpriseCertificates = artifacts.require("RepublicSurpriseCertificates");
+
+// Token metadata is served by the shop at <base URI><token id>
+const CERTIFICATE_BASE_URI = process.env.CERTIFICATE_BASE_URI || "http://localhost:3001/api/certificates/";
+
+module.exports = async function(deployer) {
+  const shop = await RepublicSurpriseContract.deployed();
+  const blindBox = await RepublicSurpriseBlindBox.deployed();
+  await deployer.deploy(RepublicSurpriseCertificates, shop.address, blindBox.address, CERTIFICATE_BASE_URI);
+  await shop.setOrderHooks([...(await shop.getOrderHooks()), RepublicSurpriseCertificates.address]);
+};
@@ -0,0 +1,13 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const RepublicSurpriseMarketplace = artifacts.require("RepublicSurpriseMarketplace");
+
+// Platform commission on seller sales, in basis points (1000 = 10%)
+const SELLER_COMMISSION_BPS = Number(process.env.SELLER_COMMISSION_BPS || 1000);
+
+module.exports = async function(deployer) {
+  const shop = await RepublicSurpriseContract.deployed();
+  await deployer.deploy(RepublicSurpriseMarketplace, shop.address, SELLER_COMMISSION_BPS);
+  // the marketplace adds products for sellers and pays out their share of the shop's settled funds
+  await shop.addAdmin(RepublicSurpriseMarketplace.address);
+  await shop.setOrderHooks([...(await shop.getOrderHooks()), RepublicSurpriseMarketplace.address]);
+};
@@ -0,0 +1,12 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const RepublicSurpriseLoyalty = artifacts.require("RepublicSurpriseLoyalty");
+
+// Points earned per ETH paid, and the SGD cents one point takes off an ETH checkout
+const LOYALTY_POINTS_PER_ETH = process.env.LOYALTY_POINTS_PER_ETH || "1000";
+const LOYALTY_POINT_VALUE_CENTS = Number(process.env.LOYALTY_POINT_VALUE_CENTS || 1);
+
+module.exports = async function(deployer) {
+  const shop = await RepublicSurpriseContract.deployed();
+  await deployer.deploy(RepublicSurpriseLoyalty, shop.address, LOYALTY_POINTS_PER_ETH, LOYALTY_POINT_VALUE_CENTS);
+  await shop.setOrderHooks([...(await shop.getOrderHooks()), RepublicSurpriseLoyalty.address]);
+};
@@ -0,0 +1,30 @@
+// Shared by the contract tests. Quotes are signed the way the shop server signs them (see app.js).
+const RATE = web3.utils.toWei("0.001"); // wei per SGD
+
+async function expectRevert(promise, reason) {
+  try {
+    await promise;
+  } catch (error) {
+    assert.include(error.message, reason);
+    return;
+  }
+  assert.fail(`expected a revert with "${reason}"`);
+}
+
+async function signQuote(shop, signer, buyer, deliveryId) {
+  const expiresAt = Math.floor(Date.now() / 1000) + 300;
+  const digest = web3.utils.keccak256(
+    web3.eth.abi.encodeParameters(
+      ["address", "uint256", "address", "bytes32", "uint256", "uint256"],
+      [shop.address, await web3.eth.getChainId(), buyer, web3.utils.keccak256(deliveryId), RATE, expiresAt]
+    )
+  );
+  return [RATE, expiresAt, await web3.eth.sign(digest, signer)];
+}
+
+// What an ETH checkout of this many SGD cents pays at RATE
+function weiFor(cents) {
+  return web3.utils.toBN(cents).mul(web3.utils.toBN(RATE)).divn(100);
+}
+
+module.exports = { RATE, expectRevert, signQuote, weiFor };
@@ -0,0 +1,81 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const RepublicSurpriseBlindBox = artifacts.require("RepublicSurpriseBlindBox");
+const { signQuote, weiFor } = require("./helpers");
+
+const CHAIN_LENGTH = 8;
+
+contract("RepublicSurpriseBlindBox cancellations", (accounts) => {
+  const [owner, buyer] = accounts;
+  let shop;
+  let blindBox;
+  let checkouts = 0;
+
+  // H^steps(seed), the way the shop server walks its hash chain (see blindBoxChainLink in app.js)
+  function chainLink(steps) {
+    let link = web3.utils.soliditySha3("blind box test seed");
+    for (let i = 0; i < steps; i++) link = web3.utils.keccak256(link);
+    return link;
+  }
+
+  async function buyBoxes(qty) {
+    const deliveryId = `RS-${++checkouts}`;
+    const quote = await signQuote(shop, owner, buyer, deliveryId);
+    await shop.buy(1, qty, deliveryId, quote, { from: buyer, value: weiFor(100000 * qty) });
+    return (await shop.orderCount()).toNumber();
+  }
+
+  async function revealNext() {
+    const revealed = (await blindBox.series(1)).boxesRevealed.toNumber();
+    await blindBox.reveal(1, [chainLink(CHAIN_LENGTH - revealed - 1)]);
+  }
+
+  const available = async () => (await blindBox.series(1)).available.toNumber();
+  const remaining = async () => (await blindBox.getVariants(1)).map((variant) => Number(variant.remaining));
+
+  beforeEach(async () => {
+    shop = await RepublicSurpriseContract.new();
+    await shop.addAdmin(owner);
+    blindBox = await RepublicSurpriseBlindBox.new(shop.address);
+    await shop.setOrderHooks([blindBox.address]);
+    await shop.addProduct("Dragons", "series", 100000, 4);
+    await blindBox.createSeries(1, ["Common", "Rare"], [90, 10], [3, 1], chainLink(CHAIN_LENGTH), CHAIN_LENGTH);
+  });
+
+  it("gives unrevealed boxes back to the series", async () => {
+    const id = await buyBoxes(2);
+    assert.equal(await available(), 2);
+    await shop.cancelOrder(id, { from: buyer });
+    assert.equal(await available(), 4);
+    assert.deepEqual(await remaining(), [3, 1]);
+  });
+
+  it("retires a revealed figure and records who cancelled", async () => {
+    const id = await buyBoxes(1);
+    await revealNext();
+    const [box] = await blindBox.getOrderBoxes(id);
+    assert.isTrue(box.revealed);
+    const left = await remaining();
+
+    const { receipt } = await shop.cancelOrder(id);
+    const voided = await blindBox.getPastEvents("BoxVoided", { fromBlock: receipt.blockNumber });
+    assert.equal(voided.length, 1);
+    assert.equal(voided[0].returnValues.cancelledBy, owner);
+    assert.isTrue((await blindBox.boxes(box.id)).voided);
+    assert.equal(await available(), 3);
+    assert.deepEqual(await remaining(), left);
+  });
+
+  it("still draws from the figures left after a revealed box is cancelled", async () => {
+    const first = await buyBoxes(1);
+    await revealNext();
+    await shop.cancelOrder(first, { from: buyer });
+    const id = await buyBoxes(3);
+    await revealNext();
+    await revealNext();
+    await revealNext();
+    const boxes = await blindBox.getOrderBoxes(id);
+    assert.isTrue(boxes.every((box) => box.revealed && !box.voided));
+    assert.deepEqual(await remaining(), [0, 0]);
+    assert.equal(await available(), 0);
+  });
+});
@@ -0,0 +1,146 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const RepublicSurpriseCertificates = artifacts.require("RepublicSurpriseCertificates");
+const RepublicSurpriseTestStablecoin = artifacts.require("RepublicSurpriseTestStablecoin");
+const { expectRevert, signQuote, weiFor } = require("./helpers");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const OUT_FOR_DELIVERY = 2;
+const PENDING_CONFIRMATION = 3;
+const COMPLETED = 4;
+
+contract("RepublicSurpriseCertificates", (accounts) => {
+  const [owner, buyer, friend, anyone, courier] = accounts;
+  let shop;
+  let certificates;
+  let checkouts = 0;
+
+  async function buy(productIds, qtys, cents) {
+    const deliveryId = `RS-${++checkouts}`;
+    const quote = await signQuote(shop, owner, buyer, deliveryId);
+    await shop.buyCart(productIds, qtys, deliveryId, quote, [], { from: buyer, value: weiFor(cents) });
+    return (await shop.orderCount()).toNumber();
+  }
+
+  async function completeOrder(productIds, qtys, cents) {
+    const id = await buy(productIds, qtys, cents);
+    await shop.markOutForDelivery(id, "D-1");
+    await shop.submitProof(id, "0xproof");
+    await shop.confirmDelivery(id);
+    return id;
+  }
+
+  const tokensOf = async (account) => (await certificates.tokensOfOwner(account)).map((id) => id.toNumber());
+  const pendingFor = async (orderId) => (await certificates.pendingCertificates(orderId)).toNumber();
+  const minted = async () => (await certificates.totalSupply()).toNumber();
+
+  beforeEach(async () => {
+    shop = await RepublicSurpriseContract.new();
+    await shop.addAdmin(owner);
+    await shop.addDeliveryMan(courier);
+    certificates = await RepublicSurpriseCertificates.new(shop.address, ZERO_ADDRESS, "http://localhost/api/certificates/");
+    await shop.setOrderHooks([certificates.address]);
+    await shop.addProduct("Bun", "sweet", 100000, 20);
+    await shop.addProduct("Pig", "pink", 2000, 20);
+  });
+
+  it("mints a certificate per unit of a small order at completion", async () => {
+    const id = await completeOrder([1, 2], [2, 1], 202000);
+    assert.deepEqual(await tokensOf(buyer), [1, 2, 3]);
+    assert.equal(await pendingFor(id), 0);
+    assert.equal((await certificates.getCertificate(3)).productName, "Pig");
+    await expectRevert(certificates.claim(id, 1), "nothing to claim");
+  });
+
+  it("mints the first ISSUED_ON_COMPLETE of a large order and leaves the rest to claims", async () => {
+    const id = await completeOrder([1, 2], [4, 8], 416000);
+    const first = (await certificates.ISSUED_ON_COMPLETE()).toNumber();
+    assert.equal((await certificates.totalSupply()).toNumber(), first);
+    assert.equal(await pendingFor(id), 12 - first);
+
+    await certificates.claim(id, 3, { from: anyone });
+    assert.equal(await pendingFor(id), 12 - first - 3);
+    await certificates.claim(id, 100, { from: anyone });
+    assert.equal(await pendingFor(id), 0);
+    await expectRevert(certificates.claim(id, 1), "nothing to claim");
+
+    const tokens = await tokensOf(buyer);
+    assert.equal(tokens.length, 12);
+    const names = await Promise.all(tokens.map(async (tokenId) => (await certificates.getCertificate(tokenId)).productName));
+    assert.deepEqual(names, [...Array(4).fill("Bun"), ...Array(8).fill("Pig")]);
+    assert.equal((await certificates.getOrderCertificates(id)).length, 12);
+  });
+
+  it("stops claims once the order is refunded", async () => {
+    const id = await completeOrder([2], [8], 16000);
+    await shop.refund(id, (await shop.orders(id)).paid);
+    await expectRevert(certificates.claim(id, 1), "order not completed");
+  });
+
+  it("keeps each owner's token list in step with transfers", async () => {
+    await completeOrder([1], [3], 300000);
+    await certificates.transferFrom(buyer, friend, 1, { from: buyer });
+    assert.deepEqual(await tokensOf(buyer), [3, 2]);
+    assert.deepEqual(await tokensOf(friend), [1]);
+    assert.equal((await certificates.balanceOf(buyer)).toNumber(), 2);
+    await certificates.transferFrom(friend, buyer, 1, { from: friend });
+    assert.deepEqual(await tokensOf(friend), []);
+    assert.deepEqual((await tokensOf(buyer)).sort(), [1, 2, 3]);
+  });
+
+  describe("on every completion path", () => {
+    it("mints when a delivery man claims and proves the order", async () => {
+      const id = await buy([1], [2], 200000);
+      await shop.claimDelivery(id, "D-1", { from: courier });
+      await shop.submitProof(id, "0xproof", { from: courier });
+      await shop.confirmDelivery(id);
+      assert.equal(await minted(), 2);
+      assert.equal((await certificates.getCertificate(1)).proofHash, "0xproof");
+    });
+
+    it("mints when the proof arrives as a delivery status update", async () => {
+      const id = await buy([1], [1], 100000);
+      await shop.claimDelivery(id, "D-1", { from: courier });
+      await shop.deliveryUpdateStatus(id, PENDING_CONFIRMATION, "delivered", "0xproof", { from: courier });
+      await shop.confirmDelivery(id);
+      assert.equal(await minted(), 1);
+    });
+
+    it("mints once for an order delivered again after a rejected proof", async () => {
+      const id = await buy([1], [1], 100000);
+      await shop.markOutForDelivery(id, "D-1");
+      await shop.submitProof(id, "0xblurry");
+      await shop.deliveryUpdateStatus(id, OUT_FOR_DELIVERY, "proof rejected", "");
+      await shop.submitProof(id, "0xproof");
+      await shop.confirmDelivery(id);
+      assert.equal(await minted(), 1);
+      assert.equal((await certificates.getCertificate(1)).proofHash, "0xproof");
+    });
+
+    it("mints for orders paid in a token", async () => {
+      const token = await RepublicSurpriseTestStablecoin.new();
+      await shop.setAcceptedToken(token.address, true);
+      await shop.setTokenPrice(1, token.address, 5000000);
+      await token.faucet(buyer, 10000000);
+      await token.approve(shop.address, 10000000, { from: buyer });
+      await shop.buyCartWithToken([1], [2], "RS-token", token.address, [], { from: buyer });
+      const id = (await shop.orderCount()).toNumber();
+      await shop.markOutForDelivery(id, "D-1");
+      await shop.submitProof(id, "0xproof");
+      await shop.confirmDelivery(id);
+      assert.equal(await minted(), 2);
+    });
+
+    it("is never skipped by completing through a delivery status update", async () => {
+      const id = await buy([1], [1], 100000);
+      await shop.markOutForDelivery(id, "D-1");
+      await shop.submitProof(id, "0xproof");
+      await expectRevert(shop.deliveryUpdateStatus(id, COMPLETED, "done", ""), "use confirmDelivery");
+      assert.equal(await minted(), 0);
+    });
+
+    it("only takes onComplete from the shop", async () => {
+      const id = await buy([1], [1], 100000);
+      await expectRevert(certificates.onComplete(id), "shop only");
+    });
+  });
+});
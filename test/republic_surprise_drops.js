@@ -0,0 +1,137 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const RepublicSurpriseDrops = artifacts.require("RepublicSurpriseDrops");
+const { createMerkleTree } = require("../RepublicSurprise/merkle");
+const { expectRevert, signQuote, weiFor } = require("./helpers");
+
+// Allowlists are built with the same Merkle tree the shop server publishes (RepublicSurprise/merkle.js)
+contract("RepublicSurpriseDrops allowlists", (accounts) => {
+  const [owner, buyer, second, third, stranger] = accounts;
+  let shop;
+  let drops;
+  let checkouts = 0;
+
+  async function buyBun(from) {
+    const deliveryId = `RS-${++checkouts}`;
+    const quote = await signQuote(shop, owner, from, deliveryId);
+    return shop.buy(1, 1, deliveryId, quote, { from, value: weiFor(100000) });
+  }
+
+  async function openDrop(tree) {
+    await drops.setDrop(1, 0, 0, 0, tree.root);
+  }
+
+  beforeEach(async () => {
+    shop = await RepublicSurpriseContract.new();
+    await shop.addAdmin(owner);
+    drops = await RepublicSurpriseDrops.new(shop.address);
+    await shop.setOrderHooks([drops.address]);
+    await shop.addProduct("Bun", "sweet", 100000, 10);
+  });
+
+  it("accepts the server's proof for every listed wallet", async () => {
+    // three leaves, so one of them is carried up a level unpaired
+    const tree = createMerkleTree([buyer, second, third]);
+    await openDrop(tree);
+    for (const account of [buyer, second, third]) {
+      await drops.joinAllowlist(1, tree.proof(account), { from: account });
+      assert.isTrue(await drops.isAllowlisted(1, account));
+    }
+    assert.isFalse(await drops.isAllowlisted(1, stranger));
+  });
+
+  it("accepts the empty proof of a one-wallet list", async () => {
+    const tree = createMerkleTree([buyer]);
+    assert.deepEqual(tree.proof(buyer), []);
+    await openDrop(tree);
+    await drops.joinAllowlist(1, [], { from: buyer });
+    assert.isTrue(await drops.isAllowlisted(1, buyer));
+  });
+
+  it("refuses wallets that are not on the list, even with a listed wallet's proof", async () => {
+    const tree = createMerkleTree([buyer, second, third]);
+    await openDrop(tree);
+    await expectRevert(drops.joinAllowlist(1, tree.proof(buyer), { from: stranger }), "not on the allowlist");
+    await expectRevert(drops.joinAllowlist(1, tree.proof(third), { from: second }), "not on the allowlist");
+  });
+
+  it("blocks checkout until the wallet has joined", async () => {
+    const tree = createMerkleTree([buyer, second]);
+    await openDrop(tree);
+    await expectRevert(buyBun(buyer), "not on the allowlist");
+    await drops.joinAllowlist(1, tree.proof(buyer), { from: buyer });
+    await buyBun(buyer);
+    assert.equal((await shop.orderCount()).toNumber(), 1);
+  });
+
+  it("starts over when a new allowlist is published", async () => {
+    const first = createMerkleTree([buyer, second]);
+    await openDrop(first);
+    await drops.joinAllowlist(1, first.proof(buyer), { from: buyer });
+
+    const next = createMerkleTree([buyer, third]);
+    await openDrop(next);
+    assert.isFalse(await drops.isAllowlisted(1, buyer));
+    await expectRevert(drops.joinAllowlist(1, first.proof(buyer), { from: buyer }), "not on the allowlist");
+    await drops.joinAllowlist(1, next.proof(buyer), { from: buyer });
+    assert.isTrue(await drops.isAllowlisted(1, buyer));
+  });
+
+  it("has nothing to join without an allowlist", async () => {
+    await drops.setDrop(1, 0, 0, 0, "0x0000000000000000000000000000000000000000000000000000000000000000");
+    await expectRevert(drops.joinAllowlist(1, [], { from: buyer }), "no allowlist");
+    await buyBun(stranger);
+  });
+});
+
+// Cancelled orders give their units back to the wallet's cap through onCancel
+contract("RepublicSurpriseDrops wallet caps", (accounts) => {
+  const [owner, buyer] = accounts;
+  let shop;
+  let drops;
+  let checkouts = 0;
+
+  async function buyBuns(qty) {
+    const deliveryId = `RS-${++checkouts}`;
+    const quote = await signQuote(shop, owner, buyer, deliveryId);
+    await shop.buy(1, qty, deliveryId, quote, { from: buyer, value: weiFor(100000 * qty) });
+    return (await shop.orderCount()).toNumber();
+  }
+
+  const paidOf = async (orderId) => (await shop.orders(orderId)).paid;
+  const remainingFor = async (account) => (await drops.remaining(1, account)).toNumber();
+
+  beforeEach(async () => {
+    shop = await RepublicSurpriseContract.new();
+    await shop.addAdmin(owner);
+    drops = await RepublicSurpriseDrops.new(shop.address);
+    await shop.setOrderHooks([drops.address]);
+    await shop.addProduct("Bun", "sweet", 100000, 10);
+    await drops.setDrop(1, 0, 0, 3, "0x0000000000000000000000000000000000000000000000000000000000000000");
+  });
+
+  it("gives the units back when the order is cancelled", async () => {
+    const id = await buyBuns(3);
+    assert.equal(await remainingFor(buyer), 0);
+    await expectRevert(buyBuns(1), "wallet limit");
+    await shop.cancelOrder(id, { from: buyer });
+    assert.equal(await remainingFor(buyer), 3);
+  });
+
+  it("gives the units back when a full refund cancels an undelivered order", async () => {
+    const id = await buyBuns(3);
+    await shop.markOutForDelivery(id, "D-1");
+    await shop.refund(id, await paidOf(id));
+    assert.equal(await remainingFor(buyer), 3);
+  });
+
+  it("keeps the units counted after a partial refund or a delivered order", async () => {
+    const id = await buyBuns(3);
+    await shop.refund(id, (await paidOf(id)).divn(3));
+    assert.equal(await remainingFor(buyer), 0);
+    await shop.markOutForDelivery(id, "D-1");
+    await shop.submitProof(id, "0xproof");
+    await shop.confirmDelivery(id);
+    await shop.refund(id, (await paidOf(id)).sub(await shop.refundedAmount(id)));
+    assert.equal(await remainingFor(buyer), 0);
+  });
+});
@@ -0,0 +1,68 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const RepublicSurpriseLoyalty = artifacts.require("RepublicSurpriseLoyalty");
+const { expectRevert, signQuote, weiFor } = require("./helpers");
+
+const PENDING_CONFIRMATION = 3;
+
+contract("RepublicSurpriseLoyalty", (accounts) => {
+  const [owner, buyer, courier] = accounts;
+  let shop;
+  let loyalty;
+  let checkouts = 0;
+
+  async function buyBuns(qty) {
+    const deliveryId = `RS-${++checkouts}`;
+    const quote = await signQuote(shop, owner, buyer, deliveryId);
+    await shop.buy(1, qty, deliveryId, quote, { from: buyer, value: weiFor(100000 * qty) });
+    return (await shop.orderCount()).toNumber();
+  }
+
+  async function completeBuns(qty) {
+    const id = await buyBuns(qty);
+    await shop.markOutForDelivery(id, "D-1");
+    await shop.submitProof(id, "0xproof");
+    await shop.confirmDelivery(id);
+    return id;
+  }
+
+  const paidOf = async (orderId) => (await shop.orders(orderId)).paid;
+  const pointsOf = async (account) => (await loyalty.balanceOf(account)).toNumber();
+
+  beforeEach(async () => {
+    shop = await RepublicSurpriseContract.new();
+    await shop.addAdmin(owner);
+    await shop.addDeliveryMan(courier);
+    loyalty = await RepublicSurpriseLoyalty.new(shop.address, 1000, 1); // 1000 points per ETH, 1 cent each
+    await shop.setOrderHooks([loyalty.address]);
+    await shop.addProduct("Bun", "sweet", 100000, 10);
+  });
+
+  it("credits the buyer when an admin ships, proves and confirms the order", async () => {
+    await completeBuns(2);
+    assert.equal(await pointsOf(buyer), 2000);
+  });
+
+  it("credits the buyer when the proof arrives as a delivery status update", async () => {
+    const id = await buyBuns(1);
+    await shop.claimDelivery(id, "D-1", { from: courier });
+    await shop.deliveryUpdateStatus(id, PENDING_CONFIRMATION, "delivered", "0xproof", { from: courier });
+    assert.equal(await pointsOf(buyer), 0);
+    await shop.confirmDelivery(id);
+    assert.equal(await pointsOf(buyer), 1000);
+  });
+
+  it("takes back the points of each refund of a completed order", async () => {
+    const id = await completeBuns(2);
+    const half = (await paidOf(id)).divn(2);
+    await shop.refund(id, half);
+    assert.equal(await pointsOf(buyer), 1000);
+    await shop.refund(id, (await paidOf(id)).sub(half));
+    assert.equal(await pointsOf(buyer), 0);
+  });
+
+  it("only takes order callbacks from the shop", async () => {
+    const id = await buyBuns(1);
+    await expectRevert(loyalty.onComplete(id), "shop only");
+    await expectRevert(loyalty.onRefund(id, 1), "shop only");
+  });
+});
@@ -0,0 +1,102 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const { expectRevert, signQuote, weiFor } = require("./helpers");
+
+// RepublicSurpriseContract.OrderStatus
+const Status = { Pending: 0, Paid: 1, OutForDelivery: 2, PendingConfirmation: 3, Completed: 4, Cancelled: 5 };
+
+contract("RepublicSurpriseContract orders", (accounts) => {
+  const [owner, buyer, courier, stranger] = accounts;
+  let shop;
+  let checkouts = 0;
+
+  async function buy(productIds, qtys, cents) {
+    const deliveryId = `RS-${++checkouts}`;
+    const quote = await signQuote(shop, owner, buyer, deliveryId);
+    await shop.buyCart(productIds, qtys, deliveryId, quote, [], { from: buyer, value: weiFor(cents) });
+    return (await shop.orderCount()).toNumber();
+  }
+
+  const buyBuns = (qty) => buy([1], [qty], 100000 * qty);
+  const statusOf = async (orderId) => (await shop.orders(orderId)).status.toNumber();
+
+  beforeEach(async () => {
+    shop = await RepublicSurpriseContract.new();
+    await shop.addAdmin(owner);
+    await shop.addDeliveryMan(courier);
+    await shop.addProduct("Bun", "sweet", 100000, 10);
+  });
+
+  describe("status transitions", () => {
+    it("walks an order from payment to completion", async () => {
+      const id = await buyBuns(1);
+      assert.equal(await statusOf(id), Status.Paid);
+      await shop.markOutForDelivery(id, "D-1");
+      assert.equal(await statusOf(id), Status.OutForDelivery);
+      await shop.submitProof(id, "0xproof");
+      assert.equal(await statusOf(id), Status.PendingConfirmation);
+      await shop.confirmDelivery(id);
+      assert.equal(await statusOf(id), Status.Completed);
+    });
+
+    it("lets a delivery man claim, deliver and prove only their own orders", async () => {
+      const id = await buyBuns(1);
+      const other = await buyBuns(1);
+      await shop.claimDelivery(id, "D-1", { from: courier });
+      assert.equal(await statusOf(id), Status.OutForDelivery);
+      await expectRevert(shop.claimDelivery(id, "D-1", { from: courier }), "already claimed");
+      await expectRevert(shop.submitProof(other, "0xproof", { from: courier }), "not assigned");
+      await shop.submitProof(id, "0xproof", { from: courier });
+      assert.equal(await statusOf(id), Status.PendingConfirmation);
+    });
+
+    it("sends a rejected proof back out for delivery, by an admin only", async () => {
+      const id = await buyBuns(1);
+      await shop.claimDelivery(id, "D-1", { from: courier });
+      await shop.submitProof(id, "0xproof", { from: courier });
+      await expectRevert(
+        shop.deliveryUpdateStatus(id, Status.OutForDelivery, "again", "", { from: courier }),
+        "invalid status transition"
+      );
+      await shop.deliveryUpdateStatus(id, Status.OutForDelivery, "proof rejected", "");
+      assert.equal(await statusOf(id), Status.OutForDelivery);
+    });
+
+    it("completes an order only from PendingConfirmation, by an admin", async () => {
+      const id = await buyBuns(1);
+      await expectRevert(shop.confirmDelivery(id), "invalid status transition");
+      await expectRevert(shop.submitProof(id, "0xproof"), "invalid status transition");
+      await shop.markOutForDelivery(id, "D-1");
+      await expectRevert(shop.confirmDelivery(id), "invalid status transition");
+      await shop.submitProof(id, "0xproof");
+      await expectRevert(shop.confirmDelivery(id, { from: courier }), "admin only");
+      await shop.confirmDelivery(id);
+      await expectRevert(shop.markOutForDelivery(id, "D-2"), "invalid status transition");
+    });
+
+    it("leaves completing to confirmDelivery and cancelling to cancelOrder", async () => {
+      const id = await buyBuns(1);
+      await shop.markOutForDelivery(id, "D-1");
+      await shop.submitProof(id, "0xproof");
+      await expectRevert(shop.deliveryUpdateStatus(id, Status.Completed, "done", ""), "use confirmDelivery");
+      await expectRevert(shop.deliveryAddStatus(id, Status.Cancelled, "lost", ""), "use cancelOrder");
+      assert.equal(await statusOf(id), Status.PendingConfirmation);
+    });
+
+    it("lets the buyer cancel only before the order ships", async () => {
+      const id = await buyBuns(1);
+      await expectRevert(shop.cancelOrder(id, { from: stranger }), "buyer/admin only");
+      await shop.markOutForDelivery(id, "D-1");
+      await expectRevert(shop.cancelOrder(id, { from: buyer }), "already dispatched");
+      await shop.cancelOrder(id);
+      assert.equal(await statusOf(id), Status.Cancelled);
+    });
+
+    it("keeps cancelled orders cancelled", async () => {
+      const id = await buyBuns(1);
+      await shop.cancelOrder(id, { from: buyer });
+      await expectRevert(shop.cancelOrder(id), "cannot cancel");
+      await expectRevert(shop.markOutForDelivery(id, "D-1"), "invalid status transition");
+      await expectRevert(shop.deliveryUpdateStatus(id, Status.OutForDelivery, "", ""), "invalid status transition");
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const RepublicSurprisePromotions = artifacts.require("RepublicSurprisePromotions");
+
+const VOUCHER = "tuple(bytes32,bytes32,bytes32,uint256,uint64,uint32,uint32,bytes)";
+const RATE = web3.utils.toWei("0.001"); // wei per SGD
+
+async function expectRevert(promise, reason) {
+  try {
+    await promise;
+  } catch (error) {
+    assert.include(error.message, reason);
+    return;
+  }
+  assert.fail(`expected a revert with "${reason}"`);
+}
+
+contract("RepublicSurprisePromotions", (accounts) => {
+  const [owner, buyer] = accounts;
+  let shop;
+  let promotions;
+
+  // Price quotes and vouchers are signed the way the shop server signs them (see app.js)
+  async function signQuote(deliveryId) {
+    const expiresAt = Math.floor(Date.now() / 1000) + 300;
+    const digest = web3.utils.keccak256(
+      web3.eth.abi.encodeParameters(
+        ["address", "uint256", "address", "bytes32", "uint256", "uint256"],
+        [shop.address, await web3.eth.getChainId(), buyer, web3.utils.keccak256(deliveryId), RATE, expiresAt]
+      )
+    );
+    return [RATE, expiresAt, await web3.eth.sign(digest, owner)];
+  }
+
+  async function signVoucher(deliveryId, productIds, qtys, discount) {
+    const voucher = [
+      web3.utils.keccak256(deliveryId),
+      web3.utils.keccak256(web3.eth.abi.encodeParameters(["uint256[]", "uint256[]"], [productIds, qtys])),
+      web3.utils.keccak256("TENOFF"),
+      discount,
+      Math.floor(Date.now() / 1000) + 300,
+      0,
+      0
+    ];
+    const digest = web3.utils.keccak256(
+      web3.eth.abi.encodeParameters(
+        ["address", "uint256", "address", "address", "bytes32", "bytes32", "bytes32", "uint256", "uint64", "uint32", "uint32"],
+        [promotions.address, await web3.eth.getChainId(), buyer, "0x0000000000000000000000000000000000000000", ...voucher]
+      )
+    );
+    return web3.eth.abi.encodeParameter(VOUCHER, [...voucher, await web3.eth.sign(digest, owner)]);
+  }
+
+  async function buy(deliveryId, productIds, qtys, voucher, cents) {
+    const value = web3.utils.toBN(cents).mul(web3.utils.toBN(RATE)).divn(100);
+    return shop.buyCart(productIds, qtys, deliveryId, await signQuote(deliveryId), [voucher], { from: buyer, value });
+  }
+
+  beforeEach(async () => {
+    shop = await RepublicSurpriseContract.new();
+    await shop.addAdmin(owner);
+    promotions = await RepublicSurprisePromotions.new(shop.address);
+    await shop.setOrderHooks([promotions.address]);
+    await shop.addProduct("Bun", "sweet", 100000, 10);
+    await shop.addProduct("Pig", "pink", 2000, 10);
+  });
+
+  it("takes the voucher's discount off the checkout it was signed for", async () => {
+    const voucher = await signVoucher("RS-1", [1], [2], 10000);
+    await buy("RS-1", [1], [2], voucher, 190000);
+    const order = await shop.orders(1);
+    assert.equal(order.paid.toString(), web3.utils.toBN(190000).mul(web3.utils.toBN(RATE)).divn(100).toString());
+    assert.equal((await promotions.uses(web3.utils.keccak256("TENOFF"))).toNumber(), 1);
+  });
+
+  it("refuses the voucher on a different cart for the same checkout", async () => {
+    const voucher = await signVoucher("RS-1", [1], [2], 10000);
+    await expectRevert(buy("RS-1", [2], [1], voucher, 0), "voucher is for another checkout");
+    await expectRevert(buy("RS-1", [1], [1], voucher, 90000), "voucher is for another checkout");
+  });
+
+  it("refuses the voucher on another checkout with the same cart", async () => {
+    const voucher = await signVoucher("RS-1", [1], [2], 10000);
+    await expectRevert(buy("RS-2", [1], [2], voucher, 190000), "voucher is for another checkout");
+  });
+
+  it("refuses a spent voucher", async () => {
+    const voucher = await signVoucher("RS-1", [1], [2], 10000);
+    await buy("RS-1", [1], [2], voucher, 190000);
+    await expectRevert(buy("RS-1", [1], [2], voucher, 190000), "voucher already used");
+  });
+});
@@ -0,0 +1,75 @@
+const RepublicSurpriseContract = artifacts.require("RepublicSurpriseContract");
+const { expectRevert, signQuote, weiFor } = require("./helpers");
+
+// RepublicSurpriseContract.OrderStatus
+const Status = { Paid: 1, Cancelled: 5 };
+
+contract("RepublicSurpriseContract restocking", (accounts) => {
+  const [owner, buyer] = accounts;
+  let shop;
+  let checkouts = 0;
+
+  async function buy(productIds, qtys, cents) {
+    const deliveryId = `RS-${++checkouts}`;
+    const quote = await signQuote(shop, owner, buyer, deliveryId);
+    await shop.buyCart(productIds, qtys, deliveryId, quote, [], { from: buyer, value: weiFor(cents) });
+    return (await shop.orderCount()).toNumber();
+  }
+
+  const buyBuns = (qty) => buy([1], [qty], 100000 * qty);
+  const statusOf = async (orderId) => (await shop.orders(orderId)).status.toNumber();
+  const stockOf = async (productId) => (await shop.products(productId)).stock.toNumber();
+  const paidOf = async (orderId) => (await shop.orders(orderId)).paid;
+
+  beforeEach(async () => {
+    shop = await RepublicSurpriseContract.new();
+    await shop.addAdmin(owner);
+    await shop.addProduct("Bun", "sweet", 100000, 10);
+    await shop.addProduct("Pig", "pink", 2000, 10);
+  });
+
+  it("puts every line back and refunds the buyer when an order is cancelled", async () => {
+    const id = await buy([1, 2], [3, 2], 304000);
+    assert.equal(await stockOf(1), 7);
+    assert.equal(await stockOf(2), 8);
+    await shop.cancelOrder(id, { from: buyer });
+    assert.equal(await stockOf(1), 10);
+    assert.equal(await stockOf(2), 10);
+    assert.equal((await shop.refundedAmount(id)).toString(), (await paidOf(id)).toString());
+  });
+
+  it("restocks when a full refund cancels an undelivered order", async () => {
+    const id = await buyBuns(3);
+    await shop.markOutForDelivery(id, "D-1");
+    await shop.refund(id, await paidOf(id));
+    assert.equal(await statusOf(id), Status.Cancelled);
+    assert.equal(await stockOf(1), 10);
+  });
+
+  it("keeps the stock out on a partial refund, until the refunds add up", async () => {
+    const id = await buyBuns(3);
+    const half = (await paidOf(id)).divn(2);
+    await shop.refund(id, half);
+    assert.equal(await statusOf(id), Status.Paid);
+    assert.equal(await stockOf(1), 7);
+    await shop.refund(id, (await paidOf(id)).sub(half));
+    assert.equal(await statusOf(id), Status.Cancelled);
+    assert.equal(await stockOf(1), 10);
+  });
+
+  it("does not restock a delivered order that is refunded", async () => {
+    const id = await buyBuns(3);
+    await shop.markOutForDelivery(id, "D-1");
+    await shop.submitProof(id, "0xproof");
+    await shop.confirmDelivery(id);
+    await shop.refund(id, await paidOf(id));
+    assert.equal(await statusOf(id), Status.Cancelled);
+    assert.equal(await stockOf(1), 7);
+  });
+
+  it("refuses refunds beyond what was paid", async () => {
+    const id = await buyBuns(1);
+    await expectRevert(shop.refund(id, (await paidOf(id)).addn(1)), "exceeds refundable");
+    assert.equal(await stockOf(1), 9);
+  });
+});
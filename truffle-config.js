@@ -46,6 +46,10 @@
 
 // const HDWalletProvider = require('@truffle/hdwallet-provider');
 
+const path = require("path");
+
+let testProvider;
+
 module.exports = {
   /**
    * Networks define how you connect to your ethereum client and let you set the
@@ -76,6 +80,14 @@ module.exports = {
       port: 7545,
       network_id: "*",
     },
+    // `npm test` in RepublicSurprise: an in-process Ganache from its devDependencies, so no node has
+    // to be running. Truffle asks for the provider more than once, so the same chain is handed back.
+    test: {
+      provider: () => testProvider || (testProvider = require(require.resolve("ganache", {
+        paths: [path.join(__dirname, "RepublicSurprise")]
+      })).provider({ logging: { quiet: true } })),
+      network_id: "*",
+    },
     // An additional network, but with some advanced options…
     // advanced: {
     //   port: 8777,             // Custom port
@@ -115,9 +127,10 @@ module.exports = {
       version: "0.8.19",      // Fetch exact version from solc-bin (default: truffle's version)
       docker: false,        // Use "0.5.1" you've installed locally with docker (default: false)
       settings: {          // See the solidity docs for advice about optimization and evmVersion
+        // runs: 1 optimises for size: RepublicSurpriseContract sits close to the 24 KB contract size limit
         optimizer: {
           enabled: true,
-          runs: 200
+          runs: 1
         },
         viaIR: true
         //  evmVersion: "byzantium"